@@ -1,26 +1,555 @@
-// JS/CORE/APP-LOADER.JS
-        window.AppLoader = {
-            loadedScripts: new Set(),
-            
-            load(scriptPaths) {
-                const promises = scriptPaths.map(path => this.loadScript(path));
-                return Promise.all(promises);
-            },
-            
-            loadScript(src) {
-                if (this.loadedScripts.has(src)) {
-                    return Promise.resolve();
+/* ========================================
+ * FILE: core/app-loader.js
+ * VERSION: 2.0.0
+ * BUILD DATE: 2025-10-08
+ *
+ * PURPOSE:
+ * The one boot loader for Gnoke Station. Every core service and built-in
+ * app is listed as a module that declares what it provides and what it
+ * requires; the loader resolves that graph and loads each script as soon
+ * as its requirements are ready, so independent modules download in
+ * parallel and nothing has to poll for anything else.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.AppLoader.
+ * - Module: { id, src, provides: [names], requires: [names], readyEvent, failEvent, sha256,
+ *             lazy, app: { id, name, icon, ... } }
+ *   provides/requires name capabilities, normally the window global the
+ *   script defines (e.g. 'WindowManager').
+ * - A module is ready once its script has run, or - with readyEvent -
+ *   once that EventBus event fires (e.g. WebDesktop on 'system-ready');
+ *   failEvent ({ error }) fails it straight away instead of timing out.
+ * - Modules whose globals already exist (scripts included statically in
+ *   main.html, such as the EventBus) count as ready without loading.
+ * - Missing providers, cycles and failed dependencies fail the dependent
+ *   modules instead of leaving them waiting forever.
+ * - Entries with sha256 are fetched and verified by Integrity first.
+ * - lazy modules are not loaded at boot: their app manifest is registered
+ *   with AppRegistry.registerLazyApp and the script loads on first launch
+ *   (or when something calls whenReady() on what it provides).
+ * - ?safe=1 in the page URL sets safeMode; ProgramLoader and
+ *   SessionManager then skip installed Store apps and session restore.
+ *
+ * EVENTS:
+ * - module-ready   { id, provides, loaded, total }
+ * - module-failed  { id, src, error }
+ * - boot-progress  { loaded, failed, total, percent, module }
+ * - apps-loaded    { loaded, failed, loadedApps, deferredApps, failedApps } once every module settled
+ *
+ * DEPENDENCIES:
+ * - EventBus (loaded statically before this file)
+ *
+ * LIFECYCLE:
+ * 1. main.html includes core/event-bus.js, core/boot-screen.js and this file.
+ * 2. start() runs immediately and loads the module graph.
+ * 3. Other code can wait with whenReady('Docs') instead of polling.
+ *
+ * EXAMPLE USAGE:
+ * AppLoader.whenReady('ProgramLoader').then(loader => loader.debug());
+ * AppLoader.addModule({ id: 'kiosk', src: 'system/kiosk.js', provides: ['KioskApp'], requires: ['WebDesktop'] });
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.AppLoader = {
+    config: {
+        timeout: 10000 // per module, including its readyEvent
+    },
+
+    // Boot without Store apps or session restore (main.html?safe=1)
+    safeMode: new URLSearchParams(location.search).get('safe') === '1',
+
+    // Boot graph; order only matters for readability
+    modules: [
+        // Core services
+        { id: 'event-bus', src: 'core/event-bus.js', provides: ['EventBus'] },
+        { id: 'boot-screen', src: 'core/boot-screen.js', provides: ['BootScreen'], requires: ['EventBus'] },
+        { id: 'event-bridge', src: 'core/event-bridge.js', provides: ['EventBridge'], requires: ['EventBus'] },
+        { id: 'theme', src: 'core/theme.js', provides: ['ThemeManager'], requires: ['EventBus'] },
+        { id: 'window-manager', src: 'core/window-manager.js', provides: ['WindowManager'], requires: ['EventBus'] },
+        { id: 'app-registry', src: 'core/app-registry.js', provides: ['AppRegistry'], requires: ['EventBus', 'WindowManager'] },
+        { id: 'desktop', src: 'core/desktop.js', provides: ['DesktopClass'], requires: ['WindowManager'] },
+        { id: 'taskbar', src: 'core/taskbar.js', provides: ['Taskbar'], requires: ['WindowManager', 'AppRegistry'] },
+        { id: 'session', src: 'core/session.js', provides: ['SessionManager'], requires: ['WindowManager', 'AppRegistry'] },
+        { id: 'window-switcher', src: 'core/window-switcher.js', provides: ['WindowSwitcher'], requires: ['WindowManager', 'AppRegistry'] },
+        { id: 'hal', src: 'core/hal.js', provides: ['HAL'], requires: ['EventBus'] },
+        { id: 'day-night', src: 'core/day-night.js', provides: ['DayNightScheduler'], requires: ['ThemeManager', 'HAL'] },
+        { id: 'screensaver', src: 'core/screensaver.js', provides: ['ScreenSaver'], requires: ['EventBus'] },
+        { id: 'integrity', src: 'core/integrity.js', provides: ['Integrity'] },
+        { id: 'sideload', src: 'core/sideload.js', provides: ['Sideload'], requires: ['AppRegistry', 'Integrity'] },
+        { id: 'offline', src: 'core/offline.js', provides: ['OfflineManager'], requires: ['EventBus'] },
+        { id: 'sandbox', src: 'core/sandbox.js', provides: ['SandboxRuntime'], requires: ['WindowManager', 'AppRegistry', 'HAL', 'Integrity'] },
+        { id: 'docs', src: 'core/apps/docs.js', provides: ['Docs'], requires: ['EventBus'], readyEvent: 'docs-ready' },
+        {
+            id: 'main',
+            src: 'core/main.js',
+            provides: ['WebDesktop'],
+            requires: ['WindowManager', 'AppRegistry', 'DesktopClass', 'Taskbar', 'SessionManager', 'WindowSwitcher', 'SandboxRuntime', 'HAL'],
+            readyEvent: 'system-ready',
+            failEvent: 'system-failed'
+        },
+        { id: 'keypad-inject', src: 'core/keypad-inject.js', provides: ['KeypadInject'], requires: ['WebDesktop'] },
+
+        // Built-in apps and the shell pieces that depend on them
+        { id: 'menu', src: 'core/apps/menu.js', provides: ['StartMenuApp'], requires: ['WebDesktop'] },
+        { id: 'about', src: 'core/apps/about.js', provides: ['AboutApp'], requires: ['WebDesktop', 'Docs'], lazy: true,
+            app: { id: 'about', name: 'About System', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><circle cx='24' cy='24' r='20' fill='%234a90e2'/><path d='M24 8c-2.2 0-4 1.8-4 4s1.8 4 4 4 4-1.8 4-4-1.8-4-4-4zm-2 12v16h4V20h-4z' fill='white'/></svg>" } },
+        { id: 'clock', src: 'system/clock.js', provides: ['ClockApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'clock', name: 'Clock', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><circle cx='24' cy='24' r='20' fill='%23f8f9fa' stroke='%231F4765' stroke-width='3'/><circle cx='24' cy='24' r='2' fill='%23e74c3c'/><path d='M24 8v4M24 36v4M40 24h-4M12 24H8' stroke='%231F4765' stroke-width='2' stroke-linecap='round'/><line x1='24' y1='24' x2='24' y2='14' stroke='%231F4765' stroke-width='4' stroke-linecap='round'/><line x1='24' y1='24' x2='32' y2='28' stroke='%231F4765' stroke-width='3' stroke-linecap='round'/><line x1='24' y1='24' x2='28' y2='16' stroke='%23e74c3c' stroke-width='2' stroke-linecap='round'/></svg>" } },
+        { id: 'news', src: 'system/news.js', provides: ['NewsApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'news', name: 'News Feed', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 24 24' fill='none' stroke='%23667eea' stroke-width='2' stroke-linecap='round' stroke-linejoin='round'><path d='M4 22h16c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2H4c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2z'/><line x1='8' y1='6' x2='16' y2='6'/><line x1='8' y1='10' x2='16' y2='10'/><line x1='8' y1='14' x2='16' y2='14'/><line x1='8' y1='18' x2='12' y2='18'/></svg>" } },
+        { id: 'desktop-settings', src: 'core/apps/desktop-settings.js', provides: ['DesktopSettingsApp'], requires: ['WebDesktop'] },
+        { id: 'weather', src: 'system/weather.js', provides: ['WeatherApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'weather', name: 'Weather', icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><circle cx='24' cy='24' r='20' fill='%23f9d71c' stroke='%23e0b000' stroke-width='2'/></svg>" } },
+        { id: 'store', src: 'core/apps/store.js', provides: ['GnokeStationStore'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'webdesktop-store', name: 'App Store', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><rect width='48' height='48' rx='8' fill='%23007bff'/><circle cx='24' cy='20' r='6' fill='white'/><rect x='14' y='28' width='20' height='2' fill='white'/><rect x='16' y='32' width='16' height='2' fill='white'/></svg>" } },
+        { id: 'calculator', src: 'system/calculator.js', provides: ['CalculatorApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'calculator', name: 'Calculator', icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><rect x='4' y='4' width='40' height='40' rx='4' fill='url(%23g1)'/><defs><linearGradient id='g1' x1='0%' y1='0%' x2='0%' y2='100%'><stop offset='0%' style='stop-color:%23DDE6F0'/><stop offset='100%' style='stop-color:%23B0C4DE'/></linearGradient></defs><rect x='8' y='8' width='32' height='8' fill='%23FFFFFF' rx='2' stroke='%23A5BBD9'/><text x='24' y='14' font-size='6' fill='%231F4765' text-anchor='middle'>CALC</text><rect x='10' y='20' width='28' height='18' fill='url(%23g2)' rx='2'/><defs><linearGradient id='g2' x1='0%' y1='0%' x2='0%' y2='100%'><stop offset='0%' style='stop-color:%2389B6D7'/><stop offset='100%' style='stop-color:%234D8BC1'/></linearGradient></defs><text x='24' y='34' font-size='12' font-weight='bold' fill='%23FFFFFF' text-anchor='middle'>=</text></svg>" } },
+        { id: 'readme', src: 'core/apps/readme.js', provides: ['ReadmeApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'readme-app', name: 'Project README', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 24 24'><path fill='%233498db' d='M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm-3 15v-1h4v1h-4zm-1-3h6v-1h-6v1zm6-3h-6v-1h6v1z'/></svg>" } },
+        { id: 'event-inspector', src: 'core/apps/event-inspector.js', provides: ['EventInspectorApp'], requires: ['WebDesktop'], lazy: true,
+            app: { id: 'event-inspector', name: 'Event Inspector', singleInstance: true, icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='4' y='6' width='40' height='36' rx='4' fill='%232c3e50'/><path d='M10 30h6l4-12 6 18 4-10h8' fill='none' stroke='%231abc9c' stroke-width='3' stroke-linecap='round' stroke-linejoin='round'/></svg>" } },
+        { id: 'display', src: 'core/display.js', provides: ['DisplayManager'], requires: ['DesktopSettingsApp'] },
+        { id: 'desktop-icons', src: 'core/desktop-icons.js', provides: ['DesktopIconManager'], requires: ['AppRegistry', 'DisplayManager', 'DesktopSettingsApp'] },
+        { id: 'start-menu', src: 'core/start-menu.js', requires: ['StartMenuApp'] },
+        { id: 'programs', src: 'core/apps/programs.js', provides: ['ProgramLoader'], requires: ['WebDesktop', 'Integrity', 'Sideload', 'SandboxRuntime'] }
+    ],
+
+    states: new Map(),    // module id -> 'pending' | 'deferred' | 'loading' | 'ready' | 'failed'
+    errors: new Map(),    // module id -> Error
+    providers: new Map(), // capability -> module id
+    waiters: new Map(),   // capability -> [resolve, reject][]
+    started: false,
+    finished: false,
+
+    // Load the whole graph; safe to call more than once
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        console.log(`AppLoader: loading ${this.modules.length} modules${this.safeMode ? ' (safe mode)' : ''}...`);
+        this.modules.forEach(module => this.track(module));
+        this.checkGraph();
+        this.pump();
+    },
+
+    track(module) {
+        this.states.set(module.id, 'pending');
+        (module.provides || []).forEach(name => this.providers.set(name, module.id));
+    },
+
+    // Fail modules that can never load: unknown requirements and cycles
+    checkGraph() {
+        this.modules.forEach(module => {
+            const missing = (module.requires || []).filter(name => !this.providers.has(name) && !window[name]);
+            if (missing.length > 0) {
+                this.fail(module, new Error(`Nothing provides ${missing.join(', ')}`));
+            }
+        });
+
+        const visiting = new Set();
+        const done = new Set();
+        const visit = (id, path) => {
+            if (done.has(id)) return;
+            if (visiting.has(id)) {
+                const cycle = path.slice(path.indexOf(id));
+                cycle.forEach(member => {
+                    if (this.states.get(member) === 'pending') {
+                        this.fail(this.getModule(member), new Error(`Dependency cycle: ${cycle.concat(id).join(' -> ')}`));
+                    }
+                });
+                return;
+            }
+            visiting.add(id);
+            (this.getModule(id).requires || []).forEach(name => {
+                const provider = this.providers.get(name);
+                if (provider) visit(provider, path.concat(id));
+            });
+            visiting.delete(id);
+            done.add(id);
+        };
+        this.modules.forEach(module => visit(module.id, []));
+    },
+
+    // Start every pending module whose requirements are ready; fail the
+    // ones whose requirements failed
+    pump() {
+        this.modules.forEach(module => {
+            if (this.states.get(module.id) !== 'pending') return;
+
+            const requires = module.requires || [];
+            const failed = requires.find(name => this.getCapabilityState(name) === 'failed');
+            if (failed) {
+                this.fail(module, new Error(`Requires ${failed}, which failed to load`));
+            } else if (requires.every(name => this.getCapabilityState(name) === 'ready')) {
+                if (module.lazy) {
+                    this.defer(module);
+                } else {
+                    this.load(module);
                 }
-                
-                return new Promise((resolve, reject) => {
-                    const script = document.createElement('script');
-                    script.src = src;
-                    script.onload = () => {
-                        this.loadedScripts.add(src);
-                        resolve();
-                    };
-                    script.onerror = () => reject(new Error(`Failed to load ${src}`));
-                    document.head.appendChild(script);
+            }
+        });
+
+        this.checkFinished();
+    },
+
+    getCapabilityState(name) {
+        const provider = this.providers.get(name);
+        if (provider) return this.states.get(provider);
+        return window[name] ? 'ready' : 'failed';
+    },
+
+    // Lazy module: list its app now, load the script on first launch
+    defer(module) {
+        if (!window.AppRegistry || !module.app) {
+            this.load(module);
+            return;
+        }
+
+        this.states.set(module.id, 'deferred');
+        window.AppRegistry.registerLazyApp(module.app, () => this.loadModule(module.id));
+        console.log(`✓ Module deferred: ${module.id}`);
+
+        this.reportProgress(module);
+    },
+
+    // Load a deferred module now; resolves once it is ready
+    loadModule(id) {
+        const module = this.getModule(id);
+        if (!module) {
+            return Promise.reject(new Error(`Unknown module: ${id}`));
+        }
+        if (this.states.get(id) === 'deferred') {
+            this.load(module);
+        }
+        return this.whenModule(id);
+    },
+
+    async load(module) {
+        this.states.set(module.id, 'loading');
+
+        // Already on the page (static <script> in main.html)
+        if ((module.provides || []).length > 0 && module.provides.every(name => window[name])) {
+            this.markReady(module);
+            return;
+        }
+
+        // Listening before the script runs, so a synchronous readyEvent is not missed
+        const ready = module.readyEvent ? this.waitForEvent(module) : null;
+        if (ready) ready.catch(() => {}); // a failEvent during injection is reported when awaited below
+        try {
+            const src = module.sha256 ? await this.fetchVerified(module) : module.src;
+            await this.injectScript(module, src);
+
+            const missing = (module.provides || []).filter(name => !window[name]);
+            if (missing.length > 0) {
+                throw new Error(`${module.src} did not define ${missing.join(', ')}`);
+            }
+            if (ready) await ready;
+
+            this.markReady(module);
+        } catch (error) {
+            // The script never ran: stop waiting for its readyEvent
+            if (ready) ready.cancel();
+            this.fail(module, error);
+        }
+    },
+
+    injectScript(module, src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.dataset.module = module.id;
+
+            const timer = setTimeout(() => {
+                script.remove();
+                reject(new Error(`Timeout loading ${module.src}`));
+            }, this.config.timeout);
+
+            script.onload = () => {
+                clearTimeout(timer);
+                if (src !== module.src) URL.revokeObjectURL(src);
+                resolve();
+            };
+            script.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error(`Failed to load ${module.src}`));
+            };
+
+            document.body.appendChild(script);
+        });
+    },
+
+    // Resolves when module.readyEvent fires; rejects on module.failEvent
+    // or after the timeout. cancel() stops waiting without settling.
+    waitForEvent(module) {
+        let cancel;
+        const promise = new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                window.EventBus.off(module.readyEvent, onReady);
+                if (module.failEvent) window.EventBus.off(module.failEvent, onFail);
+            };
+            const onReady = () => {
+                cleanup();
+                resolve();
+            };
+            const onFail = (data = {}) => {
+                cleanup();
+                reject(new Error(data.error || `${module.id} emitted ${module.failEvent}`));
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`${module.id} never emitted ${module.readyEvent}`));
+            }, this.config.timeout);
+
+            cancel = cleanup;
+            window.EventBus.on(module.readyEvent, onReady);
+            if (module.failEvent) window.EventBus.on(module.failEvent, onFail);
+        });
+        promise.cancel = cancel;
+        return promise;
+    },
+
+    // Fetch and verify a script; resolves with a blob: URL of the verified bytes
+    async fetchVerified(module) {
+        try {
+            const source = await window.Integrity.fetchVerified(module.src, module);
+            return window.Integrity.createScriptUrl(source, module.src);
+        } catch (error) {
+            if (error.code && window.EventBus) {
+                window.EventBus.emit('program-verification-failed', {
+                    appId: module.id,
+                    entry: module.src,
+                    code: error.code,
+                    reason: error.message,
+                    expected: module.sha256 || null,
+                    actual: error.actual || null
                 });
             }
-        };
\ No newline at end of file
+            throw error;
+        }
+    },
+
+    markReady(module) {
+        this.states.set(module.id, 'ready');
+        console.log(`✓ Module ready: ${module.id}`);
+
+        this.resolveWaiters(module, null);
+        if (window.EventBus) {
+            window.EventBus.emit('module-ready', {
+                id: module.id,
+                provides: module.provides || [],
+                loaded: this.count('ready'),
+                total: this.modules.length
+            });
+        }
+        this.reportProgress(module);
+        this.pump();
+    },
+
+    fail(module, error) {
+        if (this.states.get(module.id) === 'failed') return;
+
+        this.states.set(module.id, 'failed');
+        this.errors.set(module.id, error);
+        console.error(`✗ Module failed: ${module.id} (${error.message})`);
+
+        this.resolveWaiters(module, error);
+        if (window.EventBus) {
+            window.EventBus.emit('module-failed', { id: module.id, src: module.src, error: error.message });
+        }
+        this.reportProgress(module);
+        this.pump();
+    },
+
+    resolveWaiters(module, error) {
+        (module.provides || []).forEach(name => {
+            (this.waiters.get(name) || []).forEach(([resolve, reject]) => {
+                if (error) reject(error);
+                else resolve(window[name]);
+            });
+            this.waiters.delete(name);
+        });
+    },
+
+    reportProgress(module) {
+        if (!window.EventBus) return;
+
+        const progress = this.getProgress();
+        window.EventBus.emit('boot-progress', { ...progress, module: module.id });
+    },
+
+    checkFinished() {
+        if (this.finished || this.count('pending') + this.count('loading') > 0) return;
+        this.finished = true;
+
+        const { loaded, failed, deferred } = this.getProgress();
+        console.log(`Module loading complete: ${loaded} loaded (${deferred} on demand), ${failed} failed`);
+
+        if (window.EventBus) {
+            window.EventBus.emit('apps-loaded', {
+                loaded,
+                failed,
+                loadedApps: this.getModuleIds('ready'),
+                deferredApps: this.getModuleIds('deferred'),
+                failedApps: this.getModuleIds('failed')
+            });
+        }
+    },
+
+    // Public API
+
+    // Resolves with window[name] once the module providing it is ready
+    whenReady(name) {
+        const provider = this.providers.get(name);
+        if (provider && this.states.get(provider) === 'deferred') {
+            this.loadModule(provider);
+        }
+
+        if (this.getCapabilityState(name) === 'ready') {
+            return Promise.resolve(window[name]);
+        }
+        if (this.started && this.getCapabilityState(name) === 'failed') {
+            return Promise.reject(provider ? this.errors.get(provider) : new Error(`Nothing provides ${name}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.waiters.has(name)) this.waiters.set(name, []);
+            this.waiters.get(name).push([resolve, reject]);
+        });
+    },
+
+    isReady(name) {
+        return this.getCapabilityState(name) === 'ready';
+    },
+
+    // Add a module after boot; it loads as soon as its requirements are ready.
+    // Boot stays finished: a late module never re-emits 'apps-loaded'
+    addModule(module) {
+        if (this.getModule(module.id)) {
+            return this.whenModule(module.id);
+        }
+
+        this.modules.push(module);
+        this.track(module);
+        if (this.started) this.pump();
+        return this.whenModule(module.id);
+    },
+
+    whenModule(id) {
+        const module = this.getModule(id);
+        const state = this.states.get(id);
+        if (state === 'ready') return Promise.resolve(module);
+        if (state === 'failed') return Promise.reject(this.errors.get(id));
+
+        // Settle on the loader's own state, not on whoever emitted the event
+        return new Promise((resolve, reject) => {
+            const onReady = (data) => {
+                if (!data || data.id !== id || this.states.get(id) !== 'ready') return;
+                cleanup();
+                resolve(module);
+            };
+            const onFailed = (data) => {
+                if (!data || data.id !== id || this.states.get(id) !== 'failed') return;
+                cleanup();
+                reject(this.errors.get(id));
+            };
+            const cleanup = () => {
+                window.EventBus.off('module-ready', onReady);
+                window.EventBus.off('module-failed', onFailed);
+            };
+            window.EventBus.on('module-ready', onReady);
+            window.EventBus.on('module-failed', onFailed);
+        });
+    },
+
+    getModule(id) {
+        return this.modules.find(module => module.id === id);
+    },
+
+    getModuleIds(state) {
+        return this.modules.filter(module => this.states.get(module.id) === state).map(module => module.id);
+    },
+
+    count(state) {
+        return this.getModuleIds(state).length;
+    },
+
+    // Deferred (lazy) modules count as loaded for boot progress
+    getProgress() {
+        const total = this.modules.length;
+        const deferred = this.count('deferred');
+        const loaded = this.count('ready') + deferred;
+        const failed = this.count('failed');
+        return {
+            loaded,
+            failed,
+            deferred,
+            total,
+            percent: total ? Math.round((loaded + failed) / total * 100) : 100
+        };
+    },
+
+    getStats() {
+        return {
+            ...this.getProgress(),
+            pending: this.count('pending') + this.count('loading'),
+            loadedApps: this.getModuleIds('ready'),
+            deferredApps: this.getModuleIds('deferred'),
+            failedApps: this.getModuleIds('failed').map(id => ({ id, src: this.getModule(id).src, error: this.errors.get(id).message }))
+        };
+    }
+};
+
+window.AppLoader.start();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerAppLoaderDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('app-loader', {
+        name: "AppLoader",
+        version: "2.0.0",
+        description: "Boot loader that loads core services and built-in apps from a provides/requires module graph.",
+        type: "System Service",
+        dependencies: ["EventBus"],
+        features: [
+          "Global singleton (window.AppLoader)",
+          "Modules declare provides/requires; independent modules load in parallel.",
+          "Readiness by script load or by an EventBus event (readyEvent).",
+          "Missing providers, cycles and failed dependencies are reported instead of hanging.",
+          "Optional SHA-256 verification of module scripts via Integrity.",
+          "Lazy app modules are listed from their manifest and loaded on first launch.",
+          "Safe mode (?safe=1) skips installed Store apps and session restore."
+        ],
+        methods: [
+          { name: "whenReady(name)", description: "Resolves with window[name] once its module is ready; rejects if it failed." },
+          { name: "loadModule(id)", description: "Loads a deferred (lazy) module now; resolves when it is ready." },
+          { name: "addModule(module)", description: "Adds a module ({ id, src, provides, requires }) and loads it when its requirements are ready." },
+          { name: "getProgress()", description: "Returns { loaded, failed, total, percent }." },
+          { name: "getStats()", description: "Returns progress plus loaded and failed module lists." }
+        ],
+        events: ["module-ready", "module-failed", "boot-progress", "apps-loaded"],
+        autoGenerated: false
+      });
+      console.log('AppLoader documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
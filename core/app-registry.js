@@ -1,6 +1,6 @@
 /* ========================================
  * FILE: core/app-registry.js
- * VERSION: 1.0.0
+ * VERSION: 1.4.1
  * BUILD DATE: 2025-09-29
  *
  * PURPOSE:
@@ -27,11 +27,50 @@
  * - Launch apps, supporting single-instance mode.
  * - Automatic cleanup of stale single-instance references.
  * - Provides default icon data for unregistered apps.
+ * - Declarative manifest (version, author, category, icon, entry,
+ *   minPlatformVersion, dependencies, permissions) validated on register.
+ * - Permission model: store apps only get permissions an admin granted
+ *   at install, and launching asks for any that are missing. Calls are
+ *   only enforced for sandboxed apps (SandboxRuntime checks every bridge
+ *   call); a non-sandboxed app runs in the desktop's own page and can use
+ *   fetch, localStorage and HAL directly, so for it grants are a launch
+ *   gate, not a runtime boundary. Install, update and launch prompts
+ *   tell the admin so for store apps that are not sandboxed.
+ *   requirePermission() is the check services use for the callers they
+ *   can identify.
+ * - Launch arguments: openApp(id, args) passes args to handler(args);
+ *   a running single-instance app receives them via onArgs(args, win).
+ * - URL deep links: main.html#app=gpio&pin=17 opens an app with args,
+ *   at boot and on hashchange (waits for late-registering apps).
+ * - unregisterApp(id) closes the app's windows, calls its dispose() hook
+ *   and emits app-unregistered (Docs, desktop icons and start menus drop
+ *   the entry); { removeData: true } also clears the app's storage.
+ * - Lazy apps: registerLazyApp(manifest, load) lists an app (desktop icon,
+ *   start menu) from its manifest; load() fetches the script on the first
+ *   openApp, behind a loading window. The script's own registerApp call
+ *   replaces the stub.
  * - Emits key lifecycle events via EventBus.
  *
+ * MANIFEST FIELDS (all optional except id, name, handler):
+ * - version: '1.2.0'            - author: 'Vendor Ltd'
+ * - category: 'IoT'             - icon: data URI, URL or emoji
+ * - entry: 'system/store/x.js'  - minPlatformVersion: '2.0.0'
+ * - dependencies: ['HAL']       (global services or app IDs needed at launch)
+ * - permissions: ['hal:gpio', 'storage', 'network', 'notifications']
+ * - storageKeys: ['wled_device_ip'] (localStorage keys removed with app data;
+ *   store apps take them from the catalog entry, never from their script.
+ *   'webos-' keys and keys another app declares are refused)
+ *
+ * APP HOOKS (optional):
+ * - onArgs(args, win)  launch args for a running single-instance app
+ * - dispose()          stop timers/listeners when the app is unregistered
+ *
  * EXAMPLE USAGE:
  * AppRegistry.registerApp({ id: 'term', name: 'Terminal', handler: () => WindowManager.createWindow(...) });
  * AppRegistry.openApp('term');
+ * AppRegistry.openApp('notepad', { file: 'todo.txt' });
+ * AppRegistry.buildDeepLink('gpio', { pin: 17 }); // 'main.html#app=gpio&pin=17'
+ * AppRegistry.requirePermission('gpio-demo', 'hal:gpio'); // throws if not granted
  *
  * AUTHOR:
  * [Your Author Information]
@@ -41,6 +80,27 @@ window.AppRegistry = {
     registeredApps: new Map(),
     runningInstances: new Map(),
     
+    // Permissions an app may request, with the text shown to the admin
+    PERMISSIONS: {
+        'hal:gpio': 'Read and switch GPIO pins through the HAL backend',
+        'hal:sensors': 'Read sensor values through the HAL backend',
+        'storage': 'Store data on this device',
+        'network': 'Connect to servers and devices on the network',
+        'notifications': 'Show notifications outside its window'
+    },
+    
+    // Granted permissions per store app, persisted across reloads
+    permissionGrants: new Map(),
+    grantsStorageKey: 'webos-app-permissions',
+    
+    // Deep link whose app had not registered yet
+    pendingDeepLink: null,
+    
+    // Lazy apps: stub ID -> load(), in-flight loads and their loading windows
+    lazyLoaders: new Map(),
+    lazyLoads: new Map(),
+    loadingWindows: new Map(),
+    
     // Register new application
     registerApp(appConfig) {
         // Validate app configuration
@@ -50,6 +110,9 @@ window.AppRegistry = {
         }
         
         this.registeredApps.set(appConfig.id, appConfig);
+        if (!appConfig.lazy) {
+            this.lazyLoaders.delete(appConfig.id);
+        }
         
         // Emit registration event
         if (window.EventBus) {
@@ -60,26 +123,130 @@ window.AppRegistry = {
         return true;
     },
     
-    // Launch application
-    openApp(appId) {
+    // Register an app from its manifest only; load() fetches the script on
+    // first launch and may resolve with the ID the script registered
+    registerLazyApp(manifest, load) {
+        this.lazyLoaders.set(manifest.id, load);
+        return this.registerApp({
+            ...manifest,
+            lazy: true,
+            handler: (args) => this.launchLazyApp(manifest.id, args)
+        });
+    },
+    
+    isLazy(appId) {
+        const app = this.registeredApps.get(appId);
+        return !!(app && app.lazy);
+    },
+    
+    // Load a lazy app's script without opening it; resolves with the real app
+    loadApp(appId) {
+        const app = this.registeredApps.get(appId);
+        if (!app) return Promise.reject(new Error(`App not found: ${appId}`));
+        if (!app.lazy) return Promise.resolve(app);
+        if (this.lazyLoads.has(appId)) return this.lazyLoads.get(appId);
+        
+        const load = this.lazyLoaders.get(appId);
+        const promise = Promise.resolve()
+            .then(() => load())
+            .then(registeredId => {
+                const realId = typeof registeredId === 'string' ? registeredId : appId;
+                const real = this.registeredApps.get(realId);
+                if (!real || real.lazy) {
+                    throw new Error(`${app.name} did not register itself`);
+                }
+                
+                // The script registered under another ID; drop the stub
+                if (realId !== appId && this.isLazy(appId)) {
+                    this.unregisterApp(appId);
+                }
+                return real;
+            })
+            .finally(() => this.lazyLoads.delete(appId));
+        
+        this.lazyLoads.set(appId, promise);
+        return promise;
+    },
+    
+    // Stub handler: show a loading window, load the script, then open the
+    // real app in its place
+    launchLazyApp(appId, args) {
+        const app = this.registeredApps.get(appId);
+        const wm = window.WindowManager;
+        
+        const existing = this.loadingWindows.get(appId);
+        if (existing && existing.parentNode) {
+            wm.focusWindow(existing.id);
+            return null;
+        }
+        
+        const win = wm.createWindow(app.name, `
+            <div class="app-loading">
+                <div class="app-loading-spinner"></div>
+                <div class="app-loading-text">Loading ${wm.escapeHtml(app.name)}…</div>
+            </div>
+        `, 320, 200);
+        this.loadingWindows.set(appId, win);
+        
+        this.loadApp(appId).then(real => {
+            this.loadingWindows.delete(appId);
+            // Closing the loading window cancels the launch
+            if (!win.parentNode) return;
+            
+            wm.closeWindow(win.id);
+            this.openApp(real.id, args);
+        }).catch(error => {
+            this.loadingWindows.delete(appId);
+            console.error(`Failed to load app ${appId}:`, error);
+            
+            const content = win.querySelector('.app-loading');
+            if (content) {
+                content.classList.add('app-loading-failed');
+                content.innerHTML = `<div class="app-loading-text">Could not load ${wm.escapeHtml(app.name)}</div>
+                    <div class="app-loading-error">${wm.escapeHtml(error.message)}</div>`;
+            }
+        });
+        
+        return null;
+    },
+    
+    // Launch application; args is a plain object passed to handler(args)
+    openApp(appId, args = {}) {
         const app = this.registeredApps.get(appId);
         if (!app) {
             console.error(`App not found: ${appId}`);
             return null;
         }
+        args = this.normalizeArgs(args);
+        
+        // Refuse apps this platform can't run
+        const problems = this.checkCompatibility(app);
+        if (problems.length > 0) {
+            console.error(`Cannot launch ${appId}:`, problems);
+            if (window.WindowManager && typeof window.WindowManager.alert === 'function') {
+                window.WindowManager.alert(problems.join('\n'), { title: `Cannot open ${app.name}` });
+            }
+            return null;
+        }
+        
+        // Store apps installed before their permissions were granted ask first
+        const missing = this.getMissingPermissions(app);
+        if (missing.length > 0) {
+            this.requestPermissions(app, missing).then(granted => {
+                if (granted) this.openApp(appId, args);
+            });
+            return null;
+        }
         
         // Check for single instance
         if (app.singleInstance && this.runningInstances.has(appId)) {
             const existingInstance = this.runningInstances.get(appId);
             if (existingInstance && existingInstance.parentNode) {
-                // Focus existing instance
+                // Focus existing instance (switches workspace if needed)
                 if (window.WindowManager) {
-                    if (existingInstance.style.display === 'none') {
-                        window.WindowManager.restoreWindow(existingInstance.id);
-                    } else {
-                        window.WindowManager.bringToFront(existingInstance);
-                    }
+                    window.WindowManager.focusWindow(existingInstance.id);
                 }
+                this.deliverArgs(app, args, existingInstance);
                 return existingInstance;
             } else {
                 // Clean up stale reference
@@ -89,9 +256,16 @@ window.AppRegistry = {
         
         // Launch app
         try {
-            const instance = app.handler();
+            const instance = app.handler(args);
             
             if (instance && instance.nodeType === Node.ELEMENT_NODE) {
+                // Tag the window with its app so sessions can reopen it
+                instance.dataset.appId = appId;
+                const windowData = window.WindowManager ? window.WindowManager.getWindow(instance.id) : null;
+                if (windowData) {
+                    windowData.appId = appId;
+                }
+                
                 // Track single instance apps
                 if (app.singleInstance) {
                     this.runningInstances.set(appId, instance);
@@ -111,7 +285,7 @@ window.AppRegistry = {
                 
                 // Emit app launch event
                 if (window.EventBus) {
-                    window.EventBus.emit('app-launched', { appId, instance });
+                    window.EventBus.emit('app-launched', { appId, instance, args });
                 }
                 
                 return instance;
@@ -124,15 +298,340 @@ window.AppRegistry = {
         return null;
     },
     
+    // Only plain objects are accepted; anything else launches with no args
+    normalizeArgs(args) {
+        if (!args || typeof args !== 'object' || Array.isArray(args)) return {};
+        return args;
+    },
+    
+    // Hand new args to an already running single-instance app
+    deliverArgs(app, args, instance) {
+        if (Object.keys(args).length === 0) return;
+        
+        if (typeof app.onArgs !== 'function') {
+            console.warn(`App ${app.id} is already running and has no onArgs hook; arguments ignored`, args);
+            return;
+        }
+        
+        try {
+            app.onArgs(args, instance);
+        } catch (error) {
+            console.error(`onArgs failed for ${app.id}:`, error);
+        }
+    },
+    
+    // Deep links
+    // '#app=gpio&pin=17' -> { appId: 'gpio', args: { pin: '17' } }
+    parseDeepLink(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const appId = params.get('app');
+        if (!appId) return null;
+        
+        params.delete('app');
+        return { appId, args: Object.fromEntries(params) };
+    },
+    
+    buildDeepLink(appId, args = {}) {
+        const params = new URLSearchParams({ app: appId });
+        Object.entries(args).forEach(([key, value]) => params.set(key, value));
+        return `${location.pathname.split('/').pop() || 'main.html'}#${params}`;
+    },
+    
+    // Registered ID or, for store apps, the catalog ID ('gpio' -> 'gpio-demo')
+    findApp(id) {
+        return this.registeredApps.get(id) || this.getAllApps().find(app => app.catalogId === id) || null;
+    },
+    
+    openDeepLink(hash = location.hash) {
+        const link = this.parseDeepLink(hash);
+        if (!link) return null;
+        
+        const app = this.findApp(link.appId);
+        if (!app) {
+            // Store apps register after boot; opened from the app-registered listener
+            console.log(`Deep link waiting for app: ${link.appId}`);
+            this.pendingDeepLink = link;
+            return null;
+        }
+        
+        this.pendingDeepLink = null;
+        return this.openApp(app.id, link.args);
+    },
+    
+    setupDeepLinks() {
+        window.addEventListener('hashchange', () => this.openDeepLink());
+        if (!window.EventBus) return;
+        
+        window.EventBus.on('system-ready', () => this.openDeepLink());
+        window.EventBus.on('app-registered', () => {
+            if (!this.pendingDeepLink) return;
+            // Deferred so ProgramLoader has attached the catalogId first
+            Promise.resolve().then(() => {
+                const link = this.pendingDeepLink;
+                const app = link && this.findApp(link.appId);
+                if (app) {
+                    this.pendingDeepLink = null;
+                    this.openApp(app.id, link.args);
+                }
+            });
+        });
+    },
+    
+    // Remove an app completely; options: { removeData }
+    unregisterApp(appId, options = {}) {
+        const app = this.registeredApps.get(appId);
+        if (!app) return false;
+        
+        // Close every window the app owns (tagged by openApp)
+        if (window.WindowManager) {
+            window.WindowManager.getAllWindows()
+                .filter(windowData => windowData.appId === appId)
+                .forEach(windowData => window.WindowManager.closeWindow(windowData.element.id));
+        }
+        this.runningInstances.delete(appId);
+        
+        if (typeof app.dispose === 'function') {
+            try {
+                app.dispose();
+            } catch (error) {
+                console.error(`dispose failed for ${appId}:`, error);
+            }
+        }
+        
+        this.registeredApps.delete(appId);
+        
+        const removedKeys = options.removeData ? this.removeAppData(app) : [];
+        
+        if (window.EventBus) {
+            window.EventBus.emit('app-unregistered', { appId, catalogId: app.catalogId || null, removedKeys });
+        }
+        
+        console.log(`App unregistered: ${app.name} (${appId})`);
+        return true;
+    },
+    
+    // Namespaced keys ('webos-app:<catalogId>:') plus the manifest's storageKeys.
+    // Desktop keys and keys another app declares are never removed.
+    removeAppData(manifest) {
+        const prefix = `webos-app:${this.getGrantKey(manifest)}:`;
+        const owned = new Set((manifest.storageKeys || []).filter(key => {
+            const problem = this.checkStorageKey(manifest, key);
+            if (problem) console.warn(`AppRegistry: keeping ${key} for ${manifest.id}: ${problem}`);
+            return !problem;
+        }));
+        
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(prefix) || owned.has(key)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+        
+        return keys;
+    },
+    
     // Validate app configuration
     validateAppConfig(config) {
         if (!config || typeof config !== 'object') return false;
-        if (!config.id || typeof config.id !== 'string') return false;
-        if (!config.name || typeof config.name !== 'string') return false;
         if (!config.handler || typeof config.handler !== 'function') return false;
+        
+        const errors = this.validateManifest(config);
+        if (errors.length > 0) {
+            console.error(`AppRegistry: invalid manifest for ${config.id}:`, errors);
+            return false;
+        }
         return true;
     },
     
+    // Returns a list of problems (empty when the manifest is valid)
+    validateManifest(manifest) {
+        const errors = [];
+        if (!manifest || typeof manifest !== 'object') return ['Manifest must be an object'];
+        
+        const optionalStrings = ['version', 'author', 'category', 'icon', 'entry', 'minPlatformVersion', 'description'];
+        
+        if (!manifest.id || typeof manifest.id !== 'string') errors.push('id is required');
+        if (!manifest.name || typeof manifest.name !== 'string') errors.push('name is required');
+        
+        optionalStrings.forEach(field => {
+            if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+                errors.push(`${field} must be a string`);
+            }
+        });
+        
+        if (manifest.minPlatformVersion && !this.parseVersion(manifest.minPlatformVersion)) {
+            errors.push(`minPlatformVersion is not a version: ${manifest.minPlatformVersion}`);
+        }
+        
+        ['dependencies', 'permissions', 'storageKeys'].forEach(field => {
+            if (manifest[field] !== undefined &&
+                (!Array.isArray(manifest[field]) || manifest[field].some(item => typeof item !== 'string'))) {
+                errors.push(`${field} must be an array of strings`);
+            }
+        });
+        
+        (Array.isArray(manifest.permissions) ? manifest.permissions : []).forEach(permission => {
+            if (!this.PERMISSIONS[permission]) errors.push(`Unknown permission: ${permission}`);
+        });
+        
+        (Array.isArray(manifest.storageKeys) ? manifest.storageKeys : []).forEach(key => {
+            const problem = this.checkStorageKey(manifest, key);
+            if (problem) errors.push(`storageKeys: ${problem}`);
+        });
+        
+        return errors;
+    },
+    
+    // An app may only claim keys outside the desktop's 'webos-' space that
+    // no other registered app declares; returns the problem or null
+    checkStorageKey(manifest, key) {
+        if (String(key).startsWith('webos-')) return `${key} is reserved for the desktop`;
+        
+        const grantKey = this.getGrantKey(manifest);
+        const other = this.getAllApps().find(app =>
+            this.getGrantKey(app) !== grantKey && (app.storageKeys || []).includes(key));
+        return other ? `${key} is already used by ${other.name}` : null;
+    },
+    
+    // '2.1.0' -> [2, 1, 0]; tolerant of 'v1.0' and '1.1.0 (Production)'
+    parseVersion(version) {
+        const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(version || '').trim());
+        return match ? [1, 2, 3].map(i => parseInt(match[i] || '0')) : null;
+    },
+    
+    compareVersions(a, b) {
+        const left = this.parseVersion(a) || [0, 0, 0];
+        const right = this.parseVersion(b) || [0, 0, 0];
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i]) return left[i] > right[i] ? 1 : -1;
+        }
+        return 0;
+    },
+    
+    getPlatformVersion() {
+        return window.WebDesktop ? window.WebDesktop.version : null;
+    },
+    
+    // Platform version and dependencies; returns a list of problems
+    checkCompatibility(manifest) {
+        const problems = [];
+        const platform = this.getPlatformVersion();
+        
+        if (manifest.minPlatformVersion && platform && this.compareVersions(platform, manifest.minPlatformVersion) < 0) {
+            problems.push(`Requires platform ${manifest.minPlatformVersion} (this is ${platform})`);
+        }
+        
+        (manifest.dependencies || []).forEach(dependency => {
+            if (!window[dependency] && !this.registeredApps.has(dependency)) {
+                problems.push(`Missing dependency: ${dependency}`);
+            }
+        });
+        
+        return problems;
+    },
+    
+    // Permissions
+    loadPermissionGrants() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.grantsStorageKey) || '{}');
+            this.permissionGrants = new Map(Object.entries(saved).filter(([, list]) => Array.isArray(list)));
+        } catch (error) {
+            console.warn('AppRegistry: failed to load permission grants:', error);
+            this.permissionGrants = new Map();
+        }
+    },
+    
+    savePermissionGrants() {
+        localStorage.setItem(this.grantsStorageKey, JSON.stringify(Object.fromEntries(this.permissionGrants)));
+    },
+    
+    // Store apps are keyed by their catalog ID, so grants survive re-registration
+    getGrantKey(manifest) {
+        return manifest.catalogId || manifest.id;
+    },
+    
+    grantPermissions(key, permissions) {
+        const granted = new Set(this.permissionGrants.get(key) || []);
+        permissions.filter(permission => this.PERMISSIONS[permission]).forEach(permission => granted.add(permission));
+        this.permissionGrants.set(key, Array.from(granted));
+        this.savePermissionGrants();
+        
+        if (window.EventBus) {
+            window.EventBus.emit('permissions-changed', { appId: key, permissions: Array.from(granted) });
+        }
+    },
+    
+    revokePermissions(key) {
+        if (!this.permissionGrants.delete(key)) return;
+        this.savePermissionGrants();
+        
+        if (window.EventBus) {
+            window.EventBus.emit('permissions-changed', { appId: key, permissions: [] });
+        }
+    },
+    
+    // Declared and granted. Built-in apps (no catalogId) are trusted with
+    // whatever they declare; store apps need an explicit grant.
+    isPermissionGranted(manifest, permission) {
+        if (!manifest || !(manifest.permissions || []).includes(permission)) return false;
+        if (!manifest.catalogId) return true;
+        return (this.permissionGrants.get(this.getGrantKey(manifest)) || []).includes(permission);
+    },
+    
+    hasPermission(appId, permission) {
+        return this.isPermissionGranted(this.registeredApps.get(appId), permission);
+    },
+    
+    // Throws (and emits permission-denied) when the app lacks a permission
+    requirePermission(appId, permission) {
+        if (this.hasPermission(appId, permission)) return;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('permission-denied', { appId, permission });
+        }
+        throw new Error(`App "${appId}" does not have the "${permission}" permission`);
+    },
+    
+    getMissingPermissions(manifest) {
+        return (manifest.permissions || []).filter(permission => !this.isPermissionGranted(manifest, permission));
+    },
+    
+    describePermissions(permissions) {
+        return permissions.map(permission => `• ${this.PERMISSIONS[permission] || permission} (${permission})`).join('\n');
+    },
+    
+    // Consent prompts add this for store apps that are not sandboxed
+    unsandboxedNotice: 'This app does not run in a sandbox: it can reach the network, hardware and ' +
+        'stored data directly. Its permissions are advisory - checked when it opens, not enforced while it runs.',
+    
+    // Store apps outside SandboxRuntime share the desktop's page. Catalog
+    // entries say sandbox: true, registered proxies sandboxed: true
+    runsUnsandboxed(manifest) {
+        return !!manifest.catalogId && !manifest.sandbox && !manifest.sandboxed;
+    },
+    
+    // Ask the operator to grant permissions; resolves true when granted
+    async requestPermissions(manifest, permissions) {
+        if (!window.WindowManager || typeof window.WindowManager.confirm !== 'function') return false;
+        
+        const allowed = await window.WindowManager.confirm(
+            [
+                `${manifest.name} requests:\n${this.describePermissions(permissions)}`,
+                this.runsUnsandboxed(manifest) ? this.unsandboxedNotice : null
+            ].filter(Boolean).join('\n\n'),
+            { title: 'Permission Request', okLabel: 'Allow', cancelLabel: 'Deny', modal: 'system' }
+        );
+        
+        if (allowed) {
+            this.grantPermissions(this.getGrantKey(manifest), permissions);
+        } else if (window.EventBus) {
+            permissions.forEach(permission => {
+                window.EventBus.emit('permission-denied', { appId: manifest.id, permission });
+            });
+        }
+        return allowed;
+    },
+    
     // Get all registered apps
     getAllApps() {
         return Array.from(this.registeredApps.values());
@@ -154,6 +653,9 @@ window.AppRegistry = {
     }
 };
 
+window.AppRegistry.loadPermissionGrants();
+window.AppRegistry.setupDeepLinks();
+
 // Auto-register default icon provider
 window.AppRegistry.getDefaultIcon = function() {
     return "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><rect width='48' height='48' rx='8' fill='%23666'/><text x='24' y='30' text-anchor='middle' font-size='12' fill='white'>App</text></svg>";
@@ -166,7 +668,7 @@ window.AppRegistry.getDefaultIcon = function() {
     if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
       window.Docs.register('app-registry', {
         name: "AppRegistry",
-        version: "1.0.0",
+        version: "1.4.1",
         description: "Core service for managing the lifecycle, registration, and launching of all desktop applications.",
         type: "System Service",
         dependencies: ["EventBus", "WindowManager"],
@@ -175,17 +677,41 @@ window.AppRegistry.getDefaultIcon = function() {
           "Application registration and validation.",
           "Handles app launching and tracking of running instances.",
           "Enforces single-instance app mode.",
-          "Automatic cleanup of running instance tracking on window close."
+          "Automatic cleanup of running instance tracking on window close.",
+          "Tags launched windows with their app ID (used by SessionManager).",
+          "Optional getState(win) / restoreState(state, win) hooks for session restore.",
+          "Manifest validation: version, author, category, icon, entry, minPlatformVersion, dependencies, permissions.",
+          "Refuses to launch apps needing a newer platform or missing dependencies.",
+          "Permission model (hal:gpio, hal:sensors, storage, network, notifications) with persisted grants, asked for at install and launch.",
+          "Grants are enforced on every call only for sandboxed apps; non-sandboxed Store apps share the desktop's page and are gated at launch only, which their consent prompts state plainly.",
+          "Launch arguments passed to handler(args); onArgs(args, win) hook for running single-instance apps.",
+          "URL deep links (main.html#app=gpio&pin=17) handled at boot and on hashchange.",
+          "Full unregistration: closes windows, calls dispose(), optionally removes app data.",
+          "Lazy apps listed from their manifest; the script loads on first launch behind a loading window."
         ],
         methods: [
           { name: "registerApp(appConfig)", description: "Adds a new application to the registry." },
-          { name: "openApp(appId)", description: "Launches or focuses a registered application." },
+          { name: "openApp(appId, args)", description: "Launches or focuses a registered application, passing optional launch arguments." },
+          { name: "openDeepLink(hash)", description: "Opens the app named by a '#app=<id>&key=value' hash (defaults to location.hash)." },
+          { name: "buildDeepLink(appId, args)", description: "Returns a bookmarkable 'main.html#app=...' link." },
+          { name: "registerLazyApp(manifest, load)", description: "Lists an app from its manifest; load() runs on first launch and should register the real app." },
+          { name: "loadApp(appId)", description: "Loads a lazy app's script without opening it; resolves with the registered app." },
+          { name: "unregisterApp(appId, options)", description: "Closes the app's windows, calls dispose() and removes it. options.removeData clears its storage." },
+          { name: "runsUnsandboxed(manifest)", description: "True for store apps outside SandboxRuntime, whose grants are advisory." },
+          { name: "removeAppData(manifest)", description: "Deletes the app's namespaced and declared localStorage keys; skips 'webos-' keys and keys another app declares." },
+          { name: "checkStorageKey(manifest, key)", description: "Returns why an app may not claim a storage key, or null." },
           { name: "getAllApps()", description: "Returns an array of all registered app configurations." },
           { name: "isAppRunning(appId)", description: "Checks if a specific app instance is currently running." },
-          { name: "getDefaultIcon()", description: "Returns a default SVG icon data URI for generic apps." }
+          { name: "getDefaultIcon()", description: "Returns a default SVG icon data URI for generic apps." },
+          { name: "validateManifest(manifest)", description: "Returns a list of manifest problems (empty when valid)." },
+          { name: "checkCompatibility(manifest)", description: "Returns platform version / dependency problems." },
+          { name: "hasPermission(appId, permission)", description: "True if the app declared and was granted the permission." },
+          { name: "requirePermission(appId, permission)", description: "Throws and emits permission-denied if the permission is missing. Only meaningful where the caller is known (e.g. the sandbox bridge)." },
+          { name: "grantPermissions(key, permissions)", description: "Grants permissions to an app (catalog ID for store apps)." },
+          { name: "revokePermissions(key)", description: "Removes all grants for an app." }
         ],
         events: [
-          "app-registered", "app-launched"
+          "app-registered", "app-unregistered", "app-launched", "permissions-changed", "permission-denied"
         ],
         autoGenerated: false
       });
@@ -207,13 +733,5 @@ window.AppRegistry.getDefaultIcon = function() {
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  // Fallback: poll for Docs initialization
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
 
@@ -1,7 +1,11 @@
 /* ========================================
  * FILE: core/apps/desktop-settings.js
- * VERSION: 3.0.1 (FIXED)
+ * VERSION: 3.4.0
  * FIXED: Double-click setting now properly saves and broadcasts.
+ * 3.1.0: Theme section (ThemeManager); colors follow the active theme.
+ * 3.2.0: Day / Night section (DayNightScheduler).
+ * 3.3.0: Screen Saver section (ScreenSaver).
+ * 3.4.0: Multiple Screens section (EventBridge).
  * ======================================== */
 
 window.DesktopSettingsApp = {
@@ -49,15 +53,149 @@ window.DesktopSettingsApp = {
 
     open() {
         const settingsHTML = `
-            <div style="height:100%;padding:16px;overflow-y:auto;font-family:'Segoe UI',sans-serif;background:#f8f9fa;">
-                <h2 style="margin:0 0 20px 0;text-align:center;color:#2c3e50;">Desktop Settings</h2>
+            <div style="height:100%;padding:16px;overflow-y:auto;font-family:'Segoe UI',sans-serif;background:var(--bg-primary);color:var(--text-primary);">
+                <h2 style="margin:0 0 20px 0;text-align:center;color:var(--text-primary);">Desktop Settings</h2>
                 
-                <div style="background:white;border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
-                    <h3 style="margin-top:0;color:#1976d2;border-bottom:2px solid #1976d2;padding-bottom:8px;">Icon Appearance</h3>
+                <div data-settings-live style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Theme</h3>
                     
                     <div style="margin:12px 0;">
-                        <label style="display:block;margin-bottom:8px;color:#333;font-weight:600;">Icon Size</label>
-                        <select id="iconSize" style="width:100%;padding:10px;border:2px solid #e0e0e0;border-radius:6px;font-size:14px;background:white;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Select Theme</label>
+                        <select id="themeSelect" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);"></select>
+                        <p style="margin:8px 0 0 0;font-size:12px;color:var(--text-secondary);">Applied immediately</p>
+                    </div>
+                </div>
+                
+                <div id="dayNightSection" data-settings-live style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Day / Night</h3>
+                    
+                    <div style="margin:12px 0;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Switch Automatically</label>
+                        <select id="dnMode" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                            <option value="off">Off</option>
+                            <option value="schedule">At fixed times</option>
+                            <option value="sun">At sunrise and sunset</option>
+                            <option value="sensor">By light sensor (HAL)</option>
+                        </select>
+                    </div>
+                    
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin:12px 0;">
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Day Theme</label>
+                            <select id="dnDayTheme" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);"></select>
+                        </div>
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Night Theme</label>
+                            <select id="dnNightTheme" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);"></select>
+                        </div>
+                    </div>
+                    
+                    <div data-dn-modes="schedule sun sensor" style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin:12px 0;">
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Day Starts</label>
+                            <input type="time" id="dnDayStart" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        </div>
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Night Starts</label>
+                            <input type="time" id="dnNightStart" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        </div>
+                    </div>
+                    
+                    <div data-dn-modes="sun" style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin:12px 0;">
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Latitude</label>
+                            <input type="number" id="dnLatitude" step="0.01" min="-90" max="90" placeholder="e.g. 6.45" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        </div>
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Longitude</label>
+                            <input type="number" id="dnLongitude" step="0.01" min="-180" max="180" placeholder="e.g. 3.39" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        </div>
+                    </div>
+                    
+                    <div data-dn-modes="sensor" style="margin:12px 0;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Night Below (lux)</label>
+                        <input type="number" id="dnLuxThreshold" min="0" step="1" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                    </div>
+                    
+                    <div style="margin:12px 0;padding:12px;background:var(--bg-primary);border-radius:6px;">
+                        <label style="display:flex;align-items:center;color:var(--text-primary);cursor:pointer;">
+                            <input type="checkbox" id="dnDimming" style="margin-right:10px;width:18px;height:18px;cursor:pointer;">
+                            <span style="font-weight:600;">Dim the screen at night</span>
+                        </label>
+                        <div style="display:flex;align-items:center;gap:10px;margin:10px 0 0 28px;">
+                            <input type="range" id="dnNightBrightness" min="10" max="100" step="5" style="flex:1;">
+                            <span id="dnNightBrightnessValue" style="min-width:40px;font-size:13px;color:var(--text-secondary);"></span>
+                        </div>
+                        <p style="margin:8px 0 0 28px;font-size:12px;color:var(--text-secondary);">Uses the HAL backlight when available, otherwise a dim overlay</p>
+                    </div>
+                    
+                    <p id="dnStatus" style="margin:0 0 12px 0;font-size:12px;color:var(--text-secondary);"></p>
+                    <button id="dnSave" style="width:100%;padding:12px;background:var(--accent);color:var(--accent-text);border:none;border-radius:6px;cursor:pointer;font-size:14px;font-weight:600;">Save Day / Night</button>
+                </div>
+                
+                <div id="screenSaverSection" data-settings-live style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Screen Saver</h3>
+                    
+                    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin:12px 0;">
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Show</label>
+                            <select id="ssMode" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                                <option value="off">Nothing (off)</option>
+                                <option value="clock">Clock</option>
+                                <option value="slideshow">Gallery slideshow</option>
+                                <option value="blank">Blank screen</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">After (minutes idle)</label>
+                            <input type="number" id="ssTimeout" min="1" max="240" step="1" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        </div>
+                    </div>
+                    
+                    <div style="margin:12px 0;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Change Slide / Move Clock Every (seconds)</label>
+                        <input type="number" id="ssSlideInterval" min="5" max="600" step="5" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
+                        <p id="ssImages" style="margin:8px 0 0 0;font-size:12px;color:var(--text-secondary);"></p>
+                    </div>
+                    
+                    <div style="margin:12px 0;padding:12px;background:var(--bg-primary);border-radius:6px;">
+                        <label style="display:flex;align-items:center;color:var(--text-primary);cursor:pointer;">
+                            <input type="checkbox" id="ssPixelShift" style="margin-right:10px;width:18px;height:18px;cursor:pointer;">
+                            <span style="font-weight:600;">Shift the taskbar, icons and windows slightly every minute</span>
+                        </label>
+                    </div>
+                    
+                    <div style="display:grid;grid-template-columns:1fr 2fr;gap:12px;">
+                        <button id="ssPreview" style="padding:12px;background:var(--button-bg);color:var(--text-primary);border:1px solid var(--border-color);border-radius:6px;cursor:pointer;font-size:14px;">Preview</button>
+                        <button id="ssSave" style="padding:12px;background:var(--accent);color:var(--accent-text);border:none;border-radius:6px;cursor:pointer;font-size:14px;font-weight:600;">Save Screen Saver</button>
+                    </div>
+                </div>
+                
+                <div id="eventBridgeSection" data-settings-live style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Multiple Screens</h3>
+                    
+                    <div style="margin:12px 0;padding:12px;background:var(--bg-primary);border-radius:6px;">
+                        <label style="display:flex;align-items:center;color:var(--text-primary);cursor:pointer;">
+                            <input type="checkbox" id="ebEnabled" style="margin-right:10px;width:18px;height:18px;cursor:pointer;">
+                            <span style="font-weight:600;">Share events with desktops open in other tabs or windows</span>
+                        </label>
+                    </div>
+                    
+                    <div style="margin:12px 0;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Shared Events (one per line, * allowed)</label>
+                        <textarea id="ebAllow" rows="4" spellcheck="false" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);font-family:monospace;resize:vertical;"></textarea>
+                        <p id="ebStatus" style="margin:8px 0 0 0;font-size:12px;color:var(--text-secondary);"></p>
+                    </div>
+                    
+                    <button id="ebSave" style="width:100%;padding:12px;background:var(--accent);color:var(--accent-text);border:none;border-radius:6px;cursor:pointer;font-size:14px;font-weight:600;">Save Multiple Screens</button>
+                </div>
+                
+                <div style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Icon Appearance</h3>
+                    
+                    <div style="margin:12px 0;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Icon Size</label>
+                        <select id="iconSize" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
                             <option value="small">Small (32px) - Compact view</option>
                             <option value="medium">Medium (48px) - Balanced</option>
                             <option value="large">Large (64px) - Easy to see</option>
@@ -65,41 +203,41 @@ window.DesktopSettingsApp = {
                     </div>
                     
                     <div style="margin:12px 0;">
-                        <label style="display:block;margin-bottom:8px;color:#333;font-weight:600;">Icon Spacing</label>
-                        <select id="iconSpacing" style="width:100%;padding:10px;border:2px solid #e0e0e0;border-radius:6px;font-size:14px;background:white;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Icon Spacing</label>
+                        <select id="iconSpacing" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
                             <option value="tight">Tight (8px) - More icons</option>
                             <option value="normal">Normal (15px) - Comfortable</option>
                             <option value="loose">Loose (25px) - Spacious</option>
                         </select>
                     </div>
                     
-                    <div style="margin:12px 0;padding:12px;background:#f5f5f5;border-radius:6px;">
-                        <label style="display:flex;align-items:center;color:#333;cursor:pointer;">
+                    <div style="margin:12px 0;padding:12px;background:var(--bg-primary);border-radius:6px;">
+                        <label style="display:flex;align-items:center;color:var(--text-primary);cursor:pointer;">
                             <input type="checkbox" id="showLabels" style="margin-right:10px;width:18px;height:18px;cursor:pointer;">
                             <span style="font-weight:600;">Show icon labels</span>
                         </label>
-                        <p style="margin:8px 0 0 28px;font-size:12px;color:#666;">Display app names below icons</p>
+                        <p style="margin:8px 0 0 28px;font-size:12px;color:var(--text-secondary);">Display app names below icons</p>
                     </div>
                 </div>
 
-                <div style="background:white;border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
-                    <h3 style="margin-top:0;color:#1976d2;border-bottom:2px solid #1976d2;padding-bottom:8px;">Interaction Behavior</h3>
+                <div style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Interaction Behavior</h3>
                     
-                    <div style="margin:12px 0;padding:12px;background:#f5f5f5;border-radius:6px;">
-                        <label style="display:flex;align-items:center;color:#333;cursor:pointer;">
+                    <div style="margin:12px 0;padding:12px;background:var(--bg-primary);border-radius:6px;">
+                        <label style="display:flex;align-items:center;color:var(--text-primary);cursor:pointer;">
                             <input type="checkbox" id="doubleClickToOpen" style="margin-right:10px;width:18px;height:18px;cursor:pointer;">
                             <span style="font-weight:600;">Double-click to open apps</span>
                         </label>
-                        <p style="margin:8px 0 0 28px;font-size:12px;color:#666;">Single click will just select the icon</p>
+                        <p style="margin:8px 0 0 28px;font-size:12px;color:var(--text-secondary);">Single click will just select the icon</p>
                     </div>
                 </div>
 
-                <div style="background:white;border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
-                    <h3 style="margin-top:0;color:#1976d2;border-bottom:2px solid #1976d2;padding-bottom:8px;">Layout Configuration</h3>
+                <div style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--accent);border-bottom:2px solid var(--accent);padding-bottom:8px;">Layout Configuration</h3>
                     
                     <div style="margin:12px 0;">
-                        <label style="display:block;margin-bottom:8px;color:#333;font-weight:600;">Icon Arrangement Method</label>
-                        <select id="layoutMode" style="width:100%;padding:10px;border:2px solid #e0e0e0;border-radius:6px;font-size:14px;background:white;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Icon Arrangement Method</label>
+                        <select id="layoutMode" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
                             <option value="auto">Auto Detect - Adapts to screen size</option>
                             <option value="grid">Grid Layout - Fixed columns</option>
                             <option value="lost">Adaptive Layout - Dynamic fitting</option>
@@ -107,8 +245,8 @@ window.DesktopSettingsApp = {
                     </div>
                     
                     <div id="columnsPerRowContainer" style="margin:12px 0;display:none;">
-                        <label style="display:block;margin-bottom:8px;color:#333;font-weight:600;">Columns per Row (Grid Mode Only)</label>
-                        <select id="columnsPerRow" style="width:100%;padding:10px;border:2px solid #e0e0e0;border-radius:6px;font-size:14px;background:white;">
+                        <label style="display:block;margin-bottom:8px;color:var(--text-primary);font-weight:600;">Columns per Row (Grid Mode Only)</label>
+                        <select id="columnsPerRow" style="width:100%;padding:10px;border:2px solid var(--border-color);border-radius:6px;font-size:14px;background:var(--input-bg);color:var(--text-primary);">
                             <option value="2">2 Columns - Wide icons</option>
                             <option value="3">3 Columns - Standard tablet</option>
                             <option value="4">4 Columns - Desktop default</option>
@@ -127,12 +265,12 @@ window.DesktopSettingsApp = {
                     </div>
                 </div>
                 
-                <div style="background:white;border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
-                    <h3 style="margin-top:0;color:#666;border-bottom:2px solid #e0e0e0;padding-bottom:8px;">Screen Information</h3>
-                    <div id="screenInfo" style="font-family:'Courier New',monospace;font-size:13px;line-height:1.8;color:#444;"></div>
+                <div style="background:var(--bg-secondary);border-radius:8px;padding:16px;margin-bottom:16px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                    <h3 style="margin-top:0;color:var(--text-secondary);border-bottom:2px solid var(--border-color);padding-bottom:8px;">Screen Information</h3>
+                    <div id="screenInfo" style="font-family:'Courier New',monospace;font-size:13px;line-height:1.8;color:var(--text-secondary);"></div>
                 </div>
                 
-                <div style="display:flex;gap:12px;margin-top:20px;padding-top:20px;border-top:2px solid #e0e0e0;">
+                <div style="display:flex;gap:12px;margin-top:20px;padding-top:20px;border-top:2px solid var(--border-color);">
                     <button id="resetSettings" style="flex:1;padding:12px;background:#dc3545;color:white;border:none;border-radius:6px;cursor:pointer;font-size:14px;font-weight:600;transition:background 0.2s;">
                         Reset to Defaults
                     </button>
@@ -163,6 +301,26 @@ setupHandlers(win) {
         this.resetSettings(win);
     };
     
+    // Themes apply on change, not with Apply
+    const themeSelect = win.querySelector('#themeSelect');
+    themeSelect.addEventListener('change', (e) => {
+        if (window.ThemeManager && window.ThemeManager.setTheme(e.target.value)) {
+            this.showStatusMessage(win, `Theme switched to ${e.target.options[e.target.selectedIndex].textContent}`, 'success');
+        }
+    });
+    
+    win.querySelector('#dnMode').addEventListener('change', () => this.updateDayNightFields(win));
+    win.querySelector('#dnNightBrightness').addEventListener('input', (e) => {
+        win.querySelector('#dnNightBrightnessValue').textContent = `${e.target.value}%`;
+    });
+    win.querySelector('#dnSave').addEventListener('click', () => this.saveDayNight(win));
+    win.querySelector('#ssSave').addEventListener('click', () => this.saveScreenSaver(win));
+    win.querySelector('#ebSave').addEventListener('click', () => this.saveEventBridge(win));
+    win.querySelector('#ssPreview').addEventListener('click', () => {
+        // After the click, so its own pointerup does not wake the preview
+        setTimeout(() => window.ScreenSaver.start(win.querySelector('#ssMode').value), 0);
+    });
+    
     layoutModeSelect.addEventListener('change', (e) => {
         const isGridMode = e.target.value === 'grid';
         columnsContainer.style.display = isGridMode ? 'block' : 'none';
@@ -180,7 +338,8 @@ setupHandlers(win) {
         });
     });
     
-    const inputs = win.querySelectorAll('select, input');
+    // Live sections save themselves; the rest waits for Apply
+    const inputs = Array.from(win.querySelectorAll('select, input')).filter(input => !input.closest('[data-settings-live]'));
     inputs.forEach(input => {
         input.addEventListener('change', () => {
             applyBtn.style.background = '#ffc107';
@@ -202,11 +361,174 @@ loadCurrentSettings(win) {
     const isGridMode = settings.layoutMode === 'grid';
     win.querySelector('#columnsPerRowContainer').style.display = isGridMode ? 'block' : 'none';
     
+    this.loadThemes(win);
+    this.loadDayNight(win);
+    this.loadScreenSaver(win);
+    this.loadEventBridge(win);
     this.updateScreenInfo(win);
     
     console.log('Loaded current settings into form:', settings);
 },
 
+loadThemes(win) {
+    const themeSelect = win.querySelector('#themeSelect');
+    const themes = window.ThemeManager ? window.ThemeManager.getAvailableThemes() : [];
+    
+    themeSelect.innerHTML = '';
+    if (themes.length === 0) {
+        themeSelect.innerHTML = '<option value="" disabled selected>No themes available</option>';
+        themeSelect.disabled = true;
+        return;
+    }
+    
+    themeSelect.disabled = false;
+    const currentThemeId = window.ThemeManager.getCurrentTheme();
+    themes.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        option.selected = theme.id === currentThemeId;
+        themeSelect.appendChild(option);
+    });
+},
+
+loadDayNight(win) {
+    const section = win.querySelector('#dayNightSection');
+    if (!window.DayNightScheduler) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const settings = window.DayNightScheduler.getSettings();
+    const themes = window.ThemeManager ? window.ThemeManager.getAvailableThemes() : [];
+    [['#dnDayTheme', settings.dayTheme], ['#dnNightTheme', settings.nightTheme]].forEach(([selector, selected]) => {
+        const select = win.querySelector(selector);
+        select.innerHTML = '';
+        themes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            option.selected = theme.id === selected;
+            select.appendChild(option);
+        });
+    });
+    
+    win.querySelector('#dnMode').value = settings.mode;
+    win.querySelector('#dnDayStart').value = settings.dayStart;
+    win.querySelector('#dnNightStart').value = settings.nightStart;
+    win.querySelector('#dnLatitude').value = settings.latitude === null ? '' : settings.latitude;
+    win.querySelector('#dnLongitude').value = settings.longitude === null ? '' : settings.longitude;
+    win.querySelector('#dnLuxThreshold').value = settings.luxThreshold;
+    win.querySelector('#dnDimming').checked = settings.dimming;
+    win.querySelector('#dnNightBrightness').value = settings.nightBrightness;
+    win.querySelector('#dnNightBrightnessValue').textContent = `${settings.nightBrightness}%`;
+    
+    this.updateDayNightFields(win);
+},
+
+// Show only the fields the selected mode uses
+updateDayNightFields(win) {
+    const mode = win.querySelector('#dnMode').value;
+    win.querySelectorAll('[data-dn-modes]').forEach(group => {
+        group.style.display = group.dataset.dnModes.split(' ').includes(mode) ? 'grid' : 'none';
+    });
+    
+    const status = window.DayNightScheduler.getStatus();
+    win.querySelector('#dnStatus').textContent = status.phase
+        ? `Now: ${status.phase} (${status.source}${status.lux !== null ? `, ${status.lux} lux` : ''})`
+        : 'Automatic switching is off';
+},
+
+saveDayNight(win) {
+    const number = (selector) => {
+        const value = parseFloat(win.querySelector(selector).value);
+        return Number.isFinite(value) ? value : null;
+    };
+    
+    const changes = {
+        mode: win.querySelector('#dnMode').value,
+        dayTheme: win.querySelector('#dnDayTheme').value,
+        nightTheme: win.querySelector('#dnNightTheme').value,
+        dayStart: win.querySelector('#dnDayStart').value || '07:00',
+        nightStart: win.querySelector('#dnNightStart').value || '19:00',
+        latitude: number('#dnLatitude'),
+        longitude: number('#dnLongitude'),
+        luxThreshold: number('#dnLuxThreshold') === null ? 50 : number('#dnLuxThreshold'),
+        dimming: win.querySelector('#dnDimming').checked,
+        nightBrightness: parseInt(win.querySelector('#dnNightBrightness').value, 10)
+    };
+    
+    if (changes.mode === 'sun' && (changes.latitude === null || changes.longitude === null)) {
+        this.showStatusMessage(win, 'Enter latitude and longitude for sunrise/sunset switching.', 'error');
+        return;
+    }
+    
+    window.DayNightScheduler.configure(changes);
+    this.showStatusMessage(win, 'Day / Night schedule saved', 'success');
+    // The first evaluation may wait for the light sensor
+    setTimeout(() => this.updateDayNightFields(win), 500);
+},
+
+loadScreenSaver(win) {
+    if (!window.ScreenSaver) {
+        win.querySelector('#screenSaverSection').style.display = 'none';
+        return;
+    }
+    
+    const settings = window.ScreenSaver.getSettings();
+    win.querySelector('#ssMode').value = settings.mode;
+    win.querySelector('#ssTimeout').value = settings.timeout;
+    win.querySelector('#ssSlideInterval').value = settings.slideInterval;
+    win.querySelector('#ssPixelShift').checked = settings.pixelShift;
+    
+    const count = window.ScreenSaver.images.length;
+    win.querySelector('#ssImages').textContent = count > 0
+        ? `Slideshow: ${count} images from Gallery`
+        : 'No slideshow images yet - open Gallery and press "Screen Saver". The clock is shown until then.';
+},
+
+saveScreenSaver(win) {
+    const timeout = parseInt(win.querySelector('#ssTimeout').value, 10);
+    const slideInterval = parseInt(win.querySelector('#ssSlideInterval').value, 10);
+    
+    if (!(timeout >= 1)) {
+        this.showStatusMessage(win, 'Enter an idle time of at least 1 minute.', 'error');
+        return;
+    }
+    
+    window.ScreenSaver.configure({
+        mode: win.querySelector('#ssMode').value,
+        timeout,
+        slideInterval: slideInterval >= 5 ? slideInterval : 15,
+        pixelShift: win.querySelector('#ssPixelShift').checked
+    });
+    this.showStatusMessage(win, 'Screen saver saved', 'success');
+},
+
+loadEventBridge(win) {
+    if (!window.EventBridge) {
+        win.querySelector('#eventBridgeSection').style.display = 'none';
+        return;
+    }
+    
+    const settings = window.EventBridge.getSettings();
+    const status = window.EventBridge.getStatus();
+    win.querySelector('#ebEnabled').checked = settings.enabled;
+    win.querySelector('#ebAllow').value = settings.allow.join('\n');
+    win.querySelector('#ebStatus').textContent = status.connected
+        ? `Connected - ${status.sent} sent, ${status.received} received`
+        : (settings.enabled ? 'Not supported by this browser' : 'Off - events stay on this screen');
+},
+
+saveEventBridge(win) {
+    window.EventBridge.configure({
+        enabled: win.querySelector('#ebEnabled').checked,
+        allow: win.querySelector('#ebAllow').value.split('\n')
+    });
+    this.loadEventBridge(win);
+    this.showStatusMessage(win, 'Multiple screens settings saved', 'success');
+},
+
 updateScreenInfo(win) {
     const info = win.querySelector('#screenInfo');
     const width = window.innerWidth;
@@ -353,10 +675,14 @@ if (window.AppRegistry) {
         singleInstance: true, 
         documentation: { 
             name: 'Desktop Settings', 
-            version: '3.0.1', 
+            version: '3.4.0', 
             description: 'Configure desktop layout, icon appearance, and interaction preferences with persistent state management. FIXED: Double-click setting now properly saves and applies.', 
             type: 'System', 
             features: [ 
+                'Theme selection (Light, Dark, High Contrast and registered packs)', 
+                'Day / Night theme and brightness schedule (fixed times, sunrise/sunset, light sensor)', 
+                'Screen saver mode, idle timeout and pixel shift', 
+                'Event sync between desktops open in several tabs or windows', 
                 'Independent state persistence to localStorage', 
                 'Icon size and spacing controls', 
                 'Layout mode selection (auto/grid/adaptive)', 
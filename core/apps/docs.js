@@ -19,6 +19,9 @@ window.Docs = {
             window.EventBus.on('app-registered', (app) => {
                 this.collectAppDoc(app.id, app);
             });
+            window.EventBus.on('app-unregistered', (data) => {
+                this.unregister(data.appId);
+            });
         }
         
         // Scan existing apps
@@ -125,7 +128,8 @@ window.Docs = {
                 { name: 'getDoc', description: 'Get documentation for an app' },
                 { name: 'getAllDocs', description: 'Get all documentation' },
                 { name: 'search', description: 'Search documentation' },
-                { name: 'register', description: 'Manually register documentation' }
+                { name: 'register', description: 'Manually register documentation' },
+                { name: 'unregister', description: 'Remove documentation (uninstalled apps)' }
             ],
             verified: true,
             lastUpdated: new Date().toISOString()
@@ -172,6 +176,10 @@ window.Docs = {
         });
     },
     
+    unregister(appId) {
+        return this.registry.delete(appId);
+    },
+    
     getStats() {
         const docs = this.getAllDocs();
         return {
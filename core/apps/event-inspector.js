@@ -0,0 +1,602 @@
+/* ========================================
+ * FILE: core/apps/event-inspector.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-18
+ *
+ * PURPOSE:
+ * Developer console for EventBus traffic. Shows a live, filterable
+ * timeline of every event with its payload as a tree, the time it was
+ * emitted and how many listeners it reached. A session can be recorded,
+ * exported as JSON and replayed into the bus later - e.g. a burst of HAL
+ * status events, to reproduce a UI bug without the hardware.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.EventInspectorApp (single window).
+ * - Taps EventBus with a '*' listener owned by its window, so closing the
+ *   inspector removes the tap. Sticky and buffered events (replay) are
+ *   shown first, marked 'backlog'.
+ * - Payloads are snapshotted when they arrive (JSON-safe: functions, DOM
+ *   nodes and cycles become strings), so later mutation does not change
+ *   the timeline and any entry can be exported.
+ * - Timeline keeps the last config.maxEntries events. Pause drops new
+ *   events (and counts them); Record copies events into a recording with
+ *   their offset from the start.
+ * - Replay emits a recording's events with their original spacing (or
+ *   faster). Only events matching the filter are replayed: app events
+ *   ('<appId>:...', see EventBus.getAppNamespace) always, device events
+ *   (hal:*, gpio-*, theme-*) when "Device events" is ticked, and other
+ *   desktop events (window-*, module-*, screensaver-*, ...) never - the
+ *   windows and modules they describe are gone.
+ * - Replays run inside EventBridge.keepLocal(), so they never reach
+ *   other screens (no replayed theme change or emergency stop there).
+ *
+ * RECORDING FORMAT:
+ * { format: 'gnoke-event-recording', version: 1, recorded, duration,
+ *   events: [{ t, event, data, source }] }   t = ms from the start
+ *
+ * DEPENDENCIES:
+ * - EventBus, WindowManager, AppRegistry
+ * - EventBridge (optional, marks events from other screens)
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.EventInspectorApp = {
+    config: {
+        maxEntries: 1000,
+        maxDepth: 8,
+        format: 'gnoke-event-recording',
+        formatVersion: 1,
+        // Desktop events that drive real devices or the desktop's look,
+        // replayed only when "Device events" is ticked. App events
+        // ('<appId>:...') always replay; every other desktop event never does
+        deviceEvents: /^(?:gpio-|theme-|hal:)/
+    },
+
+    currentWindow: null,
+    unsubscribe: null,
+    entries: [],
+    seq: 0,
+    selectedSeq: null,
+    filter: '',
+    filterRegex: null,
+    paused: false,
+    skipped: 0,
+    recording: null,      // { started, events: [{ t, event, data, source }], source: 'live' | file name }
+    isRecording: false,
+    replayTimer: null,
+    replayCount: 0,
+    catchingUp: false,    // delivering the bus backlog to the tap
+    emittingReplay: false,
+    replayDevice: false,  // include config.deviceEvents in a replay
+    pendingRows: [],
+    renderScheduled: false,
+
+    open() {
+        if (this.currentWindow && window.WindowManager.getWindow(this.currentWindow.id)) {
+            window.WindowManager.focusWindow(this.currentWindow.id);
+            return this.currentWindow;
+        }
+
+        const win = window.WindowManager.createWindow('Event Inspector', this.createContent(), 760, 520);
+        this.currentWindow = win;
+        this.entries = [];
+        this.selectedSeq = null;
+        this.paused = false;
+        this.skipped = 0;
+
+        this.setupEventHandlers(win);
+
+        this.catchingUp = true;
+        this.unsubscribe = window.EventBus.on('*', (data, event) => this.capture(event, data), { owner: win, replay: true });
+        this.catchingUp = false;
+
+        window.EventBus.on('window-closed', (data) => {
+            if (data.windowId === win.id) this.cleanup();
+        }, { owner: win });
+
+        this.updateStatus();
+        return win;
+    },
+
+    cleanup() {
+        this.stopReplay();
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        this.isRecording = false;
+        this.currentWindow = null;
+        this.entries = [];
+        this.pendingRows = [];
+    },
+
+    createContent() {
+        const button = 'padding: 4px 10px; border: 1px solid var(--border-color, #ccc); background: var(--button-bg, #f4f4f4); color: var(--text-primary, #222); border-radius: 3px; font-size: 12px; cursor: pointer;';
+        return `
+            <div class="event-inspector" style="display: flex; flex-direction: column; height: 100%; font-family: 'Segoe UI', sans-serif; font-size: 12px; background: var(--bg-primary, #f8f9fa); color: var(--text-primary, #222);">
+                <div style="display: flex; flex-wrap: wrap; gap: 6px; align-items: center; padding: 8px; border-bottom: 1px solid var(--border-color, #ccc);">
+                    <button id="eiPause" style="${button}">Pause</button>
+                    <button id="eiRecord" style="${button}">● Record</button>
+                    <button id="eiExport" style="${button}">Export</button>
+                    <button id="eiImport" style="${button}">Import</button>
+                    <button id="eiReplay" style="${button}">▶ Replay</button>
+                    <select id="eiSpeed" title="Replay speed" style="${button}">
+                        <option value="1">1×</option>
+                        <option value="2">2×</option>
+                        <option value="10">10×</option>
+                        <option value="0">Instant</option>
+                    </select>
+                    <label title="Also replay hal:*, gpio-* and theme-* events" style="display: flex; align-items: center; gap: 4px;">
+                        <input type="checkbox" id="eiDevice"> Device events
+                    </label>
+                    <button id="eiClear" style="${button}">Clear</button>
+                    <input id="eiFilter" type="text" placeholder="Filter: gpio or hal:*" style="flex: 1; min-width: 140px; padding: 5px 8px; border: 1px solid var(--border-color, #ccc); border-radius: 3px; background: var(--input-bg, #fff); color: var(--text-primary, #222);">
+                </div>
+                <div id="eiStatus" style="padding: 4px 8px; font-size: 11px; color: var(--text-secondary, #666); border-bottom: 1px solid var(--border-color, #ccc);"></div>
+                <div style="flex: 1; display: flex; min-height: 0;">
+                    <div id="eiTimeline" style="flex: 1; overflow-y: auto; font-family: monospace; border-right: 1px solid var(--border-color, #ccc);"></div>
+                    <div id="eiDetail" style="width: 45%; overflow: auto; padding: 8px; font-family: monospace; background: var(--bg-secondary, #fff);">
+                        <div style="color: var(--text-secondary, #666); font-family: 'Segoe UI', sans-serif;">Select an event to see its payload.</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    setupEventHandlers(win) {
+        win.querySelector('#eiPause').addEventListener('click', () => this.togglePause());
+        win.querySelector('#eiRecord').addEventListener('click', () => this.toggleRecording());
+        win.querySelector('#eiExport').addEventListener('click', () => this.exportRecording());
+        win.querySelector('#eiImport').addEventListener('click', () => this.importRecording());
+        win.querySelector('#eiReplay').addEventListener('click', () => {
+            if (this.replayTimer !== null) {
+                this.stopReplay();
+            } else {
+                this.replay(this.recording, Number(win.querySelector('#eiSpeed').value));
+            }
+        });
+        win.querySelector('#eiDevice').addEventListener('change', (e) => { this.replayDevice = e.target.checked; });
+        win.querySelector('#eiClear').addEventListener('click', () => this.clear());
+        win.querySelector('#eiFilter').addEventListener('input', (e) => this.setFilter(e.target.value));
+
+        win.querySelector('#eiTimeline').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-seq]');
+            if (row) this.select(Number(row.dataset.seq));
+        });
+    },
+
+    // Capture
+
+    capture(event, data) {
+        if (this.paused) {
+            this.skipped++;
+            this.updateStatus();
+            return;
+        }
+
+        let source = 'local';
+        if (this.catchingUp) source = 'backlog';
+        else if (this.emittingReplay) source = 'replay'; // including what listeners emit in response
+        else if (window.EventBridge && window.EventBridge.isRemote()) source = 'remote';
+
+        const entry = {
+            seq: ++this.seq,
+            time: Date.now(),
+            event,
+            data: this.snapshot(data),
+            // Not counting this inspector's own tap
+            listeners: Math.max(0, window.EventBus.getListenerCount(event) - 1),
+            source
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.config.maxEntries) {
+            const dropped = this.entries.shift();
+            this.pendingRows = this.pendingRows.filter(item => item !== dropped);
+            const row = this.currentWindow && this.currentWindow.querySelector(`[data-seq="${dropped.seq}"]`);
+            if (row) row.remove();
+        }
+
+        if (this.isRecording && (source === 'local' || source === 'remote')) {
+            this.recording.events.push({ t: entry.time - this.recording.started, event, data: entry.data, source });
+        }
+
+        if (this.matches(entry.event)) {
+            this.pendingRows.push(entry);
+            this.scheduleRender();
+        }
+        this.updateStatus();
+    },
+
+    // JSON-safe copy of a payload
+    snapshot(value, depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined || typeof value === 'boolean' || typeof value === 'string') return value;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+        if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+            if (value.nodeType !== 1) return `[${value.nodeName}]`;
+            return `<${value.nodeName.toLowerCase()}${value.id ? '#' + value.id : ''}>`;
+        }
+        if (value instanceof Date) return isNaN(value) ? 'Invalid Date' : value.toISOString();
+        if (value instanceof Error) return { name: value.name, message: value.message };
+
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= this.config.maxDepth) return Array.isArray(value) ? '[Array]' : '[Object]';
+        seen.add(value);
+
+        let copy;
+        if (Array.isArray(value) || value instanceof Set) {
+            copy = Array.from(value, item => this.snapshot(item, depth + 1, seen));
+        } else {
+            const source = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+            copy = {};
+            source.forEach(([key, item]) => {
+                copy[String(key)] = this.snapshot(item, depth + 1, seen);
+            });
+        }
+        seen.delete(value);
+        return copy;
+    },
+
+    // Timeline
+
+    setFilter(text) {
+        this.filter = text.trim();
+        this.filterRegex = this.filter.includes('*') ? window.EventBus.compilePattern(this.filter) : null;
+        this.renderTimeline();
+    },
+
+    // 'hal:*' is an EventBus pattern, anything else a case-insensitive substring
+    matches(event) {
+        if (!this.filter) return true;
+        if (this.filterRegex) return this.filterRegex.test(event);
+        return event.toLowerCase().includes(this.filter.toLowerCase());
+    },
+
+    // Events can arrive in bursts; rows are added once per frame
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        const flush = () => {
+            this.renderScheduled = false;
+            this.flushRows();
+        };
+        if (typeof requestAnimationFrame === 'function') requestAnimationFrame(flush);
+        else setTimeout(flush, 16);
+    },
+
+    flushRows() {
+        const timeline = this.currentWindow && this.currentWindow.querySelector('#eiTimeline');
+        const rows = this.pendingRows;
+        this.pendingRows = [];
+        if (!timeline || rows.length === 0) return;
+
+        const atBottom = timeline.scrollTop + timeline.clientHeight >= timeline.scrollHeight - 20;
+        const fragment = document.createDocumentFragment();
+        rows.forEach(entry => fragment.appendChild(this.createRow(entry)));
+        timeline.appendChild(fragment);
+        if (atBottom) timeline.scrollTop = timeline.scrollHeight;
+    },
+
+    renderTimeline() {
+        const timeline = this.currentWindow && this.currentWindow.querySelector('#eiTimeline');
+        if (!timeline) return;
+
+        this.pendingRows = [];
+        timeline.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        this.entries.filter(entry => this.matches(entry.event)).forEach(entry => fragment.appendChild(this.createRow(entry)));
+        timeline.appendChild(fragment);
+        timeline.scrollTop = timeline.scrollHeight;
+    },
+
+    // Event names and payloads can come from any app: text only, never innerHTML
+    createRow(entry) {
+        const colors = { local: 'var(--text-secondary, #666)', backlog: '#8e44ad', replay: '#d35400', remote: '#16a085' };
+
+        const row = document.createElement('div');
+        row.dataset.seq = entry.seq;
+        row.style.cssText = 'display: flex; gap: 8px; padding: 3px 8px; cursor: pointer; white-space: nowrap; border-bottom: 1px solid var(--border-color, #eee);';
+        if (entry.seq === this.selectedSeq) row.style.background = 'var(--accent, #4a90e2)';
+
+        const cell = (text, style) => {
+            const span = document.createElement('span');
+            span.textContent = text;
+            span.style.cssText = style;
+            row.appendChild(span);
+        };
+        cell(this.formatTime(entry.time), 'color: var(--text-secondary, #666);');
+        cell(entry.event, 'flex: 1; overflow: hidden; text-overflow: ellipsis;');
+        cell(`${entry.listeners} ⇢`, 'color: var(--text-secondary, #666);');
+        cell(entry.source, `width: 52px; text-align: right; color: ${colors[entry.source]};`);
+        row.title = `${entry.listeners} listener(s)`;
+        return row;
+    },
+
+    select(seq) {
+        const win = this.currentWindow;
+        const entry = this.entries.find(item => item.seq === seq);
+        if (!win || !entry) return;
+
+        const previous = win.querySelector(`[data-seq="${this.selectedSeq}"]`);
+        if (previous) previous.style.background = '';
+        this.selectedSeq = seq;
+        const row = win.querySelector(`[data-seq="${seq}"]`);
+        if (row) row.style.background = 'var(--accent, #4a90e2)';
+
+        const detail = win.querySelector('#eiDetail');
+        detail.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight: bold; margin-bottom: 4px; word-break: break-all;';
+        title.textContent = entry.event;
+
+        const meta = document.createElement('div');
+        meta.style.cssText = 'color: var(--text-secondary, #666); margin-bottom: 8px; line-height: 1.5;';
+        const bus = window.EventBus;
+        meta.textContent = [
+            `${new Date(entry.time).toLocaleDateString()} ${this.formatTime(entry.time)} · ${entry.source}`,
+            `Listeners when emitted: ${entry.listeners} · now: ${Math.max(0, bus.getListenerCount(entry.event) - 1)}`,
+            bus.stickyEvents.has(entry.event) ? 'Sticky: replayed to late subscribers' : ''
+        ].filter(Boolean).join('\n');
+        meta.style.whiteSpace = 'pre-line';
+
+        detail.appendChild(title);
+        detail.appendChild(meta);
+        detail.appendChild(this.renderTree(entry.data, 'payload', 0));
+    },
+
+    renderTree(value, key, depth) {
+        const isObject = value !== null && typeof value === 'object';
+
+        if (!isObject) {
+            const line = document.createElement('div');
+            line.style.cssText = `padding-left: ${depth ? 14 : 0}px; word-break: break-all;`;
+            const name = document.createElement('span');
+            name.textContent = `${key}: `;
+            const text = document.createElement('span');
+            text.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+            text.style.color = typeof value === 'string' ? '#c0392b' : typeof value === 'number' ? '#2980b9' : '#8e44ad';
+            line.appendChild(name);
+            line.appendChild(text);
+            return line;
+        }
+
+        const keys = Object.keys(value);
+        const details = document.createElement('details');
+        details.open = depth < 2;
+        details.style.paddingLeft = depth ? '14px' : '0';
+
+        const summary = document.createElement('summary');
+        summary.style.cursor = 'pointer';
+        summary.textContent = Array.isArray(value) ? `${key}: Array(${keys.length})` : `${key}: {${keys.length}}`;
+        details.appendChild(summary);
+
+        keys.forEach(childKey => details.appendChild(this.renderTree(value[childKey], childKey, depth + 1)));
+        return details;
+    },
+
+    formatTime(time) {
+        const date = new Date(time);
+        const pad = (number, size = 2) => String(number).padStart(size, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    },
+
+    clear() {
+        this.entries = [];
+        this.pendingRows = [];
+        this.selectedSeq = null;
+        this.skipped = 0;
+        this.renderTimeline();
+        const detail = this.currentWindow && this.currentWindow.querySelector('#eiDetail');
+        if (detail) detail.innerHTML = '';
+        this.updateStatus();
+    },
+
+    togglePause() {
+        this.paused = !this.paused;
+        if (!this.paused) this.skipped = 0;
+        this.updateStatus();
+    },
+
+    // Recording
+
+    toggleRecording() {
+        if (this.isRecording) {
+            this.isRecording = false;
+        } else {
+            this.recording = { started: Date.now(), events: [], source: 'live' };
+            this.isRecording = true;
+        }
+        this.updateStatus();
+    },
+
+    // The recording if there is one, otherwise the visible timeline
+    buildExport() {
+        let events;
+        let started;
+        if (this.recording && this.recording.events.length > 0) {
+            events = this.recording.events;
+            started = this.recording.started || Date.now();
+        } else {
+            const visible = this.entries.filter(entry => this.matches(entry.event) && entry.source !== 'replay');
+            started = visible.length > 0 ? visible[0].time : Date.now();
+            events = visible.map(entry => ({ t: entry.time - started, event: entry.event, data: entry.data, source: entry.source }));
+        }
+
+        return {
+            format: this.config.format,
+            version: this.config.formatVersion,
+            recorded: new Date(started).toISOString(),
+            duration: events.length > 0 ? events[events.length - 1].t : 0,
+            events
+        };
+    },
+
+    exportRecording() {
+        const recording = this.buildExport();
+        if (recording.events.length === 0) {
+            window.WindowManager.alert('Nothing to export yet. Record a session or wait for events.', { parent: this.currentWindow });
+            return null;
+        }
+
+        const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `event-recording-${recording.recorded.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return recording;
+    },
+
+    importRecording() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                this.loadRecording(JSON.parse(await file.text()), file.name);
+            } catch (error) {
+                window.WindowManager.alert(`Could not load ${file.name}: ${error.message}`, { parent: this.currentWindow });
+            }
+        };
+
+        input.click();
+    },
+
+    // Accepts the export format; throws on anything else
+    loadRecording(recording, name = 'file') {
+        if (!recording || recording.format !== this.config.format || !Array.isArray(recording.events)) {
+            throw new Error('not an event recording');
+        }
+
+        const events = recording.events
+            .filter(item => item && typeof item.event === 'string' && item.event)
+            .map(item => ({ t: Math.max(0, Number(item.t) || 0), event: item.event, data: item.data, source: item.source || 'local' }))
+            .sort((a, b) => a.t - b.t);
+
+        this.isRecording = false;
+        this.recording = { started: Date.parse(recording.recorded) || null, events, source: name };
+        this.updateStatus();
+        return events.length;
+    },
+
+    // Replay
+
+    // speed: 1 = real time, 2, 10 ..., 0 = as fast as possible (still in order)
+    replay(recording, speed = 1) {
+        this.stopReplay();
+        if (!recording || recording.events.length === 0) {
+            window.WindowManager.alert('Record a session or import one before replaying.', { parent: this.currentWindow });
+            return 0;
+        }
+
+        const events = recording.events.filter(item => this.matches(item.event) && this.isReplayable(item.event));
+        if (events.length === 0) return 0;
+
+        // A replayed session is not part of a new recording
+        this.isRecording = false;
+        this.replayCount = 0;
+
+        let index = 0;
+        const step = () => {
+            const item = events[index];
+            // Listeners get their own copy; the recording stays as recorded
+            const data = item.data === undefined ? undefined : JSON.parse(JSON.stringify(item.data));
+            const emit = () => window.EventBus.emit(item.event, data);
+            this.emittingReplay = true;
+            try {
+                if (window.EventBridge) window.EventBridge.keepLocal(emit);
+                else emit();
+            } finally {
+                this.emittingReplay = false;
+            }
+            this.replayCount++;
+
+            index++;
+            if (index >= events.length) {
+                this.replayTimer = null;
+                this.updateStatus();
+                console.log(`EventInspector: replayed ${this.replayCount} events`);
+                return;
+            }
+            const delay = speed > 0 ? (events[index].t - item.t) / speed : 0;
+            this.replayTimer = setTimeout(step, delay);
+            this.updateStatus();
+        };
+
+        this.replayTimer = setTimeout(step, 0);
+        this.updateStatus();
+        return events.length;
+    },
+
+    isReplayable(event) {
+        if (window.EventBus.getAppNamespace(event)) return true;
+        return this.replayDevice && this.config.deviceEvents.test(event);
+    },
+
+    stopReplay() {
+        if (this.replayTimer !== null) clearTimeout(this.replayTimer);
+        this.replayTimer = null;
+        this.updateStatus();
+    },
+
+    updateStatus() {
+        const win = this.currentWindow;
+        if (!win) return;
+
+        win.querySelector('#eiPause').textContent = this.paused ? 'Resume' : 'Pause';
+        win.querySelector('#eiRecord').textContent = this.isRecording ? '■ Stop' : '● Record';
+        win.querySelector('#eiReplay').textContent = this.replayTimer !== null ? '■ Stop replay' : '▶ Replay';
+
+        const parts = [`${this.entries.length} events`];
+        if (this.paused) parts.push(`paused (${this.skipped} skipped)`);
+        if (this.recording) {
+            const from = this.recording.source === 'live' ? '' : ` from ${this.recording.source}`;
+            parts.push(`${this.isRecording ? 'recording' : 'recorded'}: ${this.recording.events.length} events${from}`);
+        }
+        if (this.replayTimer !== null) parts.push(`replaying… ${this.replayCount} sent`);
+        win.querySelector('#eiStatus').textContent = parts.join(' · ');
+    }
+};
+
+// Register EventInspectorApp with AppRegistry
+if (window.AppRegistry) {
+    window.AppRegistry.registerApp({
+        id: 'event-inspector',
+        name: 'Event Inspector',
+        icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='4' y='6' width='40' height='36' rx='4' fill='%232c3e50'/><path d='M10 30h6l4-12 6 18 4-10h8' fill='none' stroke='%231abc9c' stroke-width='3' stroke-linecap='round' stroke-linejoin='round'/></svg>",
+        handler: () => window.EventInspectorApp.open(),
+        singleInstance: true,
+        documentation: {
+            name: 'Event Inspector',
+            version: '1.0.0',
+            description: 'Developer console for EventBus traffic: live timeline, payload trees, listener counts, recording, JSON export and replay.',
+            type: 'System',
+            features: [
+                'Live timeline of every EventBus event, starting with sticky and buffered ones',
+                'Filter by substring or EventBus pattern (hal:*)',
+                'Payload tree, timestamp and listener count per event',
+                'Pause, record, export a recording as JSON and import it again',
+                'Replay a recording into this desktop at 1×, 2×, 10× or instantly; app events replay, device events (hal:, gpio-, theme-) only on request, other desktop events never, and nothing is forwarded to other screens'
+            ],
+            methods: [
+                { name: 'open()', description: 'Opens the inspector window and starts listening' },
+                { name: 'toggleRecording()', description: 'Starts or stops recording events' },
+                { name: 'exportRecording()', description: 'Downloads the recording (or the visible timeline) as JSON' },
+                { name: 'loadRecording(recording, name)', description: 'Loads an exported recording for replay' },
+                { name: 'replay(recording, speed)', description: 'Emits a recording\'s events with their original spacing divided by speed (0 = instant)' },
+                { name: 'stopReplay()', description: 'Stops a running replay' }
+            ]
+        }
+    });
+}
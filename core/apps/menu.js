@@ -306,6 +306,12 @@
       localStorage.setItem('webos-recent-apps', JSON.stringify(this.recentApps));
     },
 
+    removeApp(appId) {
+      this.recentApps = this.recentApps.filter(id => id !== appId);
+      localStorage.setItem('webos-recent-apps', JSON.stringify(this.recentApps));
+      this.refreshApps();
+    },
+
     getDefaultIcon() {
       return "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='24' height='24'><rect width='24' height='24' fill='%23ccc'/></svg>";
     }
@@ -320,4 +326,9 @@
       singleInstance: true
     });
   }
+
+  // Drop uninstalled apps from the list and recents
+  if (window.EventBus) {
+    window.EventBus.on('app-unregistered', (data) => window.StartMenuApp.removeApp(data.appId));
+  }
 })();
@@ -1,130 +1,286 @@
 // programs.js - Third-party App Manager for WebDesktop
+//
+// The app catalog is a JSON index (default system/store/catalog.json) that
+// can be pointed at an intranet server, so panels pick up new apps and
+// versions without platform changes:
+//
+//   { "catalogVersion": 1, "apps": [
+//       { "id": "wled", "name": "WLED Controller", "version": "1.1.0",
+//         "entry": "wled/1.1.0/wled.js", "sha256": "<hex>", ... } ] }
+//
+// Entries are resolved relative to the catalog URL. Give each version its
+// own entry path on the server so older versions stay available for rollback.
+// Every entry needs the script's SHA-256 (see core/integrity.js); scripts
+// that fail verification are never run.
+//
+// Apps installed from a file (core/sideload.js) live in IndexedDB and are
+// listed alongside the catalog with sideloaded: true. They run in
+// SandboxRuntime unless their manifest says "sandbox": false.
+//
+// Installed apps are not run at boot: each is listed from its manifest
+// (AppRegistry.registerLazyApp) and its script loads on first launch.
 (function() {
     window.ProgramLoader = {
-        // App catalog - these are the available apps that can be installed
-        appCatalog: [
-            // Existing Apps
-            {
-                id: 'wled',
-                name: 'WLED Controller',
-                size: '24KB',
-                category: 'IoT',
-                url: 'system/store/wled.js',
-                description: 'Control WLED-compatible LED strips with real-time effects'
-            },
-            {
-                id: 'notepad',
-                name: 'Notepad',
-                size: '21KB',
-                category: 'Productivity',
-                url: 'system/store/notepad.js',
-                description: 'Simple text editor with file save/load capabilities. limited edition'
-            },
-            {
-                id: 'aquarium',
-                name: 'Aquarium App',
-                size: '56.75 KB',
-                category: 'Utility',
-                url: 'system/store/aquarium.js',
-                description: 'Management or display for an aquarium system.'
-            },
-            {
-                id: 'calendar',
-                name: 'Calendar',
-                size: '12.12 KB',
-                category: 'Productivity',
-                url: 'system/store/calendar.js',
-                description: 'A standard calendar application.'
-            },
-            {
-                id: 'cloud-storage',
-                name: 'Cloud Storage',
-                size: '15.19 KB',
-                category: 'System',
-                url: 'system/store/cloud-storage.js',
-                description: 'Interface for accessing cloud storage services. Under Development.'
-            },
-            {
-                id: 'contacts',
-                name: 'Contacts',
-                size: '18.16 KB',
-                category: 'Productivity',
-                url: 'system/store/contacts.js',
-                description: 'Address book and contact management tool.'
-            },
-            {
-                id: 'gallery',
-                name: 'Gallery',
-                size: '15.13 KB',
-                category: 'Media',
-                url: 'system/store/gallery.js',
-                description: 'Viewer for images and media.'
-            },
-            {
-                id: 'gpio',
-                name: 'GPIO Interface',
-                size: '46.77 KB',
-                category: 'IoT',
-                url: 'system/store/gpio.js',
-                description: 'Interface for General Purpose Input/Output (GPIO) control.'
-            },
-            {
-                id: 'greenhouse',
-                name: 'Greenhouse Controller',
-                size: '31.44 KB',
-                category: 'IoT',
-                url: 'system/store/greenhouse.js',
-                description: 'Application for monitoring and controlling a smart greenhouse.'
-            },
-            {
-                id: 'homehub',
-                name: 'Home Hub',
-                size: '65.71 KB',
-                category: 'System',
-                url: 'system/store/homehub.js',
-                description: 'Central control interface for smart home devices.'
-            },
-            {
-                id: 'itel',
-                name: 'iTel Utility',
-                size: '17.77 KB',
-                category: 'Utility',
-                url: 'system/store/itel.js',
-                description: 'Specific utility application (iTel branded or similar). Under Development'
-            },
-            {
-                id: 'odroid',
-                name: 'ODROID Utility',
-                size: '59.74 KB',
-                category: 'System',
-                url: 'system/store/odroid.js',
-                description: 'System or hardware management tool, likely for an ODROID device.'
-            },
-            {
-                id: 'samsung-tv',
-                name: 'Samsung TV Remote',
-                size: '23.62 KB',
-                category: 'IoT',
-                url: 'system/store/samsung-tv.js',
-                description: 'Remote control and management for a Samsung smart TV.'
-            },
-            {
-                id: 'sysinfo',
-                name: 'System Info',
-                size: '3.29 KB',
-                category: 'System',
-                url: 'system/store/sysinfo.js',
-                description: 'Displays detailed information about the browser system and hardware.'
-            }
-        ],
+        config: {
+            catalogUrlKey: 'webos-catalog-url',
+            defaultCatalogUrl: 'system/store/catalog.json',
+            catalogCacheKey: 'webos-catalog-cache',
+            installedVersionsKey: 'webos-installed-versions',
+            refreshInterval: 60 * 60 * 1000 // re-check the catalog hourly
+        },
+
+        // Available apps, filled from the catalog index
+        appCatalog: [],
+        catalogSource: null, // 'network' | 'cache' | null
+        sideloadedApps: [], // manifests of apps installed from files
 
         installedApps: new Set(),
+        installedVersions: new Map(), // catalog ID -> { version, entry, sha256, previous, appIds }
         loadedScripts: new Set(),
+        loadingScripts: new Map(), // <script> element -> catalog entry
+        scriptElements: new Map(), // catalog ID -> loaded <script> element
+        verificationFailures: new Map(), // catalog ID -> { version, code, reason }
+        pendingLoads: new Map(), // catalog ID -> Promise of a first-launch load
+        refreshTimer: null,
         
-        init() {
+        async init() {
             console.log('ProgramLoader initializing...');
+            this.setupEventListeners();
             this.loadInstalledApps();
-            this.loadInstalledScripts();
+            await this.loadSideloadedApps();
+            await this.loadCatalog();
+
+            // Safe Mode: keep the catalog usable (to remove a broken app)
+            // but run none of the installed apps
+            if (window.AppLoader && window.AppLoader.safeMode) {
+                console.log('ProgramLoader: Safe Mode, installed apps not loaded');
+            } else {
+                this.loadInstalledScripts();
+            }
+
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = setInterval(() => this.checkForUpdates(), this.config.refreshInterval);
+        },
+
+        getCatalogUrl() {
+            return localStorage.getItem(this.config.catalogUrlKey) || this.config.defaultCatalogUrl;
+        },
+
+        // Point the loader at another catalog (or back to the default) and reload it
+        async setCatalogUrl(url) {
+            if (url) {
+                localStorage.setItem(this.config.catalogUrlKey, url);
+            } else {
+                localStorage.removeItem(this.config.catalogUrlKey);
+            }
+            localStorage.removeItem(this.config.catalogCacheKey);
+            return this.checkForUpdates();
+        },
+
+        // Fetch the catalog index; falls back to the last good copy when offline
+        async loadCatalog() {
+            const url = this.getCatalogUrl();
+
+            try {
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const catalog = await response.json();
+                this.appCatalog = this.parseCatalog(catalog, response.url || url);
+                this.catalogSource = 'network';
+                localStorage.setItem(this.config.catalogCacheKey, JSON.stringify({ url: response.url || url, catalog }));
+                console.log(`ProgramLoader: loaded ${this.appCatalog.length} app(s) from ${url}`);
+            } catch (error) {
+                console.warn(`ProgramLoader: could not load catalog from ${url}:`, error.message);
+
+                const cached = this.readCatalogCache();
+                this.appCatalog = cached ? this.parseCatalog(cached.catalog, cached.url) : [];
+                this.catalogSource = cached ? 'cache' : null;
+            }
+
+            this.syncInstalledVersions();
+
+            if (window.EventBus) {
+                window.EventBus.emit('catalog-loaded', {
+                    url,
+                    source: this.catalogSource,
+                    apps: this.appCatalog.length,
+                    updates: this.getUpdates().map(app => app.id)
+                });
+            }
+            return this.appCatalog;
+        },
+
+        readCatalogCache() {
+            try {
+                return JSON.parse(localStorage.getItem(this.config.catalogCacheKey) || 'null');
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // Validate entries and resolve their paths against the catalog URL;
+        // invalid entries are dropped
+        parseCatalog(catalog, baseUrl) {
+            if (!catalog || !Array.isArray(catalog.apps)) {
+                console.warn('ProgramLoader: catalog has no "apps" array');
+                return [];
+            }
+
+            const base = new URL(baseUrl, location.href);
+            return catalog.apps.filter(app => {
+                const errors = window.AppRegistry ? window.AppRegistry.validateManifest(app) : [];
+                if (!app.entry) errors.push('entry is required');
+                if (!app.version) errors.push('version is required');
+                if (errors.length > 0) {
+                    console.warn(`ProgramLoader: skipping invalid catalog entry ${app && app.id}:`, errors);
+                    return false;
+                }
+                return true;
+            }).map(app => ({
+                ...app,
+                permissions: app.permissions || [],
+                entry: new URL(app.entry, base).href
+            }));
+        },
+
+        // Re-fetch the catalog; resolves with the apps that have updates
+        async checkForUpdates() {
+            await this.loadCatalog();
+            return this.getUpdates();
+        },
+
+        setupEventListeners() {
+            if (!window.EventBus) return;
+
+            // Apps registered by a store script inherit its catalog manifest,
+            // so permissions come from what the admin approved, not the app
+            window.EventBus.on('app-registered', (config) => {
+                if (config.catalogId) {
+                    if (!config.lazy) this.rememberAppId(config.catalogId, config.id);
+                    return;
+                }
+
+                const app = this.loadingScripts.get(document.currentScript) ||
+                    (this.installedApps.has(config.id) ? this.getInstalledEntry(config.id) : null);
+                if (app) {
+                    this.applyCatalogManifest(config, app);
+                    this.rememberAppId(app.id, config.id);
+                }
+            });
+        },
+
+        applyCatalogManifest(config, app) {
+            config.catalogId = app.id;
+            config.permissions = (app.permissions || []).slice();
+            config.storageKeys = (app.storageKeys || []).slice();
+            ['version', 'author', 'minPlatformVersion'].forEach(field => {
+                if (app[field]) config[field] = app[field];
+            });
+            if (!config.category && app.category) config.category = app.category;
+            if (!config.icon && app.icon) config.icon = app.icon;
+        },
+
+        // Sideloaded apps
+
+        async loadSideloadedApps() {
+            if (!window.Sideload || typeof indexedDB === 'undefined') return;
+
+            try {
+                const records = await window.Sideload.getAll();
+                this.sideloadedApps = records.map(record => this.toSideloadedEntry(record));
+            } catch (error) {
+                console.error('ProgramLoader: failed to read sideloaded apps:', error);
+            }
+        },
+
+        // Catalog-style entry; the script itself stays in IndexedDB
+        toSideloadedEntry(record) {
+            return {
+                ...record.manifest,
+                entry: `sideload:${record.id}`,
+                icon: record.icon,
+                docs: record.docs,
+                size: `${(record.source.length / 1024).toFixed(2)} KB`,
+                // Packages stored before sandboxing became the default are sandboxed too
+                sandbox: record.manifest.sandbox !== false,
+                sideloaded: true
+            };
+        },
+
+        // Read, confirm and install an app package from a File.
+        // Resolves true when installed.
+        async requestSideload(file) {
+            if (!window.Sideload || !window.AppRegistry || !window.WindowManager) return false;
+
+            let pkg;
+            try {
+                pkg = await window.Sideload.readFile(file);
+            } catch (error) {
+                await window.WindowManager.alert(error.message, { title: `Cannot install ${file.name}` });
+                return false;
+            }
+
+            const manifest = pkg.manifest;
+            const existing = this.sideloadedApps.find(app => app.id === manifest.id);
+            if (this.appCatalog.some(app => app.id === manifest.id)) {
+                await window.WindowManager.alert(`"${manifest.id}" is already used by a catalog app.`, { title: `Cannot install ${manifest.name}` });
+                return false;
+            }
+            // Built-in apps (terminal, about, webdesktop-store, ...) and IDs other
+            // apps registered cannot be taken over; only a sideloaded app replaces itself
+            const registered = window.AppRegistry.getApp(manifest.id);
+            if (registered && !this.sideloadedApps.some(app => app.id === (registered.catalogId || registered.id))) {
+                await window.WindowManager.alert(`"${manifest.id}" is already used by ${registered.name}.`, { title: `Cannot install ${manifest.name}` });
+                return false;
+            }
+
+            const problems = window.AppRegistry.checkCompatibility(manifest);
+            if (problems.length > 0) {
+                await window.WindowManager.alert(problems.join('\n'), { title: `Cannot install ${manifest.name}` });
+                return false;
+            }
+
+            const permissions = manifest.permissions || [];
+            const details = [
+                existing ? `Replaces installed version ${existing.version}.` : null,
+                `Version ${manifest.version} by ${manifest.author} - installed from ${file.name}, not from the catalog.`,
+                // Permissions mean nothing to a script running in the desktop page
+                manifest.sandbox === false
+                    ? 'WARNING: this app runs unsandboxed with full access to the desktop: every window, all stored data, the network and connected hardware. Install it only if you trust its author.'
+                    : null,
+                permissions.length > 0
+                    ? `This app will be allowed to:\n${window.AppRegistry.describePermissions(permissions)}`
+                    : manifest.sandbox === false ? null : 'This app requests no special permissions.'
+            ].filter(Boolean).join('\n\n');
+
+            const approved = await window.WindowManager.confirm(details, {
+                title: `Install ${manifest.name}?`,
+                okLabel: 'Install',
+                modal: 'system'
+            });
+            if (!approved) return false;
+
+            await window.Sideload.save(pkg);
+            const entry = this.toSideloadedEntry({ id: manifest.id, ...pkg });
+            this.sideloadedApps = this.sideloadedApps.filter(app => app.id !== manifest.id).concat(entry);
+            window.AppRegistry.grantPermissions(manifest.id, permissions);
+
+            if (window.EventBus) {
+                window.EventBus.emit('program-sideloaded', { appId: manifest.id, version: manifest.version });
+            }
+
+            if (!this.isAppInstalled(manifest.id)) {
+                return this.installApp(manifest.id);
+            }
+
+            // Replacing: swap the running version in place
+            this.unloadApp(manifest.id);
+            this.installedVersions.set(manifest.id, { ...entry, previous: null });
+            this.saveInstalledApps();
+            return this.loadScript(entry).then(() => true, () => false);
         },
 
         // Load list of installed apps from localStorage
@@ -140,42 +296,150 @@
                     this.installedApps = new Set();
                 }
             }
+
+            try {
+                const versions = JSON.parse(localStorage.getItem(this.config.installedVersionsKey) || '{}');
+                this.installedVersions = new Map(Object.entries(versions));
+            } catch (error) {
+                console.error('Failed to parse installed versions:', error);
+                this.installedVersions = new Map();
+            }
         },
 
         // Save installed apps list to localStorage
         saveInstalledApps() {
             const appList = Array.from(this.installedApps);
             localStorage.setItem('webos-installed-programs', JSON.stringify(appList));
+            localStorage.setItem(this.config.installedVersionsKey, JSON.stringify(Object.fromEntries(this.installedVersions)));
             console.log('Saved installed apps:', appList);
         },
 
+        // Apps installed before versions were tracked adopt the catalog entry
+        syncInstalledVersions() {
+            let changed = false;
+            this.installedApps.forEach(appId => {
+                const app = this.getAppInfo(appId);
+                if (app && !this.installedVersions.has(appId)) {
+                    this.installedVersions.set(appId, { ...app, previous: null });
+                    changed = true;
+                }
+            });
+            if (changed) this.saveInstalledApps();
+        },
+
+        // Manifest of the version actually installed (may differ from the catalog)
+        getInstalledEntry(appId) {
+            // A sideloaded app only exists in the version last imported
+            const sideloaded = this.sideloadedApps.find(app => app.id === appId);
+            if (sideloaded) return sideloaded;
+
+            const record = this.installedVersions.get(appId);
+            if (!record) return this.getAppInfo(appId) || null;
+
+            const { previous, ...entry } = record;
+            return entry;
+        },
+
         // Load JavaScript files for installed apps
+        // List installed apps from their manifests; scripts load on first launch
         loadInstalledScripts() {
             this.installedApps.forEach(appId => {
-                const app = this.appCatalog.find(a => a.id === appId);
-                if (app && !this.loadedScripts.has(appId)) {
-                    this.loadScript(app);
+                const app = this.getInstalledEntry(appId);
+                if (!app || this.loadedScripts.has(appId)) return;
+
+                if (window.AppRegistry && typeof window.AppRegistry.registerLazyApp === 'function') {
+                    this.registerLazyStubs(app);
+                } else {
+                    this.loadScript(app).catch(error => console.error(error.message));
                 }
             });
         },
 
-        // Load a single JavaScript app
-        loadScript(app) {
-            return new Promise((resolve, reject) => {
-                if (this.loadedScripts.has(app.id)) {
-                    resolve(`${app.id} already loaded`);
-                    return;
+        // One stub per ID the app registered last time (catalog ID before that)
+        registerLazyStubs(app) {
+            const record = this.installedVersions.get(app.id);
+            const ids = record && record.appIds && record.appIds.length > 0 ? record.appIds : [app.id];
+
+            ids.forEach(id => {
+                if (window.AppRegistry.getApp(id)) return;
+                window.AppRegistry.registerLazyApp({
+                    id,
+                    catalogId: app.id,
+                    name: app.name,
+                    icon: app.icon,
+                    category: app.category,
+                    version: app.version,
+                    author: app.author,
+                    permissions: (app.permissions || []).slice(),
+                    storageKeys: (app.storageKeys || []).slice(),
+                    sandbox: !!app.sandbox,
+                    minPlatformVersion: app.minPlatformVersion
+                }, () => this.loadInstalledApp(app.id));
+            });
+        },
+
+        // First-launch load of an installed app; resolves with the ID it registered
+        loadInstalledApp(appId) {
+            if (this.pendingLoads.has(appId)) return this.pendingLoads.get(appId);
+
+            const app = this.getInstalledEntry(appId);
+            if (!app) return Promise.reject(new Error(`${appId} is not installed`));
+
+            const promise = this.loadScript(app)
+                .then(() => this.getRegisteredIds(appId).find(id => !window.AppRegistry.isLazy(id)))
+                .finally(() => this.pendingLoads.delete(appId));
+            this.pendingLoads.set(appId, promise);
+            return promise;
+        },
+
+        // Registered IDs are kept so the next boot's stubs use them
+        rememberAppId(appId, registeredId) {
+            const record = this.installedVersions.get(appId);
+            if (!record || (record.appIds || []).includes(registeredId)) return;
+
+            record.appIds = (record.appIds || []).concat(registeredId);
+            this.saveInstalledApps();
+        },
+
+        // Load a single JavaScript app. The script is fetched and checked
+        // against the catalog digest first; only the verified bytes run.
+        async loadScript(app) {
+            if (this.loadedScripts.has(app.id)) {
+                return `${app.id} already loaded`;
+            }
+
+            console.log(`Loading script for ${app.id} from ${app.entry}`);
+
+            let source;
+            try {
+                source = await this.fetchVerified(app);
+            } catch (error) {
+                console.error(`✗ Failed to load: ${app.name} (${app.entry})`, error.message);
+                // Tampered apps stay installed (and blocked) so the Store can show why
+                if (!error.code) {
+                    this.installedApps.delete(app.id);
+                    this.saveInstalledApps();
                 }
+                throw new Error(`Failed to load: ${app.name}`);
+            }
 
-                console.log(`Loading script for ${app.id} from ${app.url}`);
-                
+            if (app.sandbox) {
+                return this.loadSandboxed(app, source);
+            }
+
+            return new Promise((resolve, reject) => {
                 const script = document.createElement('script');
-                script.src = app.url;
+                script.src = window.Integrity.createScriptUrl(source, app.entry);
                 script.async = true;
+                this.loadingScripts.set(script, app);
                 
                 script.onload = () => {
+                    URL.revokeObjectURL(script.src);
+                    this.loadingScripts.delete(script);
                     this.loadedScripts.add(app.id);
+                    this.scriptElements.set(app.id, script);
                     console.log(`✓ Successfully loaded: ${app.name} (${app.id})`);
+                    this.registerBundledDocs(app);
                     
                     // Emit event for other components
                     if (window.EventBus) {
@@ -186,7 +450,9 @@
                 };
                 
                 script.onerror = () => {
-                    console.error(`✗ Failed to load: ${app.name} (${app.url})`);
+                    URL.revokeObjectURL(script.src);
+                    this.loadingScripts.delete(script);
+                    console.error(`✗ Failed to load: ${app.name} (${app.entry})`);
                     // Remove from installed apps if script fails to load
                     this.installedApps.delete(app.id);
                     this.saveInstalledApps();
@@ -197,9 +463,119 @@
             });
         },
 
+        // Docs shipped in a sideloaded bundle, filed under the registered IDs
+        registerBundledDocs(app) {
+            if (!app.docs || !window.Docs || typeof window.Docs.register !== 'function') return;
+
+            this.getRegisteredIds(app.id).forEach(id => {
+                window.Docs.register(id, { name: app.name, version: app.version, ...app.docs });
+            });
+        },
+
+        // Fetch and verify an app script; integrity failures are recorded
+        // for the Store and reported on the EventBus
+        async fetchVerified(app) {
+            if (!window.Integrity) {
+                throw Object.assign(new Error('Integrity service not available'), { code: 'unavailable' });
+            }
+
+            try {
+                const source = app.sideloaded
+                    ? await this.readSideloadedSource(app)
+                    : await window.Integrity.fetchVerified(app.entry, app);
+                this.verificationFailures.delete(app.id);
+                return source;
+            } catch (error) {
+                if (error.code) {
+                    this.verificationFailures.set(app.id, { version: app.version, code: error.code, reason: error.message });
+
+                    if (window.EventBus) {
+                        window.EventBus.emit('program-verification-failed', {
+                            appId: app.id,
+                            version: app.version,
+                            entry: app.entry,
+                            code: error.code,
+                            reason: error.message,
+                            expected: app.sha256 || null,
+                            actual: error.actual || null
+                        });
+                    }
+                }
+                throw error;
+            }
+        },
+
+        // Stored scripts are re-verified against the digest taken at import
+        async readSideloadedSource(app) {
+            const record = await window.Sideload.get(app.id);
+            if (!record) {
+                throw new Error(`${app.id} is missing from sideload storage`);
+            }
+
+            await window.Integrity.verify(new TextEncoder().encode(record.source), app);
+            return record.source;
+        },
+
+        // Load an app flagged sandbox: true into an isolated iframe runtime
+        loadSandboxed(app, source) {
+            if (!window.SandboxRuntime) {
+                return Promise.reject(new Error(`SandboxRuntime not available for ${app.name}`));
+            }
+
+            console.log(`Loading ${app.id} in sandbox from ${app.entry}`);
+
+            return window.SandboxRuntime.load(app, source).then(() => {
+                this.loadedScripts.add(app.id);
+                console.log(`✓ Successfully loaded (sandboxed): ${app.name} (${app.id})`);
+
+                if (window.EventBus) {
+                    window.EventBus.emit('program-loaded', { appId: app.id, appName: app.name, sandboxed: true });
+                }
+
+                return `Loaded: ${app.name}`;
+            }).catch(error => {
+                console.error(`✗ Failed to load: ${app.name} (${app.entry})`, error);
+                this.installedApps.delete(app.id);
+                this.saveInstalledApps();
+                throw new Error(`Failed to load: ${app.name}`);
+            });
+        },
+
+        // Show the manifest and requested permissions, then install on approval.
+        // Resolves true when the app was installed.
+        async requestInstall(appId) {
+            const app = this.getAppInfo(appId);
+            if (!app || !window.AppRegistry || !window.WindowManager) return false;
+
+            const problems = window.AppRegistry.checkCompatibility({ minPlatformVersion: app.minPlatformVersion });
+            if (problems.length > 0) {
+                await window.WindowManager.alert(problems.join('\n'), { title: `Cannot install ${app.name}` });
+                return false;
+            }
+
+            const permissions = app.permissions || [];
+            const details = [
+                `Version ${app.version || 'unknown'} by ${app.author || 'unknown author'}`,
+                permissions.length > 0
+                    ? `This app will be allowed to:\n${window.AppRegistry.describePermissions(permissions)}`
+                    : 'This app requests no special permissions.',
+                window.AppRegistry.runsUnsandboxed({ ...app, catalogId: app.id }) ? window.AppRegistry.unsandboxedNotice : null
+            ].filter(Boolean).join('\n\n');
+
+            const approved = await window.WindowManager.confirm(details, {
+                title: `Install ${app.name}?`,
+                okLabel: 'Install',
+                modal: 'system'
+            });
+            if (!approved) return false;
+
+            window.AppRegistry.grantPermissions(app.id, permissions);
+            return this.installApp(appId);
+        },
+
         // Install an app (add to installed list and load script)
         installApp(appId) {
-            const app = this.appCatalog.find(a => a.id === appId);
+            const app = this.getAppInfo(appId);
             if (!app) {
                 console.error(`App not found in catalog: ${appId}`);
                 return false;
@@ -212,6 +588,7 @@
 
             // Add to installed apps
             this.installedApps.add(appId);
+            this.installedVersions.set(appId, { ...app, previous: null });
             this.saveInstalledApps();
 
             // Load the script
@@ -221,14 +598,16 @@
                 console.error(`Failed to install ${app.name}:`, error);
                 // Remove from installed if loading failed
                 this.installedApps.delete(appId);
+                this.installedVersions.delete(appId);
                 this.saveInstalledApps();
             });
 
             return true;
         },
 
-        // Uninstall an app (remove from installed list, but keep script loaded until refresh)
-        uninstallApp(appId) {
+        // Uninstall an app: close and unregister it, unload its script and,
+        // with options.removeData, delete its stored data
+        uninstallApp(appId, options = {}) {
             if (!this.installedApps.has(appId)) {
                 console.log(`${appId} is not installed`);
                 return false;
@@ -236,28 +615,129 @@
 
             // Remove from installed apps
             this.installedApps.delete(appId);
+            this.installedVersions.delete(appId);
             this.saveInstalledApps();
 
-            // Unregister from AppRegistry if possible
-            if (window.AppRegistry && window.AppRegistry.registeredApps.has(appId)) {
-                window.AppRegistry.registeredApps.delete(appId);
-                console.log(`Unregistered ${appId} from AppRegistry`);
-                
-                // Refresh desktop icons
-                if (window.DesktopIconManager) {
-                    window.DesktopIconManager.refreshIcons();
-                }
-                
-                // Emit event
-                if (window.EventBus) {
-                    window.EventBus.emit('program-uninstalled', { appId });
-                }
+            this.unloadApp(appId, options);
+
+            // A reinstall must be approved again
+            if (window.AppRegistry) {
+                window.AppRegistry.revokePermissions(appId);
             }
 
-            console.log(`${appId} uninstalled (script remains loaded until refresh)`);
+            // Sideloaded apps have nowhere to be reinstalled from
+            if (this.sideloadedApps.some(app => app.id === appId)) {
+                this.sideloadedApps = this.sideloadedApps.filter(app => app.id !== appId);
+                window.Sideload.remove(appId).catch(error => {
+                    console.error(`Failed to delete sideloaded ${appId}:`, error);
+                });
+            }
+
+            if (window.EventBus) {
+                window.EventBus.emit('program-uninstalled', { appId, removedData: !!options.removeData });
+            }
+
+            console.log(`${appId} uninstalled`);
             return true;
         },
 
+        // Unregister the app and drop its script so it can be loaded again
+        unloadApp(appId, options = {}) {
+            if (window.AppRegistry) {
+                this.getRegisteredIds(appId).forEach(id => {
+                    window.AppRegistry.unregisterApp(id, { removeData: !!options.removeData });
+                });
+            }
+
+            const script = this.scriptElements.get(appId);
+            if (script) script.remove();
+            this.scriptElements.delete(appId);
+            this.loadedScripts.delete(appId);
+        },
+
+        // Installed apps whose catalog version differs from the installed one
+        hasUpdate(appId) {
+            const app = this.getAppInfo(appId);
+            const installed = this.installedVersions.get(appId);
+            return !!(app && installed && this.isAppInstalled(appId) && app.version !== installed.version);
+        },
+
+        getUpdates() {
+            return this.appCatalog.filter(app => this.hasUpdate(app.id));
+        },
+
+        canRollback(appId) {
+            const installed = this.installedVersions.get(appId);
+            return !!(installed && installed.previous);
+        },
+
+        // Move an installed app to the catalog version, keeping the current
+        // one for rollback. App data is kept. Resolves true on success.
+        async updateApp(appId) {
+            const app = this.getAppInfo(appId);
+            const current = this.installedVersions.get(appId);
+            if (!app || !current || !this.isAppInstalled(appId)) return false;
+
+            // New versions may ask for more
+            const manifest = { ...app, catalogId: app.id };
+            const missing = window.AppRegistry ? window.AppRegistry.getMissingPermissions(manifest) : [];
+            if (missing.length > 0 && !(await window.AppRegistry.requestPermissions(manifest, missing))) {
+                return false;
+            }
+
+            const { previous, ...currentEntry } = current;
+            return this.switchVersion(appId, { ...app, previous: currentEntry }, 'program-updated');
+        },
+
+        // Go back to the version installed before the last update
+        async rollbackApp(appId) {
+            const current = this.installedVersions.get(appId);
+            if (!current || !current.previous) return false;
+
+            const { previous, ...currentEntry } = current;
+            return this.switchVersion(appId, { ...previous, previous: currentEntry }, 'program-rolled-back');
+        },
+
+        async switchVersion(appId, record, event) {
+            const fromVersion = this.installedVersions.get(appId).version;
+            const { previous, ...entry } = record;
+
+            this.unloadApp(appId);
+            this.installedVersions.set(appId, record);
+            this.installedApps.add(appId);
+            this.saveInstalledApps();
+
+            try {
+                await this.loadScript(entry);
+            } catch (error) {
+                // loadScript drops apps that fail to load; restore the version that worked
+                console.error(`Failed to switch ${appId} to ${entry.version}, restoring ${previous.version}:`, error);
+                this.installedVersions.set(appId, { ...previous, previous: null });
+                this.installedApps.add(appId);
+                this.saveInstalledApps();
+                this.loadScript(previous).catch(err => console.error(err.message));
+                return false;
+            }
+
+            console.log(`${appId} switched from ${fromVersion} to ${entry.version}`);
+            if (window.EventBus) {
+                window.EventBus.emit(event, { appId, from: fromVersion, to: entry.version });
+            }
+            return true;
+        },
+
+        // Registered app IDs that came from a catalog entry ('gpio' -> ['gpio-demo'])
+        getRegisteredIds(appId) {
+            const ids = window.AppRegistry.getAllApps()
+                .filter(app => app.catalogId === appId)
+                .map(app => app.id);
+
+            if (ids.length === 0 && window.AppRegistry.getApp(appId)) {
+                ids.push(appId);
+            }
+            return ids;
+        },
+
         // Check if an app is installed
         isAppInstalled(appId) {
             return this.installedApps.has(appId);
@@ -265,10 +745,17 @@
 
         // Get list of available apps for the store
         getAvailableApps() {
-            return this.appCatalog.map(app => ({
-                ...app,
-                installed: this.isAppInstalled(app.id)
-            }));
+            return [...this.appCatalog, ...this.sideloadedApps].map(app => {
+                const installed = this.installedVersions.get(app.id);
+                return {
+                    ...app,
+                    installed: this.isAppInstalled(app.id),
+                    installedVersion: installed ? installed.version : null,
+                    previousVersion: installed && installed.previous ? installed.previous.version : null,
+                    verificationError: this.verificationFailures.has(app.id) ? this.verificationFailures.get(app.id).reason : null,
+                    updateAvailable: this.hasUpdate(app.id)
+                };
+            });
         },
 
         // Get list of installed apps
@@ -278,7 +765,8 @@
 
         // Get app info by ID
         getAppInfo(appId) {
-            return this.appCatalog.find(app => app.id === appId);
+            return this.appCatalog.find(app => app.id === appId) ||
+                this.sideloadedApps.find(app => app.id === appId);
         },
 
         // Get statistics
@@ -287,7 +775,11 @@
                 totalAvailable: this.appCatalog.length,
                 installed: this.installedApps.size,
                 loaded: this.loadedScripts.size,
-                available: this.appCatalog.length - this.installedApps.size
+                available: this.appCatalog.length - this.installedApps.size,
+                updates: this.getUpdates().length,
+                catalogUrl: this.getCatalogUrl(),
+                catalogSource: this.catalogSource,
+                sideloaded: this.sideloadedApps.length
             };
         },
 
@@ -302,18 +794,11 @@
         }
     };
 
-    // Auto-initialize when DOM is ready
+    // Auto-initialize; AppLoader only runs this file once WebDesktop is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            // Wait a bit for core system to be ready
-            setTimeout(() => {
-                window.ProgramLoader.init();
-            }, 1000);
-        });
+        document.addEventListener('DOMContentLoaded', () => window.ProgramLoader.init());
     } else {
-        setTimeout(() => {
-            window.ProgramLoader.init();
-        }, 1000);
+        window.ProgramLoader.init();
     }
 
     // Debug helper (remove in production)
@@ -26,6 +26,7 @@
                     <div style="padding:16px;border-bottom:1px solid #dee2e6;background:white;">
                         <h2 style="margin:0 0 12px 0;color:#2c3e50;">GnokeStation Store</h2>
                         <p style="margin:0;font-size:14px;color:#6c757d;">Install JavaScript applications to extend GnokeStation functionality</p>
+                        ${window.AppLoader && window.AppLoader.safeMode ? `<p style="margin:8px 0 0 0;font-size:13px;color:#e65100;font-weight:600;">Safe Mode: installed apps are not running. Uninstall a broken app here, then restart normally.</p>` : ''}
                     </div>
                     
                     <div style="flex:1;overflow-y:auto;padding:16px;">
@@ -34,8 +35,15 @@
                         </div>
                     </div>
                     
-                    <div style="padding:12px;background:#e9ecef;border-top:1px solid #dee2e6;font-size:12px;color:#6c757d;text-align:center;">
-                        Apps are loaded from system/apps/ directory • Changes persist after refresh
+                    <div style="padding:8px 12px;background:#e9ecef;border-top:1px solid #dee2e6;font-size:12px;color:#6c757d;display:flex;align-items:center;gap:8px;">
+                        <span id="catalog-source" style="flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;"></span>
+                        <button class="store-footer-btn" data-action="check-updates"
+                            style="padding:6px 10px;border:1px solid #adb5bd;border-radius:4px;background:white;cursor:pointer;font-size:12px;">Check for Updates</button>
+                        <button class="store-footer-btn" data-action="change-catalog"
+                            style="padding:6px 10px;border:1px solid #adb5bd;border-radius:4px;background:white;cursor:pointer;font-size:12px;">Catalog…</button>
+                        <button class="store-footer-btn" data-action="sideload"
+                            style="padding:6px 10px;border:1px solid #adb5bd;border-radius:4px;background:white;cursor:pointer;font-size:12px;">Install from file…</button>
+                        <input type="file" id="sideload-file" accept=".js,.json,.zip" style="display:none;">
                     </div>
                 </div>
             `;
@@ -43,48 +51,97 @@
             const win = window.WindowManager.createWindow('GnokeStation Store', storeHTML, 520, 600);
             this.setupStoreHandlers(win);
             this.renderAppCatalog(win);
+
+            // Re-render when the catalog is refreshed in the background or
+            // an install is refused
+            if (window.EventBus) {
+                const onCatalogLoaded = () => this.renderAppCatalog(win);
+                const onVerificationFailed = (data) => {
+                    this.showNotification(`${data.appId} blocked: ${data.reason}`, 'error');
+                    this.renderAppCatalog(win);
+                };
+                const onClosed = (data) => {
+                    if (data.windowId !== win.id) return;
+                    window.EventBus.off('catalog-loaded', onCatalogLoaded);
+                    window.EventBus.off('program-verification-failed', onVerificationFailed);
+                    window.EventBus.off('window-closed', onClosed);
+                };
+                window.EventBus.on('catalog-loaded', onCatalogLoaded);
+                window.EventBus.on('program-verification-failed', onVerificationFailed);
+                window.EventBus.on('window-closed', onClosed);
+            }
             return win;
         },
 
         renderAppCatalog(win) {
             const catalogContainer = win.querySelector('#app-catalog');
+            const loader = window.ProgramLoader;
+
+            if (loader) {
+                const source = { network: '', cache: ' (offline copy)' }[loader.catalogSource] ?? ' (unavailable)';
+                win.querySelector('#catalog-source').textContent = `Catalog: ${loader.getCatalogUrl()}${source}`;
+            }
             
             // Get app list from ProgramLoader
-            const availableApps = window.ProgramLoader ? window.ProgramLoader.getAvailableApps() : [];
+            const availableApps = loader ? loader.getAvailableApps() : [];
             
             if (availableApps.length === 0) {
                 catalogContainer.innerHTML = `
                     <div style="text-align:center;padding:40px;color:#6c757d;">
                         <h4>No apps available</h4>
-                        <p>ProgramLoader not initialized or no apps found</p>
+                        <p>ProgramLoader not initialized or the app catalog could not be loaded</p>
                     </div>
                 `;
                 return;
             }
 
+            const esc = (text) => this.escapeHtml(text);
+            const smallButton = (cls, appId, label, color) => `
+                <button class="${cls}" data-app-id="${esc(appId)}"
+                    style="padding:6px 10px;border:1px solid ${color};border-radius:4px;cursor:pointer;font-size:12px;background:white;color:${color};">
+                    ${esc(label)}
+                </button>`;
+
             catalogContainer.innerHTML = availableApps.map(app => {
-                const isInstalled = window.ProgramLoader.isAppInstalled(app.id);
+                const isInstalled = app.installed;
+                const problems = window.AppRegistry ? window.AppRegistry.checkCompatibility({ minPlatformVersion: app.minPlatformVersion }) : [];
+                const canInstall = isInstalled || problems.length === 0;
+                const permissions = app.permissions || [];
+                const shownVersion = isInstalled && app.installedVersion ? app.installedVersion : app.version;
                 return `
                     <div style="background:white;border:1px solid #dee2e6;border-radius:8px;padding:16px;box-shadow:0 1px 3px rgba(0,0,0,0.1);">
                         <div style="display:flex;justify-content:space-between;align-items:flex-start;">
                             <div style="flex:1;">
                                 <div style="display:flex;align-items:center;margin-bottom:8px;">
+                                    ${app.icon ? `<img src="${esc(app.icon)}" alt="" style="width:32px;height:32px;border-radius:6px;margin-right:12px;">` : `
                                     <div style="width:32px;height:32px;background:#007bff;border-radius:6px;display:flex;align-items:center;justify-content:center;color:white;font-weight:bold;margin-right:12px;">
-                                        ${app.name.charAt(0)}
-                                    </div>
+                                        ${esc(app.name.charAt(0))}
+                                    </div>`}
                                     <div>
-                                        <h4 style="margin:0 0 2px 0;color:#2c3e50;font-size:16px;">${app.name}</h4>
+                                        <h4 style="margin:0 0 2px 0;color:#2c3e50;font-size:16px;">${esc(app.name)}</h4>
                                         <div style="font-size:12px;color:#6c757d;">
-                                            ${app.category} • ${app.size}
+                                            ${esc(app.category)} • ${esc(app.size)} • v${esc(shownVersion)} • ${esc(app.author)}
                                         </div>
                                     </div>
                                 </div>
-                                <p style="margin:0;font-size:13px;color:#495057;line-height:1.4;">${app.description}</p>
+                                <p style="margin:0;font-size:13px;color:#495057;line-height:1.4;">${esc(app.description)}</p>
+                                ${permissions.length ? `<div style="display:flex;flex-wrap:wrap;gap:4px;margin-top:6px;">
+                                    ${permissions.map(permission => `<span title="${esc(window.AppRegistry.PERMISSIONS[permission] || '')}"
+                                        style="font-size:11px;padding:2px 6px;border-radius:10px;background:#e9ecef;color:#495057;">${esc(permission)}</span>`).join('')}
+                                </div>` : ''}
+                                ${problems.length ? `<div style="font-size:11px;color:#dc3545;margin-top:4px;">${esc(problems.join('; '))}</div>` : ''}
                                 ${isInstalled ? '<div style="font-size:11px;color:#28a745;margin-top:4px;font-weight:600;">✓ Installed</div>' : ''}
+                                ${app.sideloaded ? '<div style="font-size:11px;color:#6f42c1;margin-top:4px;font-weight:600;">Sideloaded - installed from a file, not the catalog</div>' : ''}
+                                ${app.verificationError ? `<div style="font-size:11px;color:#dc3545;margin-top:4px;font-weight:600;">⛔ Blocked - failed verification: ${esc(app.verificationError)}</div>` : ''}
+                                ${app.updateAvailable ? `<div style="font-size:11px;color:#fd7e14;margin-top:4px;font-weight:600;">Update available: v${esc(app.installedVersion)} → v${esc(app.version)}</div>` : ''}
+                                ${app.updateAvailable || app.previousVersion ? `<div style="display:flex;gap:6px;margin-top:8px;">
+                                    ${app.updateAvailable ? smallButton('app-update-btn', app.id, `Update to v${app.version}`, '#fd7e14') : ''}
+                                    ${app.previousVersion ? smallButton('app-rollback-btn', app.id, `Roll back to v${app.previousVersion}`, '#6c757d') : ''}
+                                </div>` : ''}
                             </div>
-                            <button class="app-action-btn" data-app-id="${app.id}" 
-                                style="padding:8px 16px;border:none;border-radius:4px;cursor:pointer;font-size:13px;font-weight:600;margin-left:16px;
-                                       background:${isInstalled ? '#dc3545' : '#28a745'};color:white;min-width:80px;">
+                            <button class="app-action-btn" data-app-id="${esc(app.id)}" ${canInstall ? '' : 'disabled'}
+                                style="padding:8px 16px;border:none;border-radius:4px;cursor:${canInstall ? 'pointer' : 'not-allowed'};font-size:13px;font-weight:600;margin-left:16px;
+                                       background:${isInstalled ? '#dc3545' : canInstall ? '#28a745' : '#adb5bd'};color:white;min-width:80px;">
                                 ${isInstalled ? 'Uninstall' : 'Install'}
                             </button>
                         </div>
@@ -94,29 +151,92 @@
         },
 
         setupStoreHandlers(win) {
-            // App action buttons (Install/Uninstall)
-            win.addEventListener('click', (e) => {
-                if (e.target.classList.contains('app-action-btn')) {
-                    const appId = e.target.dataset.appId;
-                    
+            const fileInput = win.querySelector('#sideload-file');
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    if (await window.ProgramLoader.requestSideload(file)) {
+                        this.showNotification(`${file.name} installed`, 'success');
+                    }
+                } catch (error) {
+                    this.showNotification(`Could not install ${file.name}: ${error.message}`, 'error');
+                }
+                this.renderAppCatalog(win);
+            });
+
+            win.addEventListener('click', async (e) => {
+                const button = e.target.closest('button');
+                if (!button || button.disabled) return;
+                const appId = button.dataset.appId;
+
+                // App action buttons (Install/Uninstall)
+                if (button.classList.contains('app-action-btn')) {
                     if (window.ProgramLoader.isAppInstalled(appId)) {
-                        // Uninstall
-                        window.ProgramLoader.uninstallApp(appId);
+                        // Uninstall - open windows are closed; data is kept unless asked
+                        const result = await window.WindowManager.dialog({
+                            parent: win,
+                            title: 'Uninstall',
+                            message: `Uninstall ${appId}? Its open windows will be closed.`,
+                            buttons: [
+                                { label: 'Cancel', value: null },
+                                { label: 'Remove Data', value: 'remove', danger: true },
+                                { label: 'Keep Data', value: 'keep', primary: true }
+                            ],
+                            cancelValue: null
+                        });
+                        if (!result.button) return;
+
+                        window.ProgramLoader.uninstallApp(appId, { removeData: result.button === 'remove' });
                         this.showNotification(`${appId} uninstalled`, 'success');
                     } else {
-                        // Install
-                        window.ProgramLoader.installApp(appId);
-                        this.showNotification(`${appId} installed`, 'success');
+                        // Install - shows the manifest and asks for the requested permissions
+                        button.disabled = true;
+                        if (await window.ProgramLoader.requestInstall(appId)) {
+                            this.showNotification(`${appId} installed`, 'success');
+                        }
                     }
-                    
-                    // Refresh the catalog display
-                    setTimeout(() => {
-                        this.renderAppCatalog(win);
-                    }, 100);
+                } else if (button.classList.contains('app-update-btn')) {
+                    button.disabled = true;
+                    const updated = await window.ProgramLoader.updateApp(appId);
+                    this.showNotification(updated ? `${appId} updated` : `${appId} update failed`, updated ? 'success' : 'error');
+                } else if (button.classList.contains('app-rollback-btn')) {
+                    if (!(await window.WindowManager.confirm(`Roll ${appId} back to the previous version? Its open windows will be closed.`, { parent: win }))) return;
+                    button.disabled = true;
+                    const rolledBack = await window.ProgramLoader.rollbackApp(appId);
+                    this.showNotification(rolledBack ? `${appId} rolled back` : `${appId} rollback failed`, rolledBack ? 'success' : 'error');
+                } else if (button.dataset.action === 'check-updates') {
+                    button.disabled = true;
+                    const updates = await window.ProgramLoader.checkForUpdates();
+                    button.disabled = false;
+                    this.showNotification(updates.length ? `${updates.length} update(s) available` : 'All apps are up to date', 'info');
+                } else if (button.dataset.action === 'change-catalog') {
+                    const url = await window.WindowManager.prompt('Catalog URL (leave empty for the built-in catalog):',
+                        localStorage.getItem(window.ProgramLoader.config.catalogUrlKey) || '', { parent: win, title: 'App Catalog' });
+                    if (url === null) return;
+                    await window.ProgramLoader.setCatalogUrl(url.trim());
+                } else if (button.dataset.action === 'sideload') {
+                    fileInput.click();
+                    return;
+                } else {
+                    return;
                 }
+                
+                // Refresh the catalog display
+                setTimeout(() => {
+                    this.renderAppCatalog(win);
+                }, 100);
             });
         },
 
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML.replace(/"/g, '&quot;');
+        },
+
         showNotification(message, type = 'info') {
             const colors = {
                 success: '#28a745',
@@ -168,7 +288,9 @@
                 features: [
                     'Browse available applications',
                     'Install/uninstall apps with persistent state',
-                    'View app details and categories'
+                    'View app details and categories',
+                    'Shows version, author and requested permissions before installing',
+                    'Update and roll back apps from a configurable catalog'
                 ]
             }
         });
@@ -61,7 +61,7 @@ window.TerminalApp = {
                 this.print("Available commands:");
                 this.print("  help          - Show this help");
                 this.print("  apps          - List registered apps");
-                this.print("  open <appId>  - Launch app by ID");
+                this.print("  open <appId> [key=value ...] - Launch app by ID with arguments");
                 this.print("  about         - System info");
                 this.print("  clear         - Clear terminal");
                 break;
@@ -78,13 +78,19 @@ window.TerminalApp = {
 
             case "open":
                 if (!parts[1]) {
-                    this.print("Usage: open <appId>");
+                    this.print("Usage: open <appId> [key=value ...]");
                     break;
                 }
-                const appId = parts[1];
-                const app = window.AppRegistry.getAllApps().find(a => a.id === appId);
+                const app = window.AppRegistry.findApp(parts[1]);
+                const appId = app ? app.id : parts[1];
+                // open notepad file=todo.txt -> { file: 'todo.txt' }
+                const args = {};
+                parts.slice(2).filter(Boolean).forEach(pair => {
+                    const index = pair.indexOf("=");
+                    if (index > 0) args[pair.slice(0, index)] = pair.slice(index + 1);
+                });
                 if (app) {
-                    window.AppRegistry.openApp(appId);
+                    window.AppRegistry.openApp(appId, args);
                     this.print(`Opening ${appId}...`);
                 } else {
                     this.print(`App '${appId}' not found.`);
@@ -0,0 +1,198 @@
+/* ========================================
+ * FILE: core/boot-screen.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-09
+ *
+ * PURPOSE:
+ * Drives the boot overlay in main.html from real AppLoader progress and,
+ * when modules fail, replaces it with a diagnostics screen listing what
+ * failed and why, with a way into Safe Mode. A broken app or service can
+ * then never leave a panel stuck on a blank desktop.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.BootScreen.
+ * - Markup (#boot-screen) is static in main.html so it shows before any
+ *   script runs; styles live in css/style.css (.boot-*).
+ * - Listens to 'boot-progress' and 'apps-loaded' from AppLoader.
+ * - Safe Mode is main.html?safe=1 (see AppLoader.safeMode): Store apps
+ *   and session restore are skipped, and a badge offers a normal restart.
+ *
+ * DEPENDENCIES:
+ * - EventBus (loaded before this file)
+ * - AppLoader (progress, failed modules, safeMode)
+ *
+ * LIFECYCLE:
+ * 1. Loaded statically after core/event-bus.js, before core/app-loader.js.
+ * 2. init() runs immediately and subscribes to loader events.
+ * 3. On 'apps-loaded' the overlay fades out, or shows diagnostics.
+ *
+ * EXAMPLE USAGE:
+ * BootScreen.restart(true);   // reboot into Safe Mode
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.BootScreen = {
+    element: null,
+    listeners: null,
+
+    init() {
+        this.element = document.getElementById('boot-screen');
+        if (!this.element || !window.EventBus) return;
+
+        this.listeners = {
+            'boot-progress': (progress) => this.update(progress),
+            'apps-loaded': (result) => this.finish(result)
+        };
+        Object.entries(this.listeners).forEach(([event, listener]) => window.EventBus.on(event, listener));
+    },
+
+    update(progress) {
+        const loader = window.AppLoader;
+        const loading = loader ? loader.getModuleIds('loading') : [];
+
+        this.element.querySelector('.boot-progress-bar').style.width = `${progress.percent}%`;
+        this.element.querySelector('.boot-status').textContent = loading.length > 0
+            ? `Loading ${loading.slice(0, 3).join(', ')}${loading.length > 3 ? '…' : ''} (${progress.loaded + progress.failed}/${progress.total})`
+            : `Loaded ${progress.loaded} of ${progress.total} modules`;
+
+        if (loader && loader.safeMode) {
+            this.element.querySelector('.boot-safe-note').hidden = false;
+        }
+    },
+
+    finish(result) {
+        Object.entries(this.listeners).forEach(([event, listener]) => window.EventBus.off(event, listener));
+
+        if (result.failed > 0) {
+            this.showDiagnostics();
+        } else {
+            this.hide();
+        }
+    },
+
+    hide() {
+        if (!this.element) return;
+
+        const element = this.element;
+        this.element = null;
+        element.classList.add('boot-hidden');
+        setTimeout(() => element.remove(), 400);
+
+        if (window.AppLoader && window.AppLoader.safeMode) {
+            this.showSafeModeBadge();
+        }
+    },
+
+    // Replace the progress view with the list of failed modules
+    showDiagnostics() {
+        const loader = window.AppLoader;
+        const stats = loader.getStats();
+        const desktopFailed = stats.failedApps.some(failure => failure.id === 'main');
+
+        const panel = document.createElement('div');
+        panel.className = 'boot-diagnostics';
+        panel.innerHTML = `
+            <h2></h2>
+            <p class="boot-diagnostics-summary"></p>
+            <ul class="boot-diagnostics-list"></ul>
+            <div class="boot-diagnostics-actions"></div>
+        `;
+        panel.querySelector('h2').textContent = desktopFailed ? 'The desktop could not start' : 'Some modules failed to load';
+        panel.querySelector('.boot-diagnostics-summary').textContent =
+            `${stats.failed} of ${stats.total} modules failed${loader.safeMode ? ' (Safe Mode)' : ''}. ` +
+            (loader.safeMode ? 'Reload to try again.' : 'Safe Mode starts without Store apps or the saved session.');
+
+        const list = panel.querySelector('.boot-diagnostics-list');
+        stats.failedApps.forEach(failure => {
+            const item = document.createElement('li');
+            item.innerHTML = '<b></b> <span class="boot-diagnostics-src"></span><div></div>';
+            item.querySelector('b').textContent = failure.id;
+            item.querySelector('.boot-diagnostics-src').textContent = failure.src;
+            item.querySelector('div').textContent = failure.error;
+            list.appendChild(item);
+        });
+
+        const actions = panel.querySelector('.boot-diagnostics-actions');
+        const addButton = (label, onClick, primary) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            if (primary) button.className = 'primary';
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        if (!loader.safeMode) addButton('Restart in Safe Mode', () => this.restart(true), true);
+        addButton('Reload', () => location.reload(), loader.safeMode);
+        if (!desktopFailed) addButton('Continue', () => this.hide());
+
+        this.element.querySelector('.boot-content').replaceWith(panel);
+
+        console.warn('BootScreen: boot finished with failures:', stats.failedApps);
+    },
+
+    showSafeModeBadge() {
+        const badge = document.createElement('div');
+        badge.className = 'boot-safe-badge';
+        badge.innerHTML = '<span>Safe Mode</span><button>Restart normally</button>';
+        badge.querySelector('button').addEventListener('click', () => this.restart(false));
+        document.body.appendChild(badge);
+    },
+
+    // Reload main.html in or out of Safe Mode
+    restart(safe) {
+        const url = new URL(location.href);
+        if (safe) {
+            url.searchParams.set('safe', '1');
+        } else {
+            url.searchParams.delete('safe');
+        }
+        location.href = url.toString();
+    }
+};
+
+window.BootScreen.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerBootScreenDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('boot-screen', {
+        name: "BootScreen",
+        version: "1.0.0",
+        description: "Boot overlay driven by AppLoader progress, with failure diagnostics and Safe Mode.",
+        type: "System Service",
+        dependencies: ["EventBus", "AppLoader"],
+        features: [
+          "Global singleton (window.BootScreen)",
+          "Progress bar and status follow real module loading ('boot-progress').",
+          "Diagnostics screen lists failed modules with their script and error.",
+          "Safe Mode (main.html?safe=1) skips Store apps and session restore.",
+          "Safe Mode badge on the desktop offers a normal restart."
+        ],
+        methods: [
+          { name: "restart(safe)", description: "Reloads the desktop in (true) or out of (false) Safe Mode." },
+          { name: "showDiagnostics()", description: "Shows the list of modules that failed to load." }
+        ],
+        events: [],
+        autoGenerated: false
+      });
+      console.log('BootScreen documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
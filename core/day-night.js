@@ -0,0 +1,376 @@
+/* ========================================
+ * FILE: core/day-night.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-12
+ *
+ * PURPOSE:
+ * Day/night switching for panels that run around the clock. Decides
+ * whether it is day or night - from fixed times, from sunrise/sunset at
+ * the panel's coordinates, or from a HAL light sensor - and on every
+ * change switches ThemeManager to the day or night theme and sets the
+ * display brightness (HAL backlight when there is one, otherwise a CSS
+ * dim overlay).
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.DayNightScheduler.
+ * - Settings persist in localStorage under 'webos-day-night':
+ *     mode:        'off' | 'schedule' | 'sun' | 'sensor'
+ *     dayTheme / nightTheme
+ *     dayStart / nightStart   'HH:MM' (schedule mode, and the fallback
+ *                             when sun or sensor data is unavailable)
+ *     latitude / longitude    decimal degrees (sun mode)
+ *     sensorPath, luxThreshold, luxHysteresis (sensor mode; the sensor
+ *                             answers { lux } or { value })
+ *     dimming, dayBrightness / nightBrightness (0-100)
+ * - The theme only changes when the phase changes, so a theme picked by
+ *   hand stays until the next sunrise or sunset.
+ * - Brightness: HAL POST brightnessPath { brightness } if a GET on it
+ *   answers; otherwise a .dim-overlay (css/style.css) darkens the screen.
+ *
+ * EVENTS:
+ * - day-night-changed  { phase: 'day' | 'night', source, theme, brightness }
+ * - brightness-changed { brightness, backend: 'hal' | 'overlay' }
+ *
+ * DEPENDENCIES:
+ * - EventBus
+ * - ThemeManager
+ * - HAL (optional: light sensor, backlight)
+ *
+ * EXAMPLE USAGE:
+ * DayNightScheduler.configure({ mode: 'sun', latitude: 6.45, longitude: 3.39 });
+ * DayNightScheduler.getSunTimes(new Date(), 6.45, 3.39);   // { sunrise, sunset, polar }
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.DayNightScheduler = {
+    config: {
+        storageKey: 'webos-day-night',
+        checkInterval: 60 * 1000,
+        sensorInterval: 30 * 1000,
+        brightnessPath: '/api/display/brightness',
+        maxOverlayDim: 0.8 // overlay opacity at 0% brightness
+    },
+
+    defaultSettings: {
+        mode: 'off',
+        dayTheme: 'light',
+        nightTheme: 'dark',
+        dayStart: '07:00',
+        nightStart: '19:00',
+        latitude: null,
+        longitude: null,
+        sensorPath: '/api/sensors/light',
+        luxThreshold: 50,
+        luxHysteresis: 10,
+        dimming: false,
+        dayBrightness: 100,
+        nightBrightness: 40
+    },
+
+    settings: null,
+    phase: null,
+    source: null,
+    brightness: 100,
+    brightnessBackend: null, // 'hal' | 'overlay', probed on first use
+    lastLux: null,
+    timer: null,
+    overlay: null,
+
+    init() {
+        this.settings = this.loadSettings();
+        this.start();
+        console.log(`DayNightScheduler initialized (mode: ${this.settings.mode})`);
+    },
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            return { ...this.defaultSettings, ...saved };
+        } catch (error) {
+            console.warn('DayNightScheduler: failed to parse settings:', error);
+            return { ...this.defaultSettings };
+        }
+    },
+
+    getSettings() {
+        return { ...this.settings };
+    },
+
+    // Merge, persist and re-evaluate straight away
+    configure(changes) {
+        this.settings = { ...this.settings, ...changes };
+        localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+
+        if ('mode' in changes || 'sensorPath' in changes) this.lastLux = null;
+        if (!this.settings.dimming && this.brightness !== 100) this.setBrightness(100);
+
+        this.phase = null;
+        this.start();
+        return this.getSettings();
+    },
+
+    start() {
+        this.stop();
+        if (this.settings.mode === 'off') {
+            this.phase = null;
+            return;
+        }
+
+        const interval = this.settings.mode === 'sensor' ? this.config.sensorInterval : this.config.checkInterval;
+        this.timer = setInterval(() => this.evaluate(), interval);
+        this.evaluate();
+    },
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    },
+
+    // Phase
+
+    async evaluate() {
+        const { phase, source } = await this.detectPhase(new Date());
+        if (phase === this.phase) return;
+
+        this.phase = phase;
+        this.source = source;
+        this.applyPhase(phase, source);
+    },
+
+    async detectPhase(now) {
+        const settings = this.settings;
+
+        if (settings.mode === 'sensor') {
+            const lux = await this.readLightSensor();
+            if (lux !== null) {
+                return { phase: this.phaseFromLux(lux), source: 'sensor' };
+            }
+        }
+
+        if (settings.mode === 'sun' && this.hasCoordinates()) {
+            const sun = this.getSunTimes(now, settings.latitude, settings.longitude);
+            if (sun.polar) return { phase: sun.polar, source: 'sun' };
+            return { phase: now >= sun.sunrise && now < sun.sunset ? 'day' : 'night', source: 'sun' };
+        }
+
+        return { phase: this.phaseFromSchedule(now), source: 'schedule' };
+    },
+
+    phaseFromSchedule(now) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const dayStart = this.parseTime(this.settings.dayStart);
+        const nightStart = this.parseTime(this.settings.nightStart);
+
+        // nightStart before dayStart means the day runs across midnight
+        const isDay = dayStart <= nightStart
+            ? minutes >= dayStart && minutes < nightStart
+            : minutes >= dayStart || minutes < nightStart;
+        return isDay ? 'day' : 'night';
+    },
+
+    // Hysteresis keeps a lux value near the threshold from flickering
+    phaseFromLux(lux) {
+        const { luxThreshold, luxHysteresis } = this.settings;
+        if (this.phase === 'day') return lux < luxThreshold - luxHysteresis ? 'night' : 'day';
+        if (this.phase === 'night') return lux >= luxThreshold + luxHysteresis ? 'day' : 'night';
+        return lux >= luxThreshold ? 'day' : 'night';
+    },
+
+    async readLightSensor() {
+        if (!window.HAL) return null;
+
+        try {
+            const reading = await window.HAL.request(this.settings.sensorPath);
+            const lux = Number(reading && (reading.lux !== undefined ? reading.lux : reading.value));
+            if (!Number.isFinite(lux)) throw new Error('no lux value in sensor reading');
+            this.lastLux = lux;
+            return lux;
+        } catch (error) {
+            console.warn('DayNightScheduler: light sensor unavailable, using the schedule:', error.message);
+            return null;
+        }
+    },
+
+    parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+        return match ? (parseInt(match[1], 10) % 24) * 60 + Math.min(59, parseInt(match[2], 10)) : 0;
+    },
+
+    hasCoordinates() {
+        const { latitude, longitude } = this.settings;
+        return typeof latitude === 'number' && typeof longitude === 'number' &&
+            Number.isFinite(latitude) && Number.isFinite(longitude);
+    },
+
+    applyPhase(phase, source) {
+        const themeId = phase === 'day' ? this.settings.dayTheme : this.settings.nightTheme;
+        if (window.ThemeManager && themeId && window.ThemeManager.getCurrentTheme() !== themeId) {
+            window.ThemeManager.setTheme(themeId);
+        }
+
+        let brightness = this.brightness;
+        if (this.settings.dimming) {
+            brightness = phase === 'day' ? this.settings.dayBrightness : this.settings.nightBrightness;
+            this.setBrightness(brightness);
+        }
+
+        if (window.EventBus) {
+            window.EventBus.emit('day-night-changed', { phase, source, theme: themeId, brightness });
+        }
+        console.log(`DayNightScheduler: ${phase} (${source})`);
+    },
+
+    // NOAA approximation; times are Dates for the calendar day of `date`.
+    // polar is 'day' or 'night' when the sun does not rise or set.
+    getSunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const start = Date.UTC(date.getFullYear(), 0, 1);
+        const dayOfYear = Math.floor((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - start) / 86400000) + 1;
+        const gamma = 2 * Math.PI / 365 * (dayOfYear - 1);
+
+        const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+            0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+        const decl = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+            0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+            0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+        const lat = latitude * rad;
+        const cosHourAngle = Math.cos(90.833 * rad) / (Math.cos(lat) * Math.cos(decl)) - Math.tan(lat) * Math.tan(decl);
+        if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+        if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+
+        const hourAngle = Math.acos(cosHourAngle) / rad;
+        const midnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const toDate = (minutes) => new Date(midnight + minutes * 60000);
+
+        return {
+            sunrise: toDate(720 - 4 * (longitude + hourAngle) - eqTime),
+            sunset: toDate(720 - 4 * (longitude - hourAngle) - eqTime),
+            polar: null
+        };
+    },
+
+    // Brightness
+
+    async setBrightness(level) {
+        level = Math.max(0, Math.min(100, Math.round(Number(level))));
+        if (!Number.isFinite(level)) return false;
+
+        if (!this.brightnessBackend) {
+            this.brightnessBackend = await this.probeHalBrightness() ? 'hal' : 'overlay';
+            console.log(`DayNightScheduler: brightness via ${this.brightnessBackend}`);
+        }
+
+        if (this.brightnessBackend === 'hal') {
+            try {
+                await window.HAL.request(this.config.brightnessPath, { method: 'POST', body: { brightness: level } });
+                this.setOverlay(100);
+            } catch (error) {
+                console.warn('DayNightScheduler: HAL brightness failed, dimming with the overlay:', error.message);
+                this.brightnessBackend = 'overlay';
+                this.setOverlay(level);
+            }
+        } else {
+            this.setOverlay(level);
+        }
+
+        this.brightness = level;
+        if (window.EventBus) {
+            window.EventBus.emit('brightness-changed', { brightness: level, backend: this.brightnessBackend });
+        }
+        return true;
+    },
+
+    async probeHalBrightness() {
+        if (!window.HAL) return false;
+        try {
+            await window.HAL.request(this.config.brightnessPath, { timeout: 2000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    setOverlay(level) {
+        const opacity = (100 - level) / 100 * this.config.maxOverlayDim;
+        if (opacity <= 0) {
+            if (this.overlay) this.overlay.style.opacity = '0';
+            return;
+        }
+
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'dim-overlay';
+            document.body.appendChild(this.overlay);
+        }
+        this.overlay.style.opacity = String(opacity);
+    },
+
+    getStatus() {
+        return {
+            mode: this.settings.mode,
+            phase: this.phase,
+            source: this.source,
+            brightness: this.brightness,
+            brightnessBackend: this.brightnessBackend,
+            lux: this.lastLux
+        };
+    }
+};
+
+window.DayNightScheduler.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerDayNightSchedulerDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('day-night-scheduler', {
+        name: "DayNightScheduler",
+        version: "1.0.0",
+        description: "Switches day/night themes and display brightness on a schedule, at sunrise/sunset or by a light sensor.",
+        type: "System Service",
+        dependencies: ["EventBus", "ThemeManager", "HAL"],
+        features: [
+          "Global singleton (window.DayNightScheduler)",
+          "Modes: fixed times, sunrise/sunset from coordinates, HAL light sensor with hysteresis.",
+          "Falls back to the fixed times when sun or sensor data is unavailable.",
+          "Day and night themes applied through ThemeManager.",
+          "Brightness via the HAL backlight endpoint, or a CSS dim overlay without one.",
+          "Settings persisted in localStorage ('webos-day-night')."
+        ],
+        methods: [
+          { name: "configure(changes)", description: "Updates and saves settings, then re-evaluates the phase." },
+          { name: "getSettings()", description: "Returns the current settings." },
+          { name: "getStatus()", description: "Returns { mode, phase, source, brightness, brightnessBackend, lux }." },
+          { name: "setBrightness(level)", description: "Sets display brightness 0-100 (HAL or overlay)." },
+          { name: "getSunTimes(date, latitude, longitude)", description: "Returns { sunrise, sunset, polar } for that day." }
+        ],
+        events: [
+          "day-night-changed",
+          "brightness-changed"
+        ],
+        autoGenerated: false
+      });
+      console.log('DayNightScheduler documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -76,6 +76,10 @@ window.DesktopIconManager = {
             window.EventBus.on('app-registered', () => {
                 setTimeout(() => this.refreshIcons(), 100);
             });
+
+            window.EventBus.on('app-unregistered', () => {
+                this.refreshIcons();
+            });
             
             window.EventBus.on('system-ready', () => {
                 setTimeout(() => this.refreshIcons(), 200);
@@ -568,11 +572,4 @@ if (typeof window !== 'undefined') {
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
@@ -161,12 +161,4 @@ window.DesktopClass = Desktop;
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  // Fallback: poll for Docs initialization
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
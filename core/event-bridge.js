@@ -0,0 +1,273 @@
+/* ========================================
+ * FILE: core/event-bridge.js
+ * VERSION: 1.1.0
+ * BUILD DATE: 2025-10-18
+ *
+ * PURPOSE:
+ * Forwards selected EventBus events between Gnoke Station tabs and
+ * windows of the same origin (one desktop per monitor, a secondary kiosk
+ * tab). An emergency stop pressed on one screen, a theme or desktop
+ * setting changed on another, reaches every open desktop.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.EventBridge.
+ * - One BroadcastChannel ('webos-event-bridge'); every desktop listens
+ *   with an EventBus '*' subscription and posts events on the allowlist.
+ * - Both sides check the allowlist, so a tab only ever emits events it
+ *   has agreed to receive. Entries may be patterns ('gpio-*').
+ * - Loop protection: a received event is emitted locally with
+ *   EventBridge.isRemote() true, and nothing emitted while it is being
+ *   handled (including follow-up events) is forwarded again. Message IDs
+ *   are remembered so a duplicate is dropped.
+ * - Nothing is forwarded before 'system-ready': a desktop that is still
+ *   booting only listens.
+ * - keepLocal(fn) emits without forwarding anything, for tools that
+ *   replay old events into this desktop (Event Inspector).
+ * - Settings persist in localStorage under 'webos-event-bridge':
+ *   { enabled, allow: [...] }. Off by default.
+ * - Payloads are structured-cloned; ones holding functions or DOM nodes
+ *   are sent as a JSON copy.
+ *
+ * EVENTS:
+ * - event-bridge-changed { enabled, allow }
+ *
+ * DEPENDENCIES:
+ * - EventBus
+ *
+ * EXAMPLE USAGE:
+ * EventBridge.configure({ enabled: true, allow: ['theme-changed', 'gpio-*'] });
+ * EventBus.on('gpio-emergency-stop', data => {
+ *     if (EventBridge.isRemote()) showBanner('Stopped from another screen');
+ * });
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.EventBridge = {
+    config: {
+        channelName: 'webos-event-bridge',
+        storageKey: 'webos-event-bridge',
+        seenLimit: 200
+    },
+
+    defaultSettings: {
+        enabled: false,
+        allow: ['theme-changed', 'desktop-settings-updated', 'gpio-emergency-stop']
+    },
+
+    settings: null,
+    channel: null,
+    unsubscribe: null,
+    connecting: false,
+    booted: false,
+    tabId: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    nextId: 1,
+    seen: new Set(),
+    receiving: null, // the remote message being emitted locally
+    localDepth: 0,   // > 0 inside keepLocal()
+    allowPatterns: [],
+    stats: { sent: 0, received: 0, dropped: 0 },
+
+    init() {
+        this.settings = this.loadSettings();
+        this.compileAllowlist();
+        // Boot-time announcements (the saved theme, ...) are not news to other screens
+        window.EventBus.once('system-ready', () => { this.booted = true; });
+        if (this.settings.enabled) this.connect();
+        console.log(`EventBridge initialized (${this.channel ? 'connected' : 'off'})`);
+    },
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            const settings = { ...this.defaultSettings, ...saved };
+            if (!Array.isArray(settings.allow)) settings.allow = [...this.defaultSettings.allow];
+            return settings;
+        } catch (error) {
+            console.warn('EventBridge: failed to parse settings:', error);
+            return { ...this.defaultSettings, allow: [...this.defaultSettings.allow] };
+        }
+    },
+
+    getSettings() {
+        return { ...this.settings, allow: [...this.settings.allow] };
+    },
+
+    configure(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.settings.allow = (this.settings.allow || [])
+            .map(event => String(event).trim())
+            .filter(Boolean);
+        localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+
+        this.compileAllowlist();
+        if (this.settings.enabled) {
+            this.connect();
+        } else {
+            this.disconnect();
+        }
+
+        if (window.EventBus) {
+            window.EventBus.emit('event-bridge-changed', this.getSettings());
+        }
+        return this.getSettings();
+    },
+
+    compileAllowlist() {
+        this.allowPatterns = this.settings.allow.map(event => window.EventBus.compilePattern(event));
+    },
+
+    isAllowed(event) {
+        return typeof event === 'string' && this.allowPatterns.some(regex => regex.test(event));
+    },
+
+    // True while a listener is handling an event that came from another tab
+    isRemote() {
+        return this.receiving !== null;
+    },
+
+    // Run fn without forwarding what it (or its listeners) emit
+    keepLocal(fn) {
+        this.localDepth++;
+        try {
+            return fn();
+        } finally {
+            this.localDepth--;
+        }
+    },
+
+    // Channel
+
+    connect() {
+        if (this.channel) return true;
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('EventBridge: BroadcastChannel not supported, events stay in this tab');
+            return false;
+        }
+
+        this.channel = new BroadcastChannel(this.config.channelName);
+        this.channel.onmessage = (e) => this.receive(e.data);
+
+        // Sticky events replayed on subscribe are old news; do not forward them
+        this.connecting = true;
+        this.unsubscribe = window.EventBus.on('*', (data, event) => this.forward(event, data));
+        this.connecting = false;
+        return true;
+    },
+
+    disconnect() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+        if (this.channel) this.channel.close();
+        this.channel = null;
+    },
+
+    forward(event, data) {
+        if (!this.booted || this.connecting || this.receiving || this.localDepth > 0 || !this.channel || !this.isAllowed(event)) return;
+
+        const message = {
+            bridge: this.config.channelName,
+            id: `${this.tabId}:${this.nextId++}`,
+            tab: this.tabId,
+            event,
+            data
+        };
+
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            // Payload held functions or DOM nodes - send a plain JSON copy instead
+            try {
+                this.channel.postMessage(JSON.parse(JSON.stringify(message)));
+            } catch (jsonError) {
+                console.warn(`EventBridge: could not forward ${event}:`, jsonError.message);
+                return;
+            }
+        }
+        this.stats.sent++;
+    },
+
+    receive(message) {
+        if (!message || message.bridge !== this.config.channelName || message.tab === this.tabId) return;
+        if (this.seen.has(message.id) || !this.isAllowed(message.event)) {
+            this.stats.dropped++;
+            return;
+        }
+
+        this.seen.add(message.id);
+        if (this.seen.size > this.config.seenLimit) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+
+        this.stats.received++;
+        this.receiving = message;
+        try {
+            window.EventBus.emit(message.event, message.data);
+        } finally {
+            this.receiving = null;
+        }
+    },
+
+    getStatus() {
+        return {
+            enabled: this.settings.enabled,
+            connected: !!this.channel,
+            tabId: this.tabId,
+            allow: [...this.settings.allow],
+            ...this.stats
+        };
+    }
+};
+
+window.EventBridge.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerEventBridgeDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('event-bridge', {
+        name: "EventBridge",
+        version: "1.1.0",
+        description: "Forwards allowlisted EventBus events between same-origin tabs and windows over BroadcastChannel.",
+        type: "System Service",
+        dependencies: ["EventBus"],
+        features: [
+          "Global singleton (window.EventBridge)",
+          "Allowlist of event names or patterns, checked when sending and when receiving.",
+          "Loop protection: events emitted while handling a remote event stay local; duplicate messages dropped.",
+          "isRemote() tells listeners an event came from another screen.",
+          "Off by default; settings persisted in localStorage ('webos-event-bridge')."
+        ],
+        methods: [
+          { name: "configure(changes)", description: "Updates and saves { enabled, allow }, connecting or disconnecting the channel." },
+          { name: "getSettings()", description: "Returns { enabled, allow }." },
+          { name: "isAllowed(event)", description: "True if the event is on the allowlist." },
+          { name: "isRemote()", description: "True while the current event came from another tab or window." },
+          { name: "keepLocal(fn)", description: "Runs fn; nothing emitted meanwhile is forwarded (used for replays)." },
+          { name: "getStatus()", description: "Returns { enabled, connected, tabId, allow, sent, received, dropped }." }
+        ],
+        events: [
+          "event-bridge-changed"
+        ],
+        autoGenerated: false
+      });
+      console.log('EventBridge documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
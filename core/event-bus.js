@@ -1,7 +1,7 @@
 /* ========================================
  * FILE: core/event-bus.js
- * VERSION: 1.0.0
- * BUILD DATE: 2025-09-29
+ * VERSION: 1.3.0
+ * BUILD DATE: 2025-10-17
  *
  * PURPOSE:
  *   Core communication layer for Unity Station. Provides a
@@ -11,8 +11,25 @@
  *
  * ARCHITECTURE:
  *   - Singleton object exposed as window.EventBus
- *   - Map-based storage of event → listeners[]
- *   - Simple API: on(), emit(), off(), getListenerCount()
+ *   - Map-based storage of event → listeners[], plus a list of
+ *     pattern listeners ('window-*', 'hal:gpio:*', '*')
+ *   - Simple API: on(), once(), emit(), off(), getListenerCount()
+ *   - on() and once() return a disposer; { owner: win } ties a listener
+ *     to a window and removes it once that window's 'window-closed' has
+ *     been delivered
+ *   - Sticky events keep their last payload and hand it to every later
+ *     subscriber at once (system-ready, docs-ready, apps-loaded, ...), so
+ *     late modules never have to poll
+ *   - Replay buffers keep the last N payloads of matching events (e.g.
+ *     'hal:*'); a subscriber asks for them with { replay: true | N }
+ *   - Request/response: handle(name, fn) registers the single responder
+ *     for a name; request(name, payload) resolves with what it returns.
+ *     Requests reject with code 'ENOHANDLER' when nobody answers and
+ *     'ETIMEDOUT' after the timeout, so apps can ask each other things
+ *     without window.* references. handle(..., { permission }) names what
+ *     a sandboxed caller must be granted
+ *   - App events are named '<appId>:...'; getAppNamespace() tells them
+ *     from the desktop's own ('window-closed', 'hal:gpio:status')
  *   - No external dependencies (loads first in system)
  *
  * LIFECYCLE:
@@ -25,35 +42,122 @@
  *   - Unlimited listeners per event
  *   - Emit events with optional payload
  *   - Safe error isolation per listener
- *   - Remove listeners individually
+ *   - Remove listeners individually, by disposer or by owning window
+ *   - Wildcard subscriptions; pattern listeners get (data, eventName)
+ *   - Sticky events and bounded replay for late subscribers
+ *   - Promise-based requests with timeouts, one responder per name
  *   - Debug listener counts
  *
  * EXAMPLE USAGE:
  *   EventBus.on('app-launched', data => console.log('App launched', data));
  *   EventBus.emit('app-launched', { id: 'clock' });
+ *   const stop = EventBus.on('storage-*', (data, event) => log(event, data));
+ *   stop();
+ *   EventBus.once('system-ready', () => startPolling());
+ *   EventBus.on('hal:gpio:*', refresh, { owner: win });   // gone when win closes
+ *   EventBus.on('docs-ready', register);   // runs now if Docs is already up
+ *   EventBus.setReplay('hal:*', 20);
+ *   EventBus.on('hal:gpio:*', render, { replay: 5 });   // last 5 first
+ *   EventBus.handle('gpio:pin-states', () => pins, { owner: win });
+ *   const pins = await EventBus.request('gpio:pin-states', null, { timeout: 2000 });
  *
  * AUTHOR:
  *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
  * ======================================== */
 
 window.EventBus = {
-  listeners: new Map(),
+  listeners: new Map(), // exact event name -> [{ callback, once, owner }]
+  patterns: [],         // [{ pattern, regex, callback, once, owner }]
+
+  // One-shot lifecycle events; late subscribers get the last payload
+  stickyEvents: new Set(['system-ready', 'docs-ready', 'apps-loaded', 'desktop-icons-ready']),
+  lastPayloads: new Map(),  // sticky event -> { data, seq }
+  replayLimits: [],         // [{ pattern, regex, size }]
+  replayBuffers: new Map(), // event -> [{ data, seq }], oldest first
+  seq: 0,
+
+  // Request/response
+  handlers: new Map(),       // request name -> { fn, owner }
+  handlerWaiters: new Map(), // request name -> [callback], for { wait: true }
+  requestTimeout: 5000,
+
+  // '<name>:...' events belong to the app <name>, except these desktop ones
+  systemNamespaces: ['hal'],
 
   /**
-   * Register a listener for an event
-   * @param {string} event - Event name
-   * @param {function} callback - Function to execute when event fires
+   * Register a listener for an event or a pattern ('window-*', 'hal:gpio:*', '*')
+   * @param {string} event - Event name; '*' matches any run of characters
+   * @param {function} callback - Called with (data), or (data, eventName) for patterns
+   * @param {Object} [options]
+   * @param {boolean} [options.once] - Remove after the first call
+   * @param {Element|string} [options.owner] - Window (element or ID) whose closing removes the listener
+   * @param {boolean|number} [options.replay] - Deliver buffered payloads first (all, or the last N)
+   * @returns {function} Disposer that removes the listener
    */
-  on(event, callback) {
-    if (!event || typeof callback !== 'function') {
+  on(event, callback, options = {}) {
+    if (!event || typeof event !== 'string' || typeof callback !== 'function') {
       console.warn('EventBus.on: Invalid event or callback');
-      return;
+      return () => {};
+    }
+
+    const entry = { callback, once: !!options.once, owner: this.resolveOwner(options.owner) };
+
+    if (event.includes('*')) {
+      entry.pattern = event;
+      entry.regex = this.compilePattern(event);
+      this.patterns.push(entry);
+    } else {
+      if (!this.listeners.has(event)) {
+        this.listeners.set(event, []);
+      }
+      this.listeners.get(event).push(entry);
+    }
+
+    this.catchUp(event, entry, options.replay);
+    return () => this.removeEntry(event, entry);
+  },
+
+  catchUp(event, entry, replay) {
+    this.getBacklog(event, replay).forEach(item => {
+      this.invoke(entry.pattern || event, item.event, entry, item.data, !!entry.pattern);
+    });
+  },
+
+  /**
+   * What a new subscriber has missed: sticky payloads (and buffered ones
+   * if replay is set) for an event or pattern, in the order they were emitted
+   * @param {string} event - Event name or pattern
+   * @param {boolean|number} [replay] - Include buffered payloads (all, or the last N)
+   * @param {boolean} [includeSticky=true]
+   * @returns {Array<{event, data, seq}>}
+   */
+  getBacklog(event, replay = false, includeSticky = true) {
+    const missed = new Map(); // seq -> { event, data, seq }
+
+    if (replay) {
+      this.getReplay(event, replay === true ? Infinity : replay).forEach(item => missed.set(item.seq, item));
     }
-    
-    if (!this.listeners.has(event)) {
-      this.listeners.set(event, []);
+    if (includeSticky) {
+      const regex = event.includes('*') ? this.compilePattern(event) : null;
+      this.lastPayloads.forEach((payload, name) => {
+        if (regex ? regex.test(name) : name === event) {
+          missed.set(payload.seq, { event: name, data: payload.data, seq: payload.seq });
+        }
+      });
     }
-    this.listeners.get(event).push(callback);
+
+    return Array.from(missed.values()).sort((a, b) => a.seq - b.seq);
+  },
+
+  /**
+   * Register a listener that runs once
+   * @param {string} event - Event name or pattern
+   * @param {function} callback
+   * @param {Object} [options] - As for on()
+   * @returns {function} Disposer
+   */
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
   },
 
   /**
@@ -63,46 +167,336 @@ window.EventBus = {
    */
   emit(event, data) {
     if (!event) return;
-    
-    if (this.listeners.has(event)) {
-      const callbacks = this.listeners.get(event);
-      callbacks.forEach(callback => {
-        try {
-          callback(data);
-        } catch (error) {
-          console.error(`EventBus error in ${event} listener:`, error);
-        }
-      });
+
+    const seq = ++this.seq;
+    if (this.stickyEvents.has(event)) {
+      this.lastPayloads.set(event, { data, seq });
+    }
+    this.record(event, data, seq);
+
+    // Copy, so listeners that off() themselves don't skip the next one
+    const exact = (this.listeners.get(event) || []).slice();
+    const matched = this.patterns.filter(entry => entry.regex.test(event));
+
+    exact.forEach(entry => this.invoke(event, event, entry, data));
+    matched.forEach(entry => this.invoke(entry.pattern, event, entry, data, true));
+
+    // Owners are dropped after the window's own window-closed listeners ran
+    if (event === 'window-closed' && data && data.windowId) {
+      this.removeOwner(data.windowId);
+    }
+  },
+
+  /**
+   * Make an event sticky (or not); the last payload is kept for late subscribers
+   * @param {string} event - Exact event name
+   * @param {boolean} [enabled=true]
+   */
+  setSticky(event, enabled = true) {
+    if (enabled) {
+      this.stickyEvents.add(event);
+    } else {
+      this.stickyEvents.delete(event);
+      this.lastPayloads.delete(event);
+    }
+  },
+
+  /**
+   * Last payload of a sticky event
+   * @param {string} event
+   * @returns {*} undefined if it has not fired
+   */
+  getLast(event) {
+    const payload = this.lastPayloads.get(event);
+    return payload ? payload.data : undefined;
+  },
+
+  /**
+   * Keep the last `size` payloads of each event matching `event` (0 stops)
+   * @param {string} event - Event name or pattern
+   * @param {number} size
+   */
+  setReplay(event, size) {
+    this.replayLimits = this.replayLimits.filter(limit => limit.pattern !== event);
+    if (size > 0) {
+      this.replayLimits.push({ pattern: event, regex: this.compilePattern(event), size: Math.floor(size) });
+    }
+
+    // Trim or drop buffers to the new limits
+    this.replayBuffers.forEach((buffer, name) => {
+      const limit = this.getReplayLimit(name);
+      if (limit === 0) {
+        this.replayBuffers.delete(name);
+      } else if (buffer.length > limit) {
+        buffer.splice(0, buffer.length - limit);
+      }
+    });
+  },
+
+  getReplayLimit(event) {
+    return this.replayLimits.reduce((max, limit) => limit.regex.test(event) ? Math.max(max, limit.size) : max, 0);
+  },
+
+  record(event, data, seq) {
+    const limit = this.getReplayLimit(event);
+    if (limit === 0) return;
+
+    if (!this.replayBuffers.has(event)) {
+      this.replayBuffers.set(event, []);
+    }
+    const buffer = this.replayBuffers.get(event);
+    buffer.push({ data, seq });
+    if (buffer.length > limit) buffer.shift();
+  },
+
+  /**
+   * Buffered payloads of an event or pattern, oldest first
+   * @param {string} event - Event name or pattern
+   * @param {number} [limit] - Only the last N
+   * @returns {Array<{event, data, seq}>}
+   */
+  getReplay(event, limit = Infinity) {
+    const regex = event.includes('*') ? this.compilePattern(event) : null;
+    const items = [];
+    this.replayBuffers.forEach((buffer, name) => {
+      if (regex ? regex.test(name) : name === event) {
+        buffer.forEach(item => items.push({ event: name, data: item.data, seq: item.seq }));
+      }
+    });
+    items.sort((a, b) => a.seq - b.seq);
+    return limit < items.length ? items.slice(items.length - limit) : items;
+  },
+
+  invoke(key, event, entry, data, isPattern = false) {
+    if (entry.once) {
+      // A listener may have been removed by an earlier one in this emit
+      if (!this.removeEntry(key, entry)) return;
+    }
+
+    try {
+      if (isPattern) {
+        entry.callback(data, event);
+      } else {
+        entry.callback(data);
+      }
+    } catch (error) {
+      console.error(`EventBus error in ${event} listener:`, error);
     }
   },
 
   /**
    * Remove a specific listener
-   * @param {string} event - Event name
+   * @param {string} event - Event name or pattern it was registered with
    * @param {function} callback - Function reference to remove
    */
   off(event, callback) {
-    if (!this.listeners.has(event)) return;
-    
-    const callbacks = this.listeners.get(event);
-    const index = callbacks.indexOf(callback);
-    if (index > -1) {
-      callbacks.splice(index, 1);
-    }
-    
+    if (!event) return;
+
+    const entries = event.includes('*')
+      ? this.patterns.filter(entry => entry.pattern === event)
+      : (this.listeners.get(event) || []);
+    const entry = entries.find(candidate => candidate.callback === callback);
+    if (entry) this.removeEntry(event, entry);
+  },
+
+  /**
+   * Register the responder for a request name
+   * @param {string} name - Request name, e.g. 'gpio:pin-states'
+   * @param {function} fn - Called with the payload; may return a value or a Promise
+   * @param {Object} [options]
+   * @param {Element|string} [options.owner] - Window whose closing removes the responder
+   * @param {string} [options.permission] - Permission a sandboxed caller needs, e.g. 'hal:gpio'
+   * @returns {function} Disposer that removes the responder
+   * @throws {Error} If the name already has a responder
+   */
+  handle(name, fn, options = {}) {
+    if (!name || typeof name !== 'string' || typeof fn !== 'function') {
+      throw new TypeError('EventBus.handle: a request name and a handler function are required');
+    }
+    if (this.handlers.has(name)) {
+      throw new Error(`EventBus.handle: "${name}" already has a responder`);
+    }
+
+    const handler = { fn, owner: this.resolveOwner(options.owner), permission: options.permission || null };
+    this.handlers.set(name, handler);
+
+    const waiters = this.handlerWaiters.get(name) || [];
+    this.handlerWaiters.delete(name);
+    waiters.forEach(callback => callback());
+
+    return () => {
+      if (this.handlers.get(name) === handler) this.handlers.delete(name);
+    };
+  },
+
+  /**
+   * Remove the responder for a request name
+   * @param {string} name
+   * @param {function} [fn] - Only if it is this function
+   */
+  unhandle(name, fn) {
+    const handler = this.handlers.get(name);
+    if (handler && (!fn || handler.fn === fn)) {
+      this.handlers.delete(name);
+    }
+  },
+
+  /**
+   * @param {string} name
+   * @returns {boolean} True if something responds to the request
+   */
+  hasHandler(name) {
+    return this.handlers.has(name);
+  },
+
+  /**
+   * The app that owns an event: 'notepad:current-file' -> 'notepad'.
+   * Plain events ('window-closed', 'theme-changed') and HAL status
+   * ('hal:gpio:status') belong to the desktop and give null. SandboxRuntime
+   * and the Event Inspector use this to tell app events from system ones
+   * @param {string} event
+   * @returns {string|null} App ID, or null for desktop events
+   */
+  getAppNamespace(event) {
+    const match = /^([a-z0-9][a-z0-9_-]*):/i.exec(String(event));
+    return match && !this.systemNamespaces.includes(match[1]) ? match[1] : null;
+  },
+
+  /**
+   * Ask the responder for a request name
+   * @param {string} name - Request name
+   * @param {*} [payload]
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - ms; 0 waits forever
+   * @param {boolean} [options.wait] - Wait (within the timeout) for a responder to register
+   * @param {function} [options.authorize] - Called with the responder's permission
+   *   before it runs; throwing rejects the request (used by SandboxRuntime)
+   * @returns {Promise<*>} Resolves with the responder's result. Rejects with
+   *   error.code 'ENOHANDLER', 'ETIMEDOUT', or whatever the responder threw
+   */
+  request(name, payload, options = {}) {
+    const timeout = options.timeout === undefined ? this.requestTimeout : options.timeout;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let waiter = null;
+
+      const fail = (message, code) => {
+        const error = new Error(message);
+        error.code = code;
+        error.request = name;
+        reject(error);
+      };
+
+      const run = () => {
+        const handler = this.handlers.get(name);
+        Promise.resolve()
+          .then(() => {
+            if (options.authorize) options.authorize(handler.permission);
+            return handler.fn(payload);
+          })
+          .then(resolve, reject)
+          .finally(() => clearTimeout(timer));
+      };
+
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          if (waiter) this.removeWaiter(name, waiter);
+          fail(`Request "${name}" timed out after ${timeout} ms`, 'ETIMEDOUT');
+        }, timeout);
+      }
+
+      if (this.handlers.has(name)) {
+        run();
+      } else if (options.wait) {
+        waiter = run;
+        if (!this.handlerWaiters.has(name)) this.handlerWaiters.set(name, []);
+        this.handlerWaiters.get(name).push(waiter);
+      } else {
+        clearTimeout(timer);
+        fail(`No handler for request "${name}"`, 'ENOHANDLER');
+      }
+    });
+  },
+
+  removeWaiter(name, waiter) {
+    const waiters = (this.handlerWaiters.get(name) || []).filter(callback => callback !== waiter);
+    if (waiters.length > 0) {
+      this.handlerWaiters.set(name, waiters);
+    } else {
+      this.handlerWaiters.delete(name);
+    }
+  },
+
+  /**
+   * Remove every listener and responder owned by a window
+   * @param {string} windowId
+   * @returns {number} Listeners and responders removed
+   */
+  removeOwner(windowId) {
+    let removed = 0;
+
+    this.handlers.forEach((handler, name) => {
+      if (handler.owner === windowId) {
+        this.handlers.delete(name);
+        removed++;
+      }
+    });
+
+    this.listeners.forEach((entries, event) => {
+      entries.filter(entry => entry.owner === windowId).forEach(entry => {
+        if (this.removeEntry(event, entry)) removed++;
+      });
+    });
+    this.patterns.filter(entry => entry.owner === windowId).forEach(entry => {
+      if (this.removeEntry(entry.pattern, entry)) removed++;
+    });
+
+    return removed;
+  },
+
+  removeEntry(event, entry) {
+    if (entry.pattern) {
+      const index = this.patterns.indexOf(entry);
+      if (index === -1) return false;
+      this.patterns.splice(index, 1);
+      return true;
+    }
+
+    const entries = this.listeners.get(event);
+    const index = entries ? entries.indexOf(entry) : -1;
+    if (index === -1) return false;
+    entries.splice(index, 1);
+
     // Clean up empty event arrays
-    if (callbacks.length === 0) {
+    if (entries.length === 0) {
       this.listeners.delete(event);
     }
+    return true;
+  },
+
+  // A window element (or anything inside one) or a window ID
+  resolveOwner(owner) {
+    if (!owner) return null;
+    if (typeof owner === 'string') return owner;
+    const win = typeof owner.closest === 'function' ? owner.closest('.window') || owner : owner;
+    return win.id || null;
+  },
+
+  // 'hal:gpio:*' -> /^hal:gpio:.*$/
+  compilePattern(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
   },
 
   /**
-   * Get number of listeners for an event
-   * @param {string} event - Event name
+   * Get number of listeners an event would reach
+   * @param {string} event - Event name (pattern listeners that match are included)
    * @returns {number}
    */
   getListenerCount(event) {
-    return this.listeners.has(event) ? this.listeners.get(event).length : 0;
+    const exact = this.listeners.has(event) ? this.listeners.get(event).length : 0;
+    return exact + this.patterns.filter(entry => entry.regex.test(event)).length;
   }
 };
 
@@ -112,22 +506,40 @@ window.EventBus = {
     if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
       window.Docs.register('event-bus', {
         name: "EventBus",
-        version: "1.0.0",
+        version: "1.3.0",
         description: "Core communication layer providing a global publish/subscribe event system for Unity Station modules and apps.",
         type: "System Service",
         features: [
           "Global singleton (window.EventBus)",
           "Unlimited listeners per event",
           "Emit events with optional data payload",
-          "Remove specific listeners with .off()",
+          "Remove specific listeners with .off() or the disposer returned by .on()",
+          "Wildcard subscriptions such as 'window-*', 'hal:gpio:*' or '*'",
+          "One-shot listeners with .once()",
+          "Listeners tied to a window ({ owner }) are removed when it closes",
+          "Sticky lifecycle events (system-ready, docs-ready, apps-loaded) reach late subscribers",
+          "Bounded per-event replay buffers (e.g. recent HAL status) via { replay }",
+          "Request/response with handle() and request(): one responder per name, Promise results, timeouts",
           "Error-safe listener execution",
           "Listener count inspection via .getListenerCount()"
         ],
         methods: [
-          { name: "on(event, callback)", description: "Register a listener for a given event" },
+          { name: "on(event, callback, options)", description: "Register a listener for an event or pattern; options { once, owner, replay }; returns a disposer" },
+          { name: "once(event, callback, options)", description: "Register a listener that runs once; returns a disposer" },
           { name: "emit(event, data)", description: "Emit an event with optional payload" },
           { name: "off(event, callback)", description: "Remove a specific listener" },
-          { name: "getListenerCount(event)", description: "Return number of listeners for an event" }
+          { name: "handle(name, fn, options)", description: "Register the single responder for a request name; options { owner, permission }; returns a disposer" },
+          { name: "unhandle(name, fn)", description: "Remove the responder for a request name" },
+          { name: "hasHandler(name)", description: "True if a responder is registered" },
+          { name: "request(name, payload, options)", description: "Promise of the responder's result; options { timeout, wait }; rejects with code ENOHANDLER or ETIMEDOUT" },
+          { name: "getAppNamespace(event)", description: "App ID an event belongs to ('notepad:current-file' -> 'notepad'); null for desktop events" },
+          { name: "removeOwner(windowId)", description: "Remove every listener and responder owned by a window" },
+          { name: "setSticky(event, enabled)", description: "Keep an event's last payload for late subscribers" },
+          { name: "getLast(event)", description: "Return a sticky event's last payload" },
+          { name: "setReplay(event, size)", description: "Buffer the last N payloads of matching events (0 stops)" },
+          { name: "getReplay(event, limit)", description: "Return buffered { event, data, seq } items, oldest first" },
+          { name: "getBacklog(event, replay, includeSticky)", description: "Return what a new subscriber missed: sticky and optionally buffered payloads" },
+          { name: "getListenerCount(event)", description: "Return number of listeners an event would reach, patterns included" }
         ],
         autoGenerated: false
       });
@@ -149,12 +561,4 @@ window.EventBus = {
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  // Fallback: poll for Docs initialization
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
\ No newline at end of file
@@ -0,0 +1,185 @@
+/* ========================================
+ * FILE: core/hal.js
+ * VERSION: 1.1.0
+ * BUILD DATE: 2025-10-15
+ *
+ * PURPOSE:
+ * Thin client for the Hardware Abstraction Layer (HAL) backend - the
+ * device-side HTTP service that drives GPIO, sensors and relays. Gives
+ * apps (and the sandbox bridge) one place to reach the hardware instead
+ * of every app building its own fetch URLs.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.HAL.
+ * - Base URL stored in localStorage under 'webos-hal-url'; defaults to
+ *   port 5000 on the host serving the desktop.
+ * - request() returns parsed JSON and rejects on HTTP errors / timeouts.
+ * - Every successful GET is published on EventBus as a status event named
+ *   after its path ('/gpio/status' -> 'hal:gpio:status'). The last
+ *   statusReplay of each are kept, so apps that open later can catch up
+ *   with EventBus.on('hal:gpio:*', fn, { replay: true }).
+ * - 'hal:connection' is sticky and changes when the backend stops or
+ *   starts answering.
+ *
+ * EVENTS:
+ * - hal:<path segments>  { path, data }
+ * - hal:connection       { online, url, error }
+ *
+ * DEPENDENCIES:
+ * - None (fetch, AbortController); EventBus optional
+ *
+ * EXAMPLE USAGE:
+ * const status = await HAL.request('/gpio/status');
+ * await HAL.request('/gpio/control', { method: 'POST', body: { pin: 17, value: 1 } });
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.HAL = {
+    config: {
+        storageKey: 'webos-hal-url',
+        defaultPort: 5000,
+        timeout: 5000,
+        statusReplay: 10 // buffered payloads per hal:* event
+    },
+    online: null,
+
+    init() {
+        if (window.EventBus) {
+            window.EventBus.setSticky('hal:connection');
+            window.EventBus.setReplay('hal:*', this.config.statusReplay);
+        }
+    },
+
+    getBaseUrl() {
+        const saved = localStorage.getItem(this.config.storageKey);
+        if (saved) return saved;
+
+        const protocol = location.protocol === 'https:' ? 'https:' : 'http:';
+        return `${protocol}//${location.hostname || 'localhost'}:${this.config.defaultPort}`;
+    },
+
+    setBaseUrl(url) {
+        if (url) {
+            localStorage.setItem(this.config.storageKey, url.replace(/\/+$/, ''));
+        } else {
+            localStorage.removeItem(this.config.storageKey);
+        }
+    },
+
+    // options: { method, body, timeout }
+    async request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const url = this.getBaseUrl() + (path.startsWith('/') ? path : '/' + path);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), options.timeout || this.config.timeout);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: options.body !== undefined ? { 'Content-Type': 'application/json' } : {},
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HAL ${method} ${path} failed: HTTP ${response.status}`);
+            }
+
+            const text = await response.text();
+            const data = text ? JSON.parse(text) : null;
+
+            this.setOnline(true);
+            if (method === 'GET') this.publish(path, data);
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.setOnline(false, `HAL ${method} ${path} timed out`);
+                throw new Error(`HAL ${method} ${path} timed out`);
+            }
+            // fetch itself failing means the backend is unreachable; HTTP errors do not
+            if (error instanceof TypeError) this.setOnline(false, error.message);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // '/gpio/status?pin=17' -> 'hal:gpio:status'
+    eventName(path) {
+        const segments = path.split('?')[0].split('/')
+            .map(segment => segment.toLowerCase().replace(/[^a-z0-9_-]/g, ''))
+            .filter(Boolean);
+        return segments.length > 0 ? `hal:${segments.join(':')}` : null;
+    },
+
+    publish(path, data) {
+        const event = this.eventName(path);
+        if (event && window.EventBus) {
+            window.EventBus.emit(event, { path, data });
+        }
+    },
+
+    setOnline(online, error = null) {
+        if (this.online === online) return;
+        this.online = online;
+
+        if (window.EventBus) {
+            window.EventBus.emit('hal:connection', { online, url: this.getBaseUrl(), error });
+        }
+        console.log(`HAL backend ${online ? 'reachable' : 'unreachable'}: ${this.getBaseUrl()}`);
+    }
+};
+
+window.HAL.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerHALDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('hal', {
+        name: "HAL",
+        version: "1.1.0",
+        description: "Client for the hardware abstraction layer (HAL) HTTP backend.",
+        type: "System Service",
+        dependencies: [],
+        features: [
+          "Global singleton (window.HAL)",
+          "Configurable backend URL persisted in localStorage ('webos-hal-url').",
+          "JSON requests with timeout and HTTP error handling.",
+          "Used by the sandbox bridge so sandboxed apps can reach hardware.",
+          "Successful GETs published as 'hal:<path>' status events with a replay buffer for late subscribers.",
+          "Sticky 'hal:connection' event tracks whether the backend answers."
+        ],
+        methods: [
+          { name: "request(path, options)", description: "Sends a request to the HAL backend. options: method, body, timeout. Resolves with parsed JSON." },
+          { name: "getBaseUrl()", description: "Returns the HAL backend URL." },
+          { name: "setBaseUrl(url)", description: "Sets (or with no argument resets) the HAL backend URL." }
+        ],
+        events: [
+          "hal:<path segments>",
+          "hal:connection"
+        ],
+        autoGenerated: false
+      });
+      console.log('HAL documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
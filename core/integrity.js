@@ -0,0 +1,207 @@
+/* ========================================
+ * FILE: core/integrity.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-06
+ *
+ * PURPOSE:
+ * Verifies app scripts before they run. Catalog entries carry a SHA-256
+ * digest of the script and, optionally, a vendor signature; the loaders
+ * fetch the script, check it here and only then execute the exact bytes
+ * that were verified (via a blob: URL). Tampered code never runs.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.Integrity.
+ * - WebCrypto (crypto.subtle) for SHA-256 and ECDSA P-256 signatures.
+ * - Fails closed: no digest, a mismatch, a bad/missing required signature
+ *   or no WebCrypto all reject. Errors carry a .code for the caller.
+ * - Vendor public keys (JWK) are stored in localStorage under
+ *   'webos-trusted-keys'; 'webos-require-signed-apps' = 'true' makes a
+ *   valid signature mandatory.
+ *
+ * CATALOG FIELDS:
+ * - sha256:    hex SHA-256 of the script file (required)
+ * - signature: base64 ECDSA P-256/SHA-256 signature of the script bytes
+ *              (raw r||s, as produced by WebCrypto)
+ * - keyId:     which trusted key made the signature
+ *
+ * NOTES:
+ * - crypto.subtle only exists in secure contexts: serve the desktop over
+ *   HTTPS or from localhost, otherwise every verification fails.
+ *
+ * DEPENDENCIES:
+ * - None (fetch, crypto.subtle, Blob/URL)
+ *
+ * EXAMPLE USAGE:
+ * const source = await Integrity.fetchVerified('system/store/wled.js', { sha256: 'f3ba87…' });
+ * script.src = Integrity.createScriptUrl(source, 'system/store/wled.js');
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.Integrity = {
+    config: {
+        keysStorageKey: 'webos-trusted-keys',
+        requireSignatureKey: 'webos-require-signed-apps',
+        keyAlgorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+        signatureAlgorithm: { name: 'ECDSA', hash: 'SHA-256' }
+    },
+
+    isAvailable() {
+        return !!(window.crypto && window.crypto.subtle);
+    },
+
+    // Verification errors carry a code; network errors do not
+    fail(code, message, details = {}) {
+        const error = new Error(message);
+        error.code = code;
+        Object.assign(error, details);
+        return error;
+    },
+
+    async digest(bytes) {
+        const hash = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Trusted vendor keys: { keyId: JWK }
+    getTrustedKeys() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.keysStorageKey) || '{}');
+        } catch (error) {
+            console.warn('Integrity: failed to parse trusted keys:', error);
+            return {};
+        }
+    },
+
+    addTrustedKey(keyId, jwk) {
+        const keys = this.getTrustedKeys();
+        keys[keyId] = jwk;
+        localStorage.setItem(this.config.keysStorageKey, JSON.stringify(keys));
+    },
+
+    removeTrustedKey(keyId) {
+        const keys = this.getTrustedKeys();
+        delete keys[keyId];
+        localStorage.setItem(this.config.keysStorageKey, JSON.stringify(keys));
+    },
+
+    isSignatureRequired() {
+        return localStorage.getItem(this.config.requireSignatureKey) === 'true';
+    },
+
+    setSignatureRequired(required) {
+        localStorage.setItem(this.config.requireSignatureKey, required ? 'true' : 'false');
+    },
+
+    // expected: { sha256, signature, keyId }; resolves { sha256, signed }
+    async verify(bytes, expected = {}) {
+        if (!this.isAvailable()) {
+            throw this.fail('unavailable', 'WebCrypto is not available (serve the desktop over HTTPS or from localhost)');
+        }
+        if (!expected.sha256) {
+            throw this.fail('missing-digest', 'No SHA-256 digest in the catalog entry');
+        }
+
+        const actual = await this.digest(bytes);
+        if (actual !== String(expected.sha256).toLowerCase()) {
+            throw this.fail('digest-mismatch', 'SHA-256 digest does not match the catalog', { actual });
+        }
+
+        const signed = await this.verifySignature(bytes, expected);
+        return { sha256: actual, signed };
+    },
+
+    async verifySignature(bytes, expected) {
+        if (!expected.signature) {
+            if (this.isSignatureRequired()) {
+                throw this.fail('missing-signature', 'A vendor signature is required but the catalog entry has none');
+            }
+            return false;
+        }
+
+        const jwk = this.getTrustedKeys()[expected.keyId];
+        if (!jwk) {
+            throw this.fail('unknown-key', `Signed with an untrusted key: ${expected.keyId || '(none)'}`);
+        }
+
+        let valid = false;
+        try {
+            const key = await window.crypto.subtle.importKey('jwk', jwk, this.config.keyAlgorithm, false, ['verify']);
+            const signature = Uint8Array.from(atob(expected.signature), char => char.charCodeAt(0));
+            valid = await window.crypto.subtle.verify(this.config.signatureAlgorithm, key, signature, bytes);
+        } catch (error) {
+            throw this.fail('bad-signature', `Signature could not be checked: ${error.message}`);
+        }
+
+        if (!valid) {
+            throw this.fail('bad-signature', 'Vendor signature is not valid for this script');
+        }
+        return true;
+    },
+
+    // Fetch a script and verify it; resolves with the verified source text
+    async fetchVerified(url, expected) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+        }
+
+        const bytes = await response.arrayBuffer();
+        await this.verify(bytes, expected);
+        return new TextDecoder().decode(bytes);
+    },
+
+    // Run exactly the verified text, not a second download of the URL
+    createScriptUrl(source, sourceUrl) {
+        const blob = new Blob([source + `\n//# sourceURL=${sourceUrl}`], { type: 'text/javascript' });
+        return URL.createObjectURL(blob);
+    }
+};
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerIntegrityDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('integrity', {
+        name: "Integrity",
+        version: "1.0.0",
+        description: "Verifies SHA-256 digests and vendor signatures of app scripts before they run.",
+        type: "System Service",
+        dependencies: [],
+        features: [
+          "Global singleton (window.Integrity)",
+          "SHA-256 digests and ECDSA P-256 vendor signatures via WebCrypto.",
+          "Fails closed: missing digest, mismatch, bad signature or no WebCrypto refuse the script.",
+          "Verified bytes are executed from a blob: URL, never re-downloaded.",
+          "Trusted vendor keys and the 'signatures required' policy persist in localStorage."
+        ],
+        methods: [
+          { name: "fetchVerified(url, expected)", description: "Fetches a script and resolves with its source if it matches expected.sha256 (and signature)." },
+          { name: "verify(bytes, expected)", description: "Checks an ArrayBuffer against { sha256, signature, keyId }." },
+          { name: "createScriptUrl(source, sourceUrl)", description: "Returns a blob: URL that runs the verified source." },
+          { name: "addTrustedKey(keyId, jwk)", description: "Trusts a vendor public key (ECDSA P-256 JWK)." },
+          { name: "setSignatureRequired(required)", description: "Makes a valid vendor signature mandatory for all apps." }
+        ],
+        events: [],
+        autoGenerated: false
+      });
+      console.log('Integrity documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -19,7 +19,15 @@ window.WebDesktop = {
         
         this.initializationPromise = this.bootstrap().catch(error => {
             console.error('WebDesktop initialization failed:', error);
-            this.showFallbackError(error);
+            
+            if (window.EventBus) {
+                window.EventBus.emit('system-failed', { error: error.message });
+            }
+            
+            // The boot screen shows its own diagnostics
+            if (!window.BootScreen) {
+                this.showFallbackError(error);
+            }
             throw error;
         });
         
@@ -61,7 +69,7 @@ window.WebDesktop = {
     
     checkCoreServices() {
         const requiredServices = ['EventBus', 'WindowManager', 'AppRegistry'];
-        const optionalServices = ['DesktopManager', 'Taskbar', 'StartMenu'];
+        const optionalServices = ['DesktopManager', 'Taskbar', 'StartMenu', 'SessionManager', 'WindowSwitcher', 'SandboxRuntime'];
         
         const missing = requiredServices.filter(service => !window[service]);
         const optional = optionalServices.filter(service => !window[service]);
@@ -80,7 +88,7 @@ window.WebDesktop = {
     async initializeCoreServices() {
         console.log('Initializing core services...');
         
-        const services = ['DesktopManager', 'Taskbar', 'StartMenu'];
+        const services = ['DesktopManager', 'Taskbar', 'StartMenu', 'SessionManager', 'WindowSwitcher', 'SandboxRuntime'];
         
         for (const serviceName of services) {
             if (window[serviceName] && typeof window[serviceName].init === 'function') {
@@ -112,6 +120,7 @@ window.WebDesktop = {
     
     finalizeSystem() {
         this.setupKeyboardShortcuts();
+        this.setupWorkspaceGestures();
         this.setupResponsiveHandling();
         this.setupGlobalErrorHandling();
         this.logSystemStatus();
@@ -135,6 +144,89 @@ window.WebDesktop = {
                 }
             }
             
+            // Ctrl + Alt + T: Tile all windows (Shift for master/stack layout)
+            if (e.ctrlKey && e.altKey && e.code === 'KeyT') {
+                e.preventDefault();
+                if (window.WindowManager) {
+                    window.WindowManager.tileWindows(e.shiftKey ? 'master' : 'grid');
+                }
+            }
+            
+            // Alt + Tab / Alt + Shift + Tab: Window switcher
+            // (Alt + ` as a fallback where the OS keeps Alt + Tab for itself)
+            if (e.altKey && !e.ctrlKey && (e.code === 'Tab' || e.code === 'Backquote')) {
+                e.preventDefault();
+                if (window.WindowSwitcher) {
+                    window.WindowSwitcher.cycle(e.shiftKey ? -1 : 1);
+                }
+            }
+            
+            // Ctrl + Alt + W / M / Up / Down: Close, minimize, maximize, restore-or-minimize focused window
+            if (e.ctrlKey && e.altKey && !e.shiftKey && ['KeyW', 'KeyM', 'ArrowUp', 'ArrowDown'].includes(e.code)) {
+                const wm = window.WindowManager;
+                const windowId = wm.getActiveWindowId();
+                if (windowId) {
+                    e.preventDefault();
+                    const windowData = wm.getWindow(windowId);
+                    
+                    if (e.code === 'KeyW') {
+                        wm.closeWindow(windowId);
+                    } else if (e.code === 'KeyM') {
+                        wm.minimizeWindow(windowId);
+                    } else if (e.code === 'ArrowUp') {
+                        if (!windowData.isMaximized) wm.toggleMaximize(windowId);
+                    } else if (windowData.isMaximized) {
+                        wm.toggleMaximize(windowId);
+                    } else {
+                        wm.minimizeWindow(windowId);
+                    }
+                }
+            }
+            
+            // Alt + Shift + Arrows: Move focused window
+            if (e.altKey && e.shiftKey && !e.ctrlKey && e.code.startsWith('Arrow')) {
+                const wm = window.WindowManager;
+                const windowId = wm.getActiveWindowId();
+                if (windowId) {
+                    e.preventDefault();
+                    const step = wm.keyboardMoveStep;
+                    const offsets = {
+                        ArrowLeft: [-step, 0],
+                        ArrowRight: [step, 0],
+                        ArrowUp: [0, -step],
+                        ArrowDown: [0, step]
+                    };
+                    wm.moveWindowBy(windowId, ...offsets[e.code]);
+                }
+            }
+            
+            // Ctrl + Alt + Left/Right: Previous/next workspace
+            // Ctrl + Alt + Shift + Left/Right: Move active window to previous/next workspace
+            if (e.ctrlKey && e.altKey && (e.code === 'ArrowLeft' || e.code === 'ArrowRight')) {
+                e.preventDefault();
+                const wm = window.WindowManager;
+                const delta = e.code === 'ArrowLeft' ? -1 : 1;
+                
+                if (e.shiftKey) {
+                    const windowId = wm.getActiveWindowId();
+                    if (windowId) {
+                        const count = wm.workspaceNames.length;
+                        const target = (wm.currentWorkspace + delta + count) % count;
+                        wm.moveWindowToWorkspace(windowId, target);
+                        wm.switchWorkspace(target);
+                        wm.focusWindow(windowId);
+                    }
+                } else {
+                    wm.nextWorkspace(delta);
+                }
+            }
+            
+            // Ctrl + Alt + 1..9: Jump to workspace
+            if (e.ctrlKey && e.altKey && /^Digit[1-9]$/.test(e.code)) {
+                e.preventDefault();
+                window.WindowManager.switchWorkspace(parseInt(e.code.slice(5)) - 1);
+            }
+            
             // Escape: Close start menu
             if (e.code === 'Escape') {
                 if (window.StartMenu && window.StartMenu.isOpen) {
@@ -144,6 +236,36 @@ window.WebDesktop = {
         });
     },
     
+    // Horizontal swipe on the bare desktop switches workspace (touch panels)
+    setupWorkspaceGestures() {
+        const desktop = document.getElementById('desktop');
+        if (!desktop) return;
+        
+        const minDistance = 80;
+        let start = null;
+        
+        desktop.addEventListener('touchstart', (e) => {
+            // Ignore swipes that begin inside a window
+            if (e.touches.length !== 1 || e.target.closest('.window')) {
+                start = null;
+                return;
+            }
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true });
+        
+        desktop.addEventListener('touchend', (e) => {
+            if (!start || !e.changedTouches[0]) return;
+            
+            const dx = e.changedTouches[0].clientX - start.x;
+            const dy = e.changedTouches[0].clientY - start.y;
+            start = null;
+            
+            if (Math.abs(dx) >= minDistance && Math.abs(dx) > Math.abs(dy) * 2) {
+                window.WindowManager.nextWorkspace(dx < 0 ? 1 : -1);
+            }
+        });
+    },
+    
     setupResponsiveHandling() {
         const updateLayout = () => {
             const isMobile = window.innerWidth < 768;
@@ -205,7 +327,11 @@ window.WebDesktop = {
                 appRegistry: !!window.AppRegistry,
                 desktopManager: !!window.DesktopManager,
                 taskbar: !!window.Taskbar,
-                startMenu: !!window.StartMenu
+                startMenu: !!window.StartMenu,
+                sessionManager: !!window.SessionManager,
+                windowSwitcher: !!window.WindowSwitcher,
+                sandboxRuntime: !!window.SandboxRuntime,
+                hal: !!window.HAL
             }
         };
         
@@ -0,0 +1,310 @@
+/* ========================================
+ * FILE: core/offline.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-10
+ *
+ * PURPOSE:
+ * Desktop side of the offline service worker (sw.js). Registers it, keeps
+ * the installed Store apps precached, and turns new releases into a
+ * controlled update: the panel keeps running the cached version until
+ * someone accepts the update, and can roll back to the previous one.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.OfflineManager.
+ * - A waiting worker means a new release is cached and ready; a system
+ *   notification offers "Update now" / "Later".
+ * - The first boot on a new release offers "Roll back".
+ * - Installed Store app scripts (current and rollback versions) are sent
+ *   to the worker whenever ProgramLoader installs, updates or removes one.
+ * - The last running release is kept in localStorage under
+ *   'webos-offline-version' to notice updates across reloads.
+ *
+ * DEPENDENCIES:
+ * - EventBus
+ * - ProgramLoader (optional, installed Store apps)
+ *
+ * EVENTS:
+ * - system-update-available {}            a new release is cached
+ * - system-updated          { from, to }  first boot on a new release
+ *
+ * NOTES:
+ * - Service workers need HTTPS or localhost, like Integrity.
+ *
+ * EXAMPLE USAGE:
+ * OfflineManager.checkForUpdate();
+ * OfflineManager.rollback();   // back to the previous cached release
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.OfflineManager = {
+    config: {
+        workerUrl: 'sw.js',
+        versionKey: 'webos-offline-version',
+        updateInterval: 60 * 60 * 1000, // ask the server for a new sw.js hourly
+        messageTimeout: 10000
+    },
+    registration: null,
+    status: null,
+    notification: null,
+    reloading: false,
+
+    init() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('OfflineManager: service workers not supported, running online only');
+            return;
+        }
+
+        // The first install also changes the controller; only a replaced worker needs a reload
+        const hadController = !!navigator.serviceWorker.controller;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || this.reloading) return;
+            this.reloading = true;
+            location.reload();
+        });
+
+        navigator.serviceWorker.register(this.config.workerUrl).then(registration => {
+            this.registration = registration;
+            this.watchForUpdates(registration);
+            setInterval(() => this.checkForUpdate(), this.config.updateInterval);
+            return navigator.serviceWorker.ready;
+        }).then(() => {
+            this.checkVersion();
+            this.setupProgramSync();
+        }).catch(error => {
+            console.warn('OfflineManager: service worker registration failed:', error.message);
+        });
+    },
+
+    watchForUpdates(registration) {
+        // Only a worker waiting behind a running one is an update
+        const offer = () => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt();
+            }
+        };
+
+        offer();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offer();
+            });
+        });
+    },
+
+    checkForUpdate() {
+        if (!this.registration) return Promise.resolve(false);
+        return this.registration.update()
+            .then(() => !!this.registration.waiting)
+            .catch(error => {
+                console.warn('OfflineManager: update check failed:', error.message);
+                return false;
+            });
+    },
+
+    // Worker messages
+
+    send(worker, message) {
+        return new Promise((resolve, reject) => {
+            if (!worker) {
+                reject(new Error('No service worker is running'));
+                return;
+            }
+
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error(`Service worker did not answer ${message.type}`)), this.config.messageTimeout);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data);
+            };
+            worker.postMessage(message, [channel.port2]);
+        });
+    },
+
+    getStatus() {
+        return this.send(this.registration && this.registration.active, { type: 'get-status' })
+            .then(status => {
+                this.status = status;
+                return status;
+            });
+    },
+
+    // Activate the waiting release; controllerchange reloads the desktop
+    applyUpdate() {
+        if (!this.registration || !this.registration.waiting) return Promise.resolve(false);
+        return this.send(this.registration.waiting, { type: 'skip-waiting' }).then(result => !!result.ok);
+    },
+
+    // Serve the previously cached release and reload
+    async rollback() {
+        const result = await this.send(this.registration && this.registration.active, { type: 'rollback' });
+        if (!result.ok) {
+            throw new Error(result.error);
+        }
+        localStorage.setItem(this.config.versionKey, result.active);
+        console.log(`OfflineManager: rolled back to ${result.active}`);
+        location.reload();
+        return true;
+    },
+
+    // First boot on a new release: announce it and offer a rollback
+    async checkVersion() {
+        let status;
+        try {
+            status = await this.getStatus();
+        } catch (error) {
+            console.warn('OfflineManager:', error.message);
+            return;
+        }
+
+        const last = localStorage.getItem(this.config.versionKey);
+        localStorage.setItem(this.config.versionKey, status.active);
+        console.log(`OfflineManager: running release ${status.active} (offline ready)`);
+
+        if (last && last !== status.active) {
+            if (window.EventBus) {
+                window.EventBus.emit('system-updated', { from: last, to: status.active });
+            }
+            if (status.previous) {
+                this.notify(`Gnoke Station ${status.active} is running.`, [
+                    { label: `Roll back to ${status.previous}`, action: () => this.rollback().catch(error => this.notify(error.message)) },
+                    { label: 'OK' }
+                ]);
+            }
+        }
+    },
+
+    showUpdatePrompt() {
+        if (window.EventBus) {
+            window.EventBus.emit('system-update-available', {});
+        }
+        this.notify('A new version of Gnoke Station is ready.', [
+            { label: 'Update now', primary: true, action: () => this.applyUpdate() },
+            { label: 'Later' }
+        ]);
+    },
+
+    // Installed Store apps
+
+    setupProgramSync() {
+        if (!window.EventBus) return;
+
+        ['program-loaded', 'program-updated', 'program-rolled-back', 'program-uninstalled'].forEach(event => {
+            window.EventBus.on(event, () => this.cacheInstalledApps());
+        });
+
+        if (window.AppLoader) {
+            window.AppLoader.whenReady('ProgramLoader').then(() => this.cacheInstalledApps(), () => {});
+        }
+    },
+
+    // Current and rollback scripts of every catalog app (sideloaded apps live in IndexedDB)
+    getInstalledAppUrls() {
+        const loader = window.ProgramLoader;
+        if (!loader) return [];
+
+        const urls = new Set();
+        loader.installedVersions.forEach(record => {
+            [record, record.previous].forEach(entry => {
+                if (entry && entry.entry && !entry.sideloaded) {
+                    urls.add(new URL(entry.entry, location.href).href);
+                }
+            });
+        });
+        return Array.from(urls);
+    },
+
+    cacheInstalledApps() {
+        const worker = this.registration && this.registration.active;
+        if (!worker) return Promise.resolve(false);
+
+        return this.send(worker, { type: 'cache-apps', urls: this.getInstalledAppUrls() })
+            .then(result => result.ok)
+            .catch(error => {
+                console.warn('OfflineManager: could not cache installed apps:', error.message);
+                return false;
+            });
+    },
+
+    // System notification with optional buttons: [{ label, action, primary }]
+    notify(message, buttons = []) {
+        if (this.notification) this.notification.remove();
+
+        const notification = document.createElement('div');
+        notification.className = 'offline-notification';
+        notification.innerHTML = '<div class="offline-notification-text"></div><div class="offline-notification-actions"></div>';
+        notification.firstChild.textContent = message;
+
+        buttons.forEach(({ label, action, primary }) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            if (primary) button.className = 'primary';
+            button.addEventListener('click', () => {
+                notification.remove();
+                if (action) action();
+            });
+            notification.lastChild.appendChild(button);
+        });
+
+        document.body.appendChild(notification);
+        this.notification = notification;
+
+        if (buttons.length === 0) {
+            setTimeout(() => notification.remove(), 4000);
+        }
+    }
+};
+
+window.OfflineManager.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerOfflineManagerDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('offline-manager', {
+        name: "OfflineManager",
+        version: "1.0.0",
+        description: "Registers the offline service worker, prompts for updates and rolls back releases.",
+        type: "System Service",
+        dependencies: ["EventBus", "ProgramLoader"],
+        features: [
+          "Global singleton (window.OfflineManager)",
+          "Core files, styles, assets and built-in apps precached per release (sw.js).",
+          "Installed Store apps, including their rollback versions, are cached too.",
+          "New releases wait for 'Update now' in a system notification.",
+          "Previous release kept; rollback() switches back to it."
+        ],
+        methods: [
+          { name: "checkForUpdate()", description: "Asks the server for a new sw.js; resolves true if an update is waiting." },
+          { name: "applyUpdate()", description: "Activates the waiting release and reloads." },
+          { name: "rollback()", description: "Switches to the previously cached release and reloads." },
+          { name: "getStatus()", description: "Resolves { version, active, previous, apps } from the worker." }
+        ],
+        events: [
+          "system-update-available",
+          "system-updated"
+        ],
+        autoGenerated: false
+      });
+      console.log('OfflineManager documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
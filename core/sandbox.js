@@ -0,0 +1,1024 @@
+/* ========================================
+ * FILE: core/sandbox.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-03
+ *
+ * PURPOSE:
+ * Runs third-party Store apps inside sandboxed iframes so they cannot
+ * touch the desktop's globals, other apps' DOM or localStorage. Apps
+ * talk to the desktop only through a postMessage bridge that exposes a
+ * curated subset of EventBus, WindowManager, storage and HAL.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.SandboxRuntime.
+ * - Each app window hosts one <iframe sandbox="allow-scripts allow-forms">
+ *   (opaque origin; the CSP blocks fetch, XHR, WebSocket and remote
+ *   images, but not navigation, see NOTES).
+ * - frameShim runs inside the iframe and recreates the familiar globals
+ *   (AppRegistry, WindowManager, EventBus, HAL, localStorage) on top of
+ *   the bridge, so ordinary Store apps run unmodified.
+ * - Messages are tagged { bridge: 'webos-sandbox' } and only accepted
+ *   from iframes this runtime created (matched by event.source).
+ * - Host side only executes methods listed in bridgeMethods.
+ * - App storage lives in localStorage under 'webos-app:<catalogId>:'.
+ * - Bridge calls are checked against the catalog entry's permissions
+ *   (storage, hal:*, notifications); 'network' relaxes the frame CSP
+ *   (connect-src, remote images).
+ *
+ * DEPENDENCIES:
+ * - AppRegistry (proxy registration), WindowManager (host windows)
+ * - EventBus (optional, event bridging), HAL (optional, hardware calls)
+ *
+ * LIFECYCLE:
+ * 1. ProgramLoader calls load(catalogApp) for entries with sandbox: true.
+ * 2. The source is run once in a hidden iframe to capture registerApp().
+ * 3. A proxy app is registered; launching it opens a window whose iframe
+ *    runs the source again and invokes the app's handler.
+ * 4. Closing the window drops the iframe and its event subscriptions.
+ *
+ * NOTES:
+ * - A frame can still navigate itself (location.href = 'https://...'),
+ *   and the URL can carry whatever it got through the bridge, so the
+ *   sandbox does not keep an app without 'network' offline. Any load after
+ *   the frame's own srcdoc drops its bridge and closes its window, so the
+ *   page it navigated to never gets the app's storage, events or HAL.
+ * - A frame may only emit events named '<appId>:...' (EventBus
+ *   getAppNamespace), so it cannot fake desktop events.
+ * - Input inside a frame is reported as { type: 'activity' } (at most
+ *   every 5 s) so ScreenSaver sees sandboxed apps being used.
+ * - A frame only hears its own events, config.publicEvents, HAL status
+ *   ('hal:<domain>:...') for the domains it is granted and, with any HAL
+ *   grant, 'hal:connection' - through patterns and replay too.
+ *   Subscribing to '*' or to other desktop events (window-*,
+ *   app-launched, ...) is refused.
+ * - EventBus.request() works both ways: a frame can ask desktop
+ *   responders, and EventBus.handle() in a frame answers requests from
+ *   the desktop (posted as { type: 'request' }, answered with
+ *   { type: 'response' }). A frame's responders go when its window closes
+ *   and must be named '<appId>:...'.
+ *   A frame's request only reaches a responder that declared a permission
+ *   (handle(name, fn, { permission })) if the app holds that permission.
+ *
+ * EXAMPLE USAGE:
+ * // programs.js catalog entry
+ * { id: 'calendar', name: 'Calendar', entry: 'system/store/calendar.js', sandbox: true }
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.SandboxRuntime = {
+    config: {
+        bridge: 'webos-sandbox',
+        storagePrefix: 'webos-app:',
+        registerTimeout: 10000,
+        csp: "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; " +
+             "img-src data: blob:; media-src data: blob:; font-src data:; form-action 'none'",
+        networkCsp: "; connect-src *; img-src data: blob: *",
+        // Desktop events every frame may listen to, besides its own
+        // '<appId>:...' events and the HAL status it is granted
+        publicEvents: ['theme-changed']
+    },
+    frames: new Map(),         // iframe contentWindow -> frame record
+    nextRequestId: 0,
+    sandboxedApps: new Map(),  // registered app id -> { app, source, meta }
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        console.log('SandboxRuntime initializing...');
+
+        window.addEventListener('message', (e) => this.handleMessage(e));
+
+        if (window.EventBus) {
+            window.EventBus.on('window-closed', (data) => this.releaseWindow(data.windowId));
+        }
+
+        this.initialized = true;
+        console.log('SandboxRuntime initialized');
+    },
+
+    // Capture a catalog app's registration and register a proxy. source is
+    // the script already verified by ProgramLoader; without it the entry is
+    // fetched and verified here.
+    async load(app, source) {
+        this.init();
+
+        if (source === undefined) {
+            source = await window.Integrity.fetchVerified(app.entry, app);
+        }
+
+        const meta = await this.probe(app, source);
+        this.registerProxy(app, source, meta);
+        return meta;
+    },
+
+    // Run the app once in a hidden frame to learn what it registers
+    probe(app, source) {
+        return new Promise((resolve, reject) => {
+            const iframe = this.createFrame(app);
+            iframe.style.display = 'none';
+            document.body.appendChild(iframe);
+
+            const finish = (error, meta) => {
+                clearTimeout(timer);
+                // Whatever the register-mode run subscribed to goes with the frame
+                this.release(iframe.contentWindow, record);
+                iframe.remove();
+                if (error) reject(error);
+                else resolve(meta);
+            };
+
+            const timer = setTimeout(() => {
+                finish(new Error(`${app.id} did not register an app within ${this.config.registerTimeout}ms`));
+            }, this.config.registerTimeout);
+
+            const record = {
+                app,
+                source,
+                mode: 'register',
+                onRegister: (meta) => finish(null, meta),
+                onAbandon: () => finish(new Error(`${app.id} navigated away before registering`))
+            };
+            this.track(iframe, record);
+        });
+    },
+
+    registerProxy(app, source, meta) {
+        // The app's own lazy stub (ProgramLoader lists installed apps before
+        // their scripts load) is replaced like any earlier proxy
+        const existing = window.AppRegistry.getApp(meta.id);
+        const ownStub = existing && existing.lazy && existing.catalogId === app.id;
+        if (existing && !existing.sandboxed && !ownStub) {
+            throw new Error(`App id "${meta.id}" is already used by a non-sandboxed app`);
+        }
+
+        this.sandboxedApps.set(meta.id, { app, source, meta });
+
+        window.AppRegistry.registerApp({
+            id: meta.id,
+            name: meta.name,
+            icon: meta.icon,
+            description: meta.description,
+            category: meta.category,
+            singleInstance: meta.singleInstance,
+            // Manifest comes from the catalog the admin approved
+            catalogId: app.id,
+            permissions: (app.permissions || []).slice(),
+            version: app.version,
+            author: app.author,
+            minPlatformVersion: app.minPlatformVersion,
+            sandboxed: true,
+            handler: (args) => this.launch(meta.id, args),
+            onArgs: (args, win) => this.deliverArgs(win, args),
+            dispose: () => this.sandboxedApps.delete(meta.id)
+        });
+    },
+
+    launch(appId, args) {
+        const entry = this.sandboxedApps.get(appId);
+        if (!entry) {
+            console.error(`SandboxRuntime: unknown sandboxed app ${appId}`);
+            return null;
+        }
+
+        const win = window.WindowManager.createWindow(entry.meta.name, '<div class="sandbox-host"></div>', 400, 300);
+        if (!win) return null;
+        win.classList.add('sandboxed');
+
+        const iframe = this.createFrame(entry.app);
+        win.querySelector('.sandbox-host').replaceWith(iframe);
+
+        this.track(iframe, { app: entry.app, source: entry.source, mode: 'launch', args, win });
+        return win;
+    },
+
+    // Running single-instance sandbox receives new launch args
+    deliverArgs(win, args) {
+        this.frames.forEach(record => {
+            if (record.win === win && record.initialized) {
+                this.post(record, { type: 'args', args });
+            }
+        });
+    },
+
+    createFrame(app) {
+        const iframe = document.createElement('iframe');
+        iframe.className = 'sandbox-frame';
+        iframe.setAttribute('sandbox', 'allow-scripts allow-forms');
+        iframe.srcdoc = this.buildFrameDocument(app);
+        return iframe;
+    },
+
+    buildFrameDocument(app) {
+        const csp = this.config.csp + (this.hasPermission(app, 'network') ? this.config.networkCsp : '');
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style>
+    html, body { margin: 0; height: 100%; font-family: 'Segoe UI', sans-serif; font-size: 14px; }
+    .window, .window-content { height: 100%; }
+    .window-content { overflow: auto; box-sizing: border-box; }
+</style>
+</head>
+<body>
+<script>(${this.frameShim.toString()})(${JSON.stringify(this.config.bridge)});<\/script>
+</body>
+</html>`;
+    },
+
+    // Frame record: { iframe, app, source, mode, args, win, subscriptions, handlers, requests, onRegister, onAbandon }
+    track(iframe, record) {
+        record.iframe = iframe;
+        record.subscriptions = new Map();
+        record.handlers = new Map(); // request name -> disposer
+        record.requests = new Map(); // request id -> { resolve, reject }, awaiting the frame's response
+        record.initialized = false;
+        const frameWindow = iframe.contentWindow;
+        this.frames.set(frameWindow, record);
+
+        // The srcdoc is the only document a frame gets; a second load means
+        // it navigated away and the new page must not inherit the bridge
+        let loads = 0;
+        iframe.addEventListener('load', () => {
+            if (++loads > 1) this.abandon(frameWindow, record);
+        });
+    },
+
+    abandon(frameWindow, record) {
+        if (this.frames.get(frameWindow) !== record) return;
+        console.warn(`SandboxRuntime: ${record.app.id} navigated away from its document; closing it`);
+
+        this.release(frameWindow, record);
+        if (record.onAbandon) record.onAbandon();
+        if (record.win && window.WindowManager.getWindow(record.win.id)) {
+            window.WindowManager.closeWindow(record.win.id);
+        }
+        if (window.EventBus) {
+            window.EventBus.emit('sandbox-error', { appId: record.app.id, message: 'Navigated away from its document' });
+        }
+    },
+
+    releaseWindow(windowId) {
+        this.frames.forEach((record, frameWindow) => {
+            if (record.win && record.win.id === windowId) {
+                this.release(frameWindow, record);
+            }
+        });
+    },
+
+    // Drop a frame's event subscriptions, responders and pending requests
+    release(frameWindow, record) {
+        record.subscriptions.forEach((handler, event) => window.EventBus.off(event, handler));
+        record.subscriptions.clear();
+        record.handlers.forEach(dispose => dispose());
+        record.handlers.clear();
+        record.requests.forEach(request => request.reject(new Error(`${record.app.name} was closed`)));
+        record.requests.clear();
+        this.frames.delete(frameWindow);
+    },
+
+    handleMessage(e) {
+        const record = this.frames.get(e.source);
+        const message = e.data;
+        if (!record || !message || message.bridge !== this.config.bridge) return;
+
+        switch (message.type) {
+            case 'ready':
+                if (record.initialized) return;
+                record.initialized = true;
+                this.post(record, {
+                    type: 'init',
+                    mode: record.mode,
+                    source: record.source,
+                    url: record.app.entry,
+                    args: record.args,
+                    storage: this.hasPermission(record.app, 'storage') ? this.readStorage(record.app.id) : {},
+                    permissions: (record.app.permissions || []).filter(permission => this.hasPermission(record.app, permission))
+                });
+                break;
+
+            case 'register':
+                if (record.mode === 'register' && record.onRegister) {
+                    const meta = this.sanitizeMeta(message.app);
+                    if (meta) {
+                        record.onRegister(meta);
+                    } else {
+                        console.warn(`SandboxRuntime: ${record.app.id} registered an invalid app`, message.app);
+                    }
+                }
+                break;
+
+            case 'call':
+                this.handleCall(record, message);
+                break;
+
+            case 'response':
+                this.handleResponse(record, message);
+                break;
+
+            case 'activity':
+                if (window.ScreenSaver) window.ScreenSaver.resetIdle();
+                break;
+
+            case 'error':
+                console.warn(`Sandboxed app ${record.app.id} error: ${message.message}`);
+                if (window.EventBus) {
+                    window.EventBus.emit('sandbox-error', { appId: record.app.id, message: String(message.message) });
+                }
+                break;
+        }
+    },
+
+    async handleCall(record, message) {
+        const method = String(message.method);
+        const handler = Object.prototype.hasOwnProperty.call(this.bridgeMethods, method) ? this.bridgeMethods[method] : null;
+        const args = Array.isArray(message.args) ? message.args : [];
+
+        try {
+            if (!handler) {
+                throw new Error(`Method not allowed: ${method}`);
+            }
+            const result = await handler.call(this, record, ...args);
+            this.post(record, { type: 'result', id: message.id, result });
+        } catch (error) {
+            this.post(record, { type: 'result', id: message.id, error: error.message || String(error), code: error.code });
+        }
+    },
+
+    // Ask a frame's EventBus.handle() responder; settled by its 'response' message
+    forwardRequest(record, name, payload) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextRequestId;
+            record.requests.set(id, { resolve, reject });
+            this.post(record, { type: 'request', id, name, payload });
+        });
+    },
+
+    handleResponse(record, message) {
+        const request = record.requests.get(message.id);
+        if (!request) return;
+        record.requests.delete(message.id);
+
+        if (message.error) {
+            const error = new Error(String(message.error));
+            if (message.code) error.code = String(message.code);
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    },
+
+    post(record, message) {
+        const target = record.iframe.contentWindow;
+        if (!target) return;
+
+        const envelope = { bridge: this.config.bridge, ...message };
+        try {
+            target.postMessage(envelope, '*');
+        } catch (error) {
+            // Payload held functions or DOM nodes - send a plain JSON copy instead
+            try {
+                target.postMessage(JSON.parse(JSON.stringify(envelope)), '*');
+            } catch (jsonError) {
+                console.warn('SandboxRuntime: could not deliver message to frame:', jsonError);
+            }
+        }
+    },
+
+    // Only plain strings from the frame ever reach the desktop's innerHTML
+    sanitizeMeta(app) {
+        if (!app || typeof app.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(app.id)) return null;
+
+        const text = (value, max) => typeof value === 'string' ? value.replace(/[<>"'`&]/g, '').slice(0, max) : '';
+        const name = text(app.name, 60);
+        if (!name) return null;
+
+        let icon;
+        if (typeof app.icon === 'string') {
+            if (app.icon.startsWith('data:image/') && !/["`]/.test(app.icon)) {
+                icon = app.icon;
+            } else if (app.icon.length <= 8 && !/[<>"'`&]/.test(app.icon)) {
+                icon = app.icon; // emoji
+            }
+        }
+
+        return {
+            id: app.id,
+            name,
+            icon,
+            description: text(app.description, 300),
+            category: text(app.category, 40),
+            singleInstance: !!app.singleInstance
+        };
+    },
+
+    // Permissions come from the catalog entry; grants are keyed by catalog ID
+    hasPermission(app, permission) {
+        if (!window.AppRegistry) return false;
+        return window.AppRegistry.isPermissionGranted({ id: app.id, catalogId: app.id, permissions: app.permissions || [] }, permission);
+    },
+
+    requirePermission(record, permission) {
+        if (this.hasPermission(record.app, permission)) return;
+
+        if (window.EventBus) {
+            window.EventBus.emit('permission-denied', { appId: record.app.id, permission });
+        }
+        throw new Error(`Permission denied: ${permission}`);
+    },
+
+    // Own events, public desktop events, and HAL status ('hal:gpio:status',
+    // which carries what hal.request would return) for granted domains
+    canReceive(record, event) {
+        if (window.EventBus.getAppNamespace(event) === record.app.id) return true;
+        if (this.config.publicEvents.includes(event)) return true;
+        // 'hal:connection' (backend up or down) for any app with HAL access
+        if (event === 'hal:connection') {
+            return (record.app.permissions || []).some(permission => permission.startsWith('hal:') && this.hasPermission(record.app, permission));
+        }
+        const match = /^hal:([^:]+):/.exec(event);
+        return !!match && this.hasPermission(record.app, `hal:${match[1]}`);
+    },
+
+    // Names and patterns whose fixed part (before any '*') is the frame's
+    // own namespace or 'hal:', and public events by exact name. Delivery
+    // still goes through canReceive()
+    requireSubscribable(record, event) {
+        const prefix = event.split('*')[0];
+        if (prefix.startsWith(`${record.app.id}:`) || prefix.startsWith('hal:')) return;
+        if (!event.includes('*') && this.config.publicEvents.includes(event)) return;
+        throw new Error(`Sandboxed apps may not listen to ${event}`);
+    },
+
+    // First segment of a HAL path, as the backend will see it. Dot and
+    // percent-encoded segments are refused: 'sensors/../gpio' must not
+    // pass a 'hal:sensors' check and then reach /gpio after fetch resolves it
+    halDomain(path) {
+        const segments = path.split(/[?#]/)[0].split('/');
+        if (path.includes('\\') || segments.some(segment => segment === '.' || segment === '..' || segment.includes('%'))) {
+            throw new Error(`Invalid HAL path: ${path}`);
+        }
+
+        const base = new URL(window.HAL.getBaseUrl());
+        const basePath = base.pathname.replace(/\/+$/, '');
+        const resolved = new URL(base.origin + basePath + (path.startsWith('/') ? path : '/' + path));
+        if (resolved.origin !== base.origin || !resolved.pathname.startsWith(basePath + '/')) {
+            throw new Error(`Invalid HAL path: ${path}`);
+        }
+        return resolved.pathname.slice(basePath.length).split('/').filter(Boolean)[0] || '';
+    },
+
+    showNotification(record, title, body) {
+        const notification = document.createElement('div');
+        notification.className = 'sandbox-notification';
+        notification.style.cssText = `
+            position:fixed;top:20px;right:20px;max-width:320px;background:#2c3e50;color:white;
+            padding:12px 16px;border-radius:6px;font-family:'Segoe UI',sans-serif;font-size:14px;
+            box-shadow:0 4px 12px rgba(0,0,0,0.3);z-index:10000;
+        `;
+        notification.innerHTML = `<div style="font-weight:600;margin-bottom:4px;"></div><div></div>`;
+        notification.firstChild.textContent = `${record.app.name}: ${title}`;
+        notification.lastChild.textContent = body || '';
+        document.body.appendChild(notification);
+
+        setTimeout(() => notification.remove(), 4000);
+    },
+
+    requireWindow(record) {
+        if (!record.win || !window.WindowManager.getWindow(record.win.id)) {
+            throw new Error('No window for this sandbox');
+        }
+        return record.win.id;
+    },
+
+    // Namespaced storage
+    storageKey(record, key) {
+        return `${this.config.storagePrefix}${record.app.id}:${key}`;
+    },
+
+    readStorage(catalogId) {
+        const prefix = `${this.config.storagePrefix}${catalogId}:`;
+        const items = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                items[key.slice(prefix.length)] = localStorage.getItem(key);
+            }
+        }
+        return items;
+    },
+
+    dialogOptions(options) {
+        const source = options && typeof options === 'object' ? options : {};
+        const allowed = ['title', 'message', 'buttons', 'input', 'cancelValue', 'okLabel', 'cancelLabel', 'danger', 'placeholder'];
+        const clean = {};
+        allowed.forEach(key => {
+            if (key in source) clean[key] = source[key];
+        });
+        return clean;
+    },
+
+    // Everything a sandboxed app can ask the desktop to do
+    bridgeMethods: {
+        'window.setTitle'(record, title) {
+            window.WindowManager.setTitle(this.requireWindow(record), String(title).slice(0, 100));
+        },
+        'window.resize'(record, width, height) {
+            window.WindowManager.resizeWindow(this.requireWindow(record), Number(width) || 400, Number(height) || 300);
+        },
+        'window.close'(record) {
+            window.WindowManager.closeWindow(this.requireWindow(record));
+        },
+        'window.minimize'(record) {
+            window.WindowManager.minimizeWindow(this.requireWindow(record));
+        },
+        'window.maximize'(record) {
+            window.WindowManager.toggleMaximize(this.requireWindow(record));
+        },
+
+        // Frames only emit into their own namespace ('<appId>:...'); every
+        // other event (window-*, module-*, theme-changed, hal:*, ...) only
+        // comes from the desktop's own code
+        'events.emit'(record, event, data) {
+            event = String(event);
+            if (!window.EventBus) return;
+            if (window.EventBus.getAppNamespace(event) !== record.app.id) {
+                throw new Error(`Sandboxed apps may only emit events named "${record.app.id}:...": ${event}`);
+            }
+            window.EventBus.emit(event, data);
+        },
+        'events.subscribe'(record, event) {
+            event = String(event);
+            if (!window.EventBus || record.subscriptions.has(event)) return;
+            this.requireSubscribable(record, event);
+
+            // Pattern subscriptions also carry the name of the event that matched
+            const handler = (data, name = event) => {
+                if (this.canReceive(record, name)) this.post(record, { type: 'event', event, name, data });
+            };
+            record.subscriptions.set(event, handler);
+            window.EventBus.on(event, handler);
+        },
+        // Sticky and buffered payloads for a subscriber the frame adds later
+        'events.backlog'(record, event, replay, includeSticky) {
+            if (!window.EventBus) return [];
+            event = String(event);
+            this.requireSubscribable(record, event);
+            const limit = replay === true ? true : Math.max(0, Number(replay) || 0);
+            return window.EventBus.getBacklog(event, limit, !!includeSticky)
+                .filter(item => this.canReceive(record, item.event))
+                .map(item => ({ event: item.event, data: item.data }));
+        },
+        'events.unsubscribe'(record, event) {
+            const handler = record.subscriptions.get(String(event));
+            if (!handler) return;
+            window.EventBus.off(String(event), handler);
+            record.subscriptions.delete(String(event));
+        },
+
+        'events.request'(record, name, payload, options = {}) {
+            if (!window.EventBus) throw new Error('EventBus is not available');
+            const { timeout, wait } = options || {};
+            return window.EventBus.request(String(name), payload, {
+                timeout: timeout === undefined ? undefined : Math.max(0, Number(timeout) || 0),
+                wait: !!wait,
+                // Responders declare what a caller needs, e.g. 'gpio:pin-states' -> 'hal:gpio'
+                authorize: (permission) => {
+                    if (permission) this.requirePermission(record, permission);
+                }
+            });
+        },
+        // The frame answers; the responder goes away with its window. Frames
+        // only answer in their own namespace ('<appId>:...') so they cannot
+        // claim names a desktop app registers later
+        'events.handle'(record, name) {
+            name = String(name);
+            const windowId = this.requireWindow(record);
+            if (!name.startsWith(`${record.app.id}:`)) {
+                throw new Error(`Sandboxed apps may only handle requests named "${record.app.id}:...": ${name}`);
+            }
+            if (record.handlers.has(name)) return;
+
+            const dispose = window.EventBus.handle(name, payload => this.forwardRequest(record, name, payload), { owner: windowId });
+            record.handlers.set(name, dispose);
+        },
+        'events.unhandle'(record, name) {
+            const dispose = record.handlers.get(String(name));
+            if (!dispose) return;
+            dispose();
+            record.handlers.delete(String(name));
+        },
+
+        'storage.setItem'(record, key, value) {
+            this.requirePermission(record, 'storage');
+            localStorage.setItem(this.storageKey(record, String(key)), String(value));
+        },
+        'storage.removeItem'(record, key) {
+            this.requirePermission(record, 'storage');
+            localStorage.removeItem(this.storageKey(record, String(key)));
+        },
+        'storage.clear'(record) {
+            this.requirePermission(record, 'storage');
+            Object.keys(this.readStorage(record.app.id)).forEach(key => {
+                localStorage.removeItem(this.storageKey(record, key));
+            });
+        },
+
+        'hal.request'(record, path, options = {}) {
+            if (!window.HAL) throw new Error('HAL is not available');
+            // '/gpio/control' needs 'hal:gpio'
+            path = String(path);
+            this.requirePermission(record, `hal:${this.halDomain(path)}`);
+            const { method, body, timeout } = options || {};
+            return window.HAL.request(path, { method, body, timeout });
+        },
+
+        'notifications.show'(record, title, body) {
+            this.requirePermission(record, 'notifications');
+            this.showNotification(record, String(title).slice(0, 100), body == null ? '' : String(body).slice(0, 500));
+        },
+
+        // Dialogs are always app-modal to the sandbox's own window
+        'dialog.show'(record, options) {
+            const parent = this.requireWindow(record);
+            return window.WindowManager.dialog({ ...this.dialogOptions(options), parent, modal: 'app' });
+        },
+        'dialog.alert'(record, message, options) {
+            const parent = this.requireWindow(record);
+            return window.WindowManager.alert(String(message), { ...this.dialogOptions(options), parent, modal: 'app' });
+        },
+        'dialog.confirm'(record, message, options) {
+            const parent = this.requireWindow(record);
+            return window.WindowManager.confirm(String(message), { ...this.dialogOptions(options), parent, modal: 'app' });
+        },
+        'dialog.prompt'(record, message, defaultValue, options) {
+            const parent = this.requireWindow(record);
+            return window.WindowManager.prompt(String(message), defaultValue == null ? '' : String(defaultValue), { ...this.dialogOptions(options), parent, modal: 'app' });
+        }
+    },
+
+    // Runs INSIDE the sandboxed iframe (serialized into srcdoc).
+    // Must stay self-contained: no references to the desktop's scope.
+    frameShim: function (bridge) {
+        const host = window.parent;
+        const pending = new Map();
+        const listeners = new Map();
+        const handlers = new Map();
+        let nextCallId = 0;
+        let storage = {};
+        let permissions = [];
+        let mode = null;
+        let launchArgs;
+        let registered = null;
+        let appWindow = null;
+
+        const post = (message) => host.postMessage(Object.assign({ bridge }, message), '*');
+
+        const reportError = (error) => {
+            post({ type: 'error', message: String((error && error.message) || error) });
+        };
+
+        const call = (method, ...args) => new Promise((resolve, reject) => {
+            const id = ++nextCallId;
+            pending.set(id, { resolve, reject });
+            post({ type: 'call', id, method, args });
+        });
+
+        // Fire-and-forget calls still surface failures
+        const send = (method, ...args) => {
+            call(method, ...args).catch(reportError);
+        };
+
+        const stripOptions = (options) => {
+            const clean = Object.assign({}, options);
+            delete clean.parent;
+            delete clean.validate;
+            return clean;
+        };
+
+        window.addEventListener('error', (e) => reportError(e.message));
+        window.addEventListener('unhandledrejection', (e) => reportError(e.reason));
+
+        // Input inside the frame never reaches the desktop; report it for idle detection
+        let lastActivity = 0;
+        ['pointerdown', 'keydown', 'wheel'].forEach(type => window.addEventListener(type, () => {
+            if (Date.now() - lastActivity < 5000) return;
+            lastActivity = Date.now();
+            post({ type: 'activity' });
+        }, true));
+
+        window.addEventListener('message', (e) => {
+            const message = e.data;
+            if (e.source !== host || !message || message.bridge !== bridge) return;
+
+            if (message.type === 'init' && mode === null) {
+                mode = message.mode;
+                launchArgs = message.args;
+                storage = message.storage || {};
+                permissions = message.permissions || [];
+
+                const script = document.createElement('script');
+                script.textContent = message.source + '\n//# sourceURL=' + message.url;
+                document.body.appendChild(script);
+            } else if (message.type === 'result' && pending.has(message.id)) {
+                const { resolve, reject } = pending.get(message.id);
+                pending.delete(message.id);
+                if (message.error) {
+                    const error = new Error(message.error);
+                    if (message.code) error.code = message.code;
+                    reject(error);
+                } else {
+                    resolve(message.result);
+                }
+            } else if (message.type === 'args') {
+                if (registered && typeof registered.onArgs === 'function') {
+                    try {
+                        registered.onArgs(message.args, appWindow);
+                    } catch (error) {
+                        reportError(error);
+                    }
+                }
+            } else if (message.type === 'event') {
+                (listeners.get(message.event) || []).slice().forEach(callback => {
+                    deliver(message.event, callback, message.data, message.name);
+                });
+            } else if (message.type === 'request') {
+                const handler = handlers.get(message.name);
+                Promise.resolve()
+                    .then(() => {
+                        if (!handler) throw new Error(`No handler for request "${message.name}"`);
+                        return handler(message.payload);
+                    })
+                    .then(result => respond({ id: message.id, result }))
+                    .catch(error => respond({
+                        id: message.id,
+                        error: String((error && error.message) || error),
+                        code: error && error.code
+                    }));
+            }
+        });
+
+        const respond = (response) => {
+            try {
+                post(Object.assign({ type: 'response' }, response));
+            } catch (error) {
+                // Result held functions or DOM nodes - send a plain JSON copy instead
+                post(JSON.parse(JSON.stringify(Object.assign({ type: 'response' }, response))));
+            }
+        };
+
+        const deliver = (event, callback, data, name) => {
+            try {
+                if (event.includes('*')) callback(data, name);
+                else callback(data);
+            } catch (error) {
+                reportError(error);
+            }
+        };
+
+        // Synchronous localStorage facade over the host's namespaced store
+        const storageShim = {
+            getItem: (key) => Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null,
+            setItem: (key, value) => {
+                storage[String(key)] = String(value);
+                send('storage.setItem', String(key), String(value));
+            },
+            removeItem: (key) => {
+                delete storage[key];
+                send('storage.removeItem', String(key));
+            },
+            clear: () => {
+                storage = {};
+                send('storage.clear');
+            },
+            key: (index) => Object.keys(storage)[index] || null,
+            get length() {
+                return Object.keys(storage).length;
+            }
+        };
+        Object.defineProperty(window, 'localStorage', { value: storageShim, configurable: true });
+
+        window.EventBus = {
+            // options.replay: buffered payloads first (true or the last N)
+            on(event, callback, options = {}) {
+                const first = !listeners.has(event);
+                if (first) {
+                    listeners.set(event, []);
+                    send('events.subscribe', event); // the host replays sticky events itself
+                }
+                listeners.get(event).push(callback);
+
+                if (!first || options.replay) {
+                    call('events.backlog', event, options.replay || 0, !first).then(items => {
+                        items.forEach(item => {
+                            // once() listeners drop out after the first item
+                            if ((listeners.get(event) || []).includes(callback)) deliver(event, callback, item.data, item.event);
+                        });
+                    }).catch(reportError);
+                }
+                return () => this.off(event, callback);
+            },
+            once(event, callback, options = {}) {
+                const wrapper = (...args) => {
+                    this.off(event, wrapper);
+                    callback(...args);
+                };
+                return this.on(event, wrapper, options);
+            },
+            off(event, callback) {
+                const list = (listeners.get(event) || []).filter(cb => cb !== callback);
+                if (list.length > 0) {
+                    listeners.set(event, list);
+                } else if (listeners.delete(event)) {
+                    send('events.unsubscribe', event);
+                }
+            },
+            emit(event, data) {
+                send('events.emit', event, data);
+            },
+            // Same contract as the desktop's: { timeout, wait }, rejects with error.code
+            request(name, payload, options = {}) {
+                return call('events.request', name, payload, { timeout: options.timeout, wait: !!options.wait });
+            },
+            handle(name, callback) {
+                if (handlers.has(name)) {
+                    throw new Error(`EventBus.handle: "${name}" already has a responder`);
+                }
+                handlers.set(name, callback);
+                call('events.handle', name).catch(error => {
+                    // Another app already answers this name
+                    if (handlers.get(name) === callback) handlers.delete(name);
+                    reportError(error);
+                });
+                return () => this.unhandle(name, callback);
+            },
+            unhandle(name, callback) {
+                if (!handlers.has(name) || (callback && handlers.get(name) !== callback)) return;
+                handlers.delete(name);
+                send('events.unhandle', name);
+            },
+            hasHandler(name) {
+                return handlers.has(name);
+            }
+        };
+
+        // One sandbox hosts one window; it fills the iframe
+        window.WindowManager = {
+            createWindow(title, content, width = 400, height = 300) {
+                if (!appWindow) {
+                    appWindow = document.createElement('div');
+                    appWindow.className = 'window';
+                    appWindow.id = 'sandbox-window';
+                    document.body.appendChild(appWindow);
+                }
+                appWindow.innerHTML = '<span class="window-title" hidden></span><div class="window-content"></div>';
+                appWindow.querySelector('.window-title').textContent = title;
+                appWindow.querySelector('.window-content').innerHTML = content;
+
+                send('window.setTitle', String(title));
+                send('window.resize', width, height);
+                return appWindow;
+            },
+            setTitle(windowId, title) {
+                if (appWindow) appWindow.querySelector('.window-title').textContent = title;
+                send('window.setTitle', String(title));
+            },
+            getWindow(windowId) {
+                if (!appWindow || windowId !== appWindow.id) return undefined;
+                return { element: appWindow, title: appWindow.querySelector('.window-title').textContent };
+            },
+            getAllWindows() {
+                return appWindow ? [this.getWindow(appWindow.id)] : [];
+            },
+            closeWindow() { send('window.close'); },
+            minimizeWindow() { send('window.minimize'); },
+            toggleMaximize() { send('window.maximize'); },
+            resizeWindow(windowId, width, height) { send('window.resize', width, height); },
+            bringToFront() {},
+            focusWindow() {},
+            dialog: (options = {}) => call('dialog.show', stripOptions(options)),
+            alert: (message, options = {}) => call('dialog.alert', message, stripOptions(options)),
+            confirm: (message, options = {}) => call('dialog.confirm', message, stripOptions(options)),
+            prompt: (message, defaultValue = '', options = {}) => call('dialog.prompt', message, defaultValue, stripOptions(options))
+        };
+
+        window.AppRegistry = {
+            registerApp(config) {
+                if (registered || !config || typeof config.handler !== 'function') return false;
+                registered = config;
+
+                post({
+                    type: 'register',
+                    app: {
+                        id: config.id,
+                        name: config.name,
+                        icon: config.icon,
+                        description: config.description,
+                        category: config.category,
+                        singleInstance: !!config.singleInstance
+                    }
+                });
+
+                if (mode === 'launch') {
+                    try {
+                        config.handler(launchArgs);
+                    } catch (error) {
+                        reportError(error);
+                    }
+                }
+                return true;
+            },
+            getApp(appId) {
+                return registered && registered.id === appId ? registered : undefined;
+            },
+            getAllApps() {
+                return registered ? [registered] : [];
+            },
+            isAppRunning() {
+                return false;
+            },
+            openApp(appId) {
+                reportError(new Error(`Sandboxed apps cannot open other apps (${appId})`));
+                return null;
+            },
+            getDefaultIcon() {
+                return '';
+            }
+        };
+
+        window.HAL = {
+            request: (path, options = {}) => call('hal.request', path, options)
+        };
+
+        // Web Notification API look-alike, shown by the desktop
+        window.Notification = class {
+            constructor(title, options = {}) {
+                send('notifications.show', String(title), options.body);
+            }
+            static get permission() {
+                return permissions.includes('notifications') ? 'granted' : 'denied';
+            }
+            static requestPermission() {
+                return Promise.resolve(window.Notification.permission);
+            }
+        };
+
+        post({ type: 'ready' });
+    }
+};
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerSandboxRuntimeDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('sandbox-runtime', {
+        name: "SandboxRuntime",
+        version: "1.0.0",
+        description: "Runs third-party Store apps in sandboxed iframes behind a postMessage bridge.",
+        type: "System Service",
+        dependencies: ["AppRegistry", "WindowManager", "EventBus", "HAL", "Integrity"],
+        features: [
+          "Global singleton (window.SandboxRuntime)",
+          "Apps run in <iframe sandbox='allow-scripts allow-forms'> with an opaque origin and a strict CSP.",
+          "Frame shim recreates AppRegistry, WindowManager, EventBus, HAL and localStorage so Store apps run unmodified.",
+          "Bridge allowlist: window title/resize/close/minimize/maximize, EventBus emit/subscribe/request/handle, storage, HAL requests, notifications, app-modal dialogs.",
+          "EventBus.request() and EventBus.handle() cross the bridge both ways; a frame answers only '<appId>:' names and its responders are removed when its window closes.",
+          "Permissions from the catalog manifest are enforced on every bridge call; only 'network' apps may fetch or connect out.",
+          "A frame that navigates away from its document loses the bridge and its window; the navigation itself is not blocked.",
+          "Per-app storage namespace ('webos-app:<id>:'); apps cannot read each other's keys.",
+          "A sandbox only emits events in its own '<appId>:' namespace; system events (window-*, module-*, theme-changed, hal:*, ...) cannot be faked.",
+          "A sandbox only hears its own events, public ones (theme-changed) and HAL status for granted domains; '*' and other desktop events are refused.",
+          "Errors inside a sandbox are reported as 'sandbox-error' and never reach the desktop."
+        ],
+        methods: [
+          { name: "load(catalogApp, source)", description: "Captures an app's registration (fetching and verifying it when no source is given) and registers a sandboxed proxy." },
+          { name: "launch(appId, args)", description: "Opens a new sandboxed window for a loaded app." },
+          { name: "deliverArgs(win, args)", description: "Forwards launch args to a running sandbox's onArgs hook." }
+        ],
+        events: [
+          "sandbox-error", "permission-denied"
+        ],
+        autoGenerated: false
+      });
+      console.log('SandboxRuntime documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -0,0 +1,383 @@
+/* ========================================
+ * FILE: core/screensaver.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-13
+ *
+ * PURPOSE:
+ * Burn-in protection for always-on panels. After a configurable idle time
+ * a full-screen saver covers the desktop (a drifting clock, a slideshow of
+ * Gallery images, or a blank screen), and while the desktop is in use the
+ * taskbar, icons and windows are nudged a few pixels every so often.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.ScreenSaver.
+ * - Settings persist in localStorage under 'webos-screensaver':
+ *     mode:          'off' | 'clock' | 'slideshow' | 'blank'
+ *     timeout        idle minutes before the saver starts
+ *     slideInterval  seconds per slide / clock move
+ *     pixelShift     nudge the shell to spread wear
+ * - Input is watched in the capture phase on window. While the saver is
+ *   up, and for wakeGuard ms after it goes away, pointer, touch and key
+ *   events are swallowed: the tap that wakes the panel never reaches the
+ *   control underneath (a GPIO toggle stays untouched).
+ * - Pixel shift sets --pixel-shift-x/y on the document root; style.css
+ *   applies them with the CSS translate property, so window positions and
+ *   transforms are left alone.
+ * - Slideshow images come from Gallery ('gallery:screensaver-images', an
+ *   event only the Gallery app itself can emit from its sandbox) and
+ *   are kept in IndexedDB ('webos-screensaver'), data: image URLs only.
+ * - Apps that must stay visible (camera feeds, alarms) call inhibit().
+ *
+ * EVENTS:
+ * - screensaver-started   { mode }
+ * - screensaver-stopped   {}
+ * - gallery:screensaver-images  { images: [{ name, dataUrl }] }   (listened to)
+ *
+ * DEPENDENCIES:
+ * - EventBus
+ *
+ * EXAMPLE USAGE:
+ * ScreenSaver.configure({ mode: 'slideshow', timeout: 5 });
+ * const release = ScreenSaver.inhibit('camera view');
+ * release();
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.ScreenSaver = {
+    config: {
+        storageKey: 'webos-screensaver',
+        dbName: 'webos-screensaver',
+        dbVersion: 1,
+        storeName: 'images',
+        wakeGuard: 600,          // ms after waking that input is still swallowed
+        shiftInterval: 60 * 1000,
+        shiftPattern: [[0, 0], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]],
+        shiftAmount: 2,          // px per pattern step
+        maxImages: 50
+    },
+
+    defaultSettings: {
+        mode: 'clock',
+        timeout: 10,
+        slideInterval: 15,
+        pixelShift: true
+    },
+
+    // Events that wake the panel; all of them are swallowed while it sleeps
+    wakeEvents: ['pointerdown', 'mousedown', 'touchstart', 'keydown', 'wheel'],
+    swallowEvents: ['pointerdown', 'pointerup', 'mousedown', 'mouseup', 'touchstart', 'touchend',
+        'click', 'dblclick', 'contextmenu', 'keydown', 'keyup', 'keypress', 'wheel'],
+
+    settings: null,
+    active: false,
+    overlay: null,
+    idleTimer: null,
+    slideTimer: null,
+    shiftTimer: null,
+    shiftStep: 0,
+    swallowUntil: 0,
+    inhibitors: new Map(),
+    nextInhibitorId: 1,
+    images: [],
+    slideIndex: 0,
+    db: null,
+
+    init() {
+        this.settings = this.loadSettings();
+
+        const onInput = (e) => this.handleInput(e);
+        this.swallowEvents.concat('pointermove').forEach(type => {
+            window.addEventListener(type, onInput, { capture: true, passive: false });
+        });
+
+        if (window.EventBus) {
+            window.EventBus.on('gallery:screensaver-images', (data) => {
+                this.setImages(data && data.images).catch(error => {
+                    console.warn('ScreenSaver: could not store slideshow images:', error.message);
+                });
+            });
+        }
+
+        this.loadImages().catch(() => {});
+        this.resetIdle();
+        this.startPixelShift();
+        console.log(`ScreenSaver initialized (mode: ${this.settings.mode}, ${this.settings.timeout} min)`);
+    },
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.storageKey) || '{}');
+            return { ...this.defaultSettings, ...saved };
+        } catch (error) {
+            console.warn('ScreenSaver: failed to parse settings:', error);
+            return { ...this.defaultSettings };
+        }
+    },
+
+    getSettings() {
+        return { ...this.settings };
+    },
+
+    configure(changes) {
+        this.settings = { ...this.settings, ...changes };
+        localStorage.setItem(this.config.storageKey, JSON.stringify(this.settings));
+
+        if (this.active) this.stop();
+        this.resetIdle();
+        this.startPixelShift();
+        return this.getSettings();
+    },
+
+    // Idle detection
+
+    handleInput(e) {
+        if (this.active) {
+            this.swallow(e);
+            // A mouse nudge wakes the panel; a finger resting on it does not
+            const mouseMove = e.type === 'pointermove' && e.pointerType === 'mouse';
+            if (this.wakeEvents.includes(e.type) || mouseMove) this.stop();
+            return;
+        }
+
+        if (Date.now() < this.swallowUntil && e.type !== 'pointermove') {
+            this.swallow(e);
+            return;
+        }
+
+        this.resetIdle();
+    },
+
+    swallow(e) {
+        if (!this.swallowEvents.includes(e.type)) return;
+        if (e.cancelable) e.preventDefault();
+        e.stopImmediatePropagation();
+    },
+
+    resetIdle() {
+        if (this.idleTimer) clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        const minutes = Number(this.settings.timeout);
+        if (this.settings.mode === 'off' || !(minutes > 0)) return;
+        this.idleTimer = setTimeout(() => this.start(), minutes * 60 * 1000);
+    },
+
+    // Returns a function that lifts the inhibition
+    inhibit(reason = 'app') {
+        const id = this.nextInhibitorId++;
+        this.inhibitors.set(id, reason);
+        if (this.active) this.stop();
+
+        return () => {
+            if (this.inhibitors.delete(id)) this.resetIdle();
+        };
+    },
+
+    // Saver
+
+    start(mode = this.settings.mode) {
+        if (this.active || mode === 'off') return;
+        if (this.inhibitors.size > 0) {
+            this.resetIdle();
+            return;
+        }
+        if (mode === 'slideshow' && this.images.length === 0) mode = 'clock';
+
+        this.active = true;
+        this.overlay = document.createElement('div');
+        this.overlay.className = `screensaver screensaver-${mode}`;
+        document.body.appendChild(this.overlay);
+
+        if (mode === 'clock') {
+            this.overlay.innerHTML = '<div class="screensaver-clock"><div class="screensaver-time"></div><div class="screensaver-date"></div></div>';
+            this.showClock();
+        } else if (mode === 'slideshow') {
+            this.overlay.innerHTML = '<img class="screensaver-slide" alt="">';
+            this.showSlide();
+        }
+
+        if (mode !== 'blank') {
+            const interval = Math.max(5, Number(this.settings.slideInterval) || this.defaultSettings.slideInterval);
+            this.slideTimer = setInterval(() => mode === 'clock' ? this.showClock() : this.showSlide(), interval * 1000);
+        }
+
+        if (window.EventBus) {
+            window.EventBus.emit('screensaver-started', { mode });
+        }
+        console.log(`ScreenSaver: started (${mode})`);
+    },
+
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.swallowUntil = Date.now() + this.config.wakeGuard;
+        if (this.slideTimer) clearInterval(this.slideTimer);
+        this.slideTimer = null;
+        if (this.overlay) this.overlay.remove();
+        this.overlay = null;
+        this.resetIdle();
+
+        if (window.EventBus) {
+            window.EventBus.emit('screensaver-stopped', {});
+        }
+        console.log('ScreenSaver: stopped');
+    },
+
+    isActive() {
+        return this.active;
+    },
+
+    // The clock wanders so its digits never sit on the same pixels
+    showClock() {
+        const clock = this.overlay && this.overlay.querySelector('.screensaver-clock');
+        if (!clock) return;
+
+        const now = new Date();
+        clock.querySelector('.screensaver-time').textContent = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        clock.querySelector('.screensaver-date').textContent = now.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+        clock.style.left = `${10 + Math.random() * 60}%`;
+        clock.style.top = `${10 + Math.random() * 65}%`;
+    },
+
+    showSlide() {
+        const slide = this.overlay && this.overlay.querySelector('.screensaver-slide');
+        if (!slide || this.images.length === 0) return;
+
+        this.slideIndex = this.slideIndex % this.images.length;
+        slide.src = this.images[this.slideIndex].dataUrl;
+        slide.alt = this.images[this.slideIndex].name;
+        this.slideIndex++;
+    },
+
+    // Pixel shift
+
+    startPixelShift() {
+        if (this.shiftTimer) clearInterval(this.shiftTimer);
+        this.shiftTimer = null;
+
+        if (!this.settings.pixelShift) {
+            this.applyShift(0, 0);
+            return;
+        }
+        this.shiftTimer = setInterval(() => this.shift(), this.config.shiftInterval);
+    },
+
+    shift() {
+        const pattern = this.config.shiftPattern;
+        this.shiftStep = (this.shiftStep + 1) % pattern.length;
+        const [x, y] = pattern[this.shiftStep];
+        this.applyShift(x * this.config.shiftAmount, y * this.config.shiftAmount);
+    },
+
+    applyShift(x, y) {
+        const root = document.documentElement;
+        root.style.setProperty('--pixel-shift-x', `${x}px`);
+        root.style.setProperty('--pixel-shift-y', `${y}px`);
+    },
+
+    // Slideshow images
+
+    async setImages(images) {
+        const valid = (Array.isArray(images) ? images : [])
+            .filter(image => image && typeof image.dataUrl === 'string' && image.dataUrl.startsWith('data:image/'))
+            .slice(0, this.config.maxImages)
+            .map(image => ({ name: String(image.name || ''), dataUrl: image.dataUrl }));
+
+        this.images = valid;
+        this.slideIndex = 0;
+        await this.transaction('readwrite', store => store.put({ id: 'slideshow', images: valid }));
+        console.log(`ScreenSaver: ${valid.length} slideshow images saved`);
+        return valid.length;
+    },
+
+    async loadImages() {
+        const record = await this.transaction('readonly', store => store.get('slideshow'));
+        this.images = record && Array.isArray(record.images) ? record.images : [];
+        return this.images.length;
+    },
+
+    openDb() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB not available'));
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.config.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async transaction(mode, operation) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.storeName, mode);
+            const request = operation(tx.objectStore(this.config.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+};
+
+window.ScreenSaver.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerScreenSaverDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('screen-saver', {
+        name: "ScreenSaver",
+        version: "1.0.0",
+        description: "Idle screen saver and pixel shift to protect always-on panels from burn-in.",
+        type: "System Service",
+        dependencies: ["EventBus"],
+        features: [
+          "Global singleton (window.ScreenSaver)",
+          "Starts after a configurable idle time: drifting clock, Gallery slideshow or blank screen.",
+          "The waking tap or key is swallowed and never reaches the control underneath.",
+          "Taskbar, desktop icons and windows shift a few pixels every minute.",
+          "Apps can inhibit the saver while they must stay visible.",
+          "Settings persisted in localStorage ('webos-screensaver'), images in IndexedDB."
+        ],
+        methods: [
+          { name: "configure(changes)", description: "Updates and saves { mode, timeout, slideInterval, pixelShift }." },
+          { name: "getSettings()", description: "Returns the current settings." },
+          { name: "start(mode)", description: "Starts the saver now (default: the configured mode)." },
+          { name: "stop()", description: "Wakes the screen." },
+          { name: "isActive()", description: "True while the saver is showing." },
+          { name: "inhibit(reason)", description: "Keeps the saver off; returns a function that releases it." },
+          { name: "setImages(images)", description: "Replaces the slideshow with [{ name, dataUrl }] image data URLs." }
+        ],
+        events: [
+          "screensaver-started",
+          "screensaver-stopped"
+        ],
+        autoGenerated: false
+      });
+      console.log('ScreenSaver documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -0,0 +1,363 @@
+/* ========================================
+ * FILE: core/session.js
+ * VERSION: 1.1.0
+ * BUILD DATE: 2025-10-01
+ *
+ * PURPOSE:
+ * Persists the open-window session (which apps are open, their
+ * geometry, minimized/maximized state and optional app state) and
+ * reopens it after a reload, so kiosk panels come back as left.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.SessionManager.
+ * - Snapshot is stored in localStorage under 'webos-session'.
+ * - Saves are debounced and triggered by WindowManager/AppRegistry events.
+ * - Restore reopens apps through AppRegistry.openApp as they register.
+ *
+ * DEPENDENCIES:
+ * - EventBus (window lifecycle events, system-ready)
+ * - WindowManager (geometry and window state)
+ * - AppRegistry (reopening apps, getState/restoreState hooks)
+ *
+ * LIFECYCLE:
+ * 1. Loaded after WindowManager and AppRegistry.
+ * 2. init() is called by WebDesktop.initializeCoreServices().
+ * 3. On 'system-ready' the saved session is restored; apps that register
+ *    later (AppLoader / ProgramLoader) are reopened when they appear.
+ *    Lazy apps (AppRegistry.registerLazyApp) have their script loaded
+ *    first and are reopened once the real app registers.
+ * 4. Entries still unresolved after restoreTimeout are dropped.
+ * 5. In Safe Mode (main.html?safe=1) nothing is restored or saved.
+ *
+ * APP HOOKS (optional, on the registerApp config):
+ * - getState(win)          -> serializable state for that window
+ * - restoreState(state, win) called after the window is reopened
+ *
+ * EXAMPLE USAGE:
+ * AppRegistry.registerApp({
+ *     id: 'calculator', name: 'Calculator', handler: ...,
+ *     getState: () => ({ expression: CalculatorApp.currentExpression }),
+ *     restoreState: (state, win) => CalculatorApp.restore(state, win)
+ * });
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.SessionManager = {
+    config: {
+        storageKey: 'webos-session',
+        saveDelay: 500,
+        restoreTimeout: 15000
+    },
+    initialized: false,
+    restoring: false,
+    pendingEntries: [],
+    saveTimer: null,
+    restoreTimer: null,
+
+    init() {
+        if (this.initialized) return;
+        console.log('SessionManager initializing...');
+
+        this.setupEventListeners();
+        this.initialized = true;
+
+        console.log('SessionManager initialized');
+    },
+
+    setupEventListeners() {
+        if (!window.EventBus) return;
+
+        // Any change to the window set or geometry schedules a save
+        const saveEvents = [
+            'app-launched', 'window-closed', 'window-minimized', 'window-restored',
+            'window-moved', 'window-resized', 'window-snapped', 'windows-tiled',
+            'workspace-changed', 'window-workspace-changed'
+        ];
+        saveEvents.forEach(event => {
+            window.EventBus.on(event, () => this.scheduleSave());
+        });
+
+        window.EventBus.on('system-ready', () => this.restore());
+
+        window.EventBus.on('app-registered', (app) => {
+            if (this.pendingEntries.length > 0) {
+                this.restorePending(app.id);
+            }
+        });
+
+        // Flush on reload / tab hide so the latest state is never lost
+        window.addEventListener('beforeunload', () => this.save());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.save();
+        });
+    },
+
+    // Debounced save
+    scheduleSave() {
+        if (this.restoring) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.config.saveDelay);
+    },
+
+    // Build a snapshot of every app window, back-to-front
+    captureSession() {
+        if (!window.WindowManager || !window.AppRegistry) return [];
+
+        return window.WindowManager.getAllWindows()
+            .filter(windowData => windowData.appId && windowData.element.parentNode)
+            .sort((a, b) => (parseInt(a.element.style.zIndex) || 0) - (parseInt(b.element.style.zIndex) || 0))
+            .map(windowData => this.captureWindow(windowData));
+    },
+
+    captureWindow(windowData) {
+        const win = windowData.element;
+        const app = window.AppRegistry.getApp(windowData.appId);
+
+        // Use the pre-maximize geometry so restoring un-maximizes correctly
+        const geometry = windowData.isMaximized ? {
+            left: windowData.restoreX,
+            top: windowData.restoreY,
+            width: windowData.restoreWidth,
+            height: windowData.restoreHeight
+        } : {
+            left: parseFloat(win.style.left) || 0,
+            top: parseFloat(win.style.top) || 0,
+            width: parseFloat(win.style.width) || win.offsetWidth,
+            height: parseFloat(win.style.height) || win.offsetHeight
+        };
+
+        const entry = {
+            appId: windowData.appId,
+            title: windowData.title,
+            ...geometry,
+            isMinimized: windowData.isMinimized,
+            isMaximized: windowData.isMaximized,
+            workspace: windowData.workspace || 0
+        };
+
+        if (app && typeof app.getState === 'function') {
+            try {
+                entry.state = app.getState(win);
+            } catch (error) {
+                console.warn(`SessionManager: getState failed for ${windowData.appId}:`, error);
+            }
+        }
+
+        return entry;
+    },
+
+    save() {
+        if (this.restoring || this.isSafeMode()) return;
+        clearTimeout(this.saveTimer);
+
+        // Keep entries whose apps have not registered yet
+        const windows = [...this.captureSession(), ...this.pendingEntries];
+
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify({
+                version: 1,
+                savedAt: new Date().toISOString(),
+                workspace: window.WindowManager ? window.WindowManager.currentWorkspace : 0,
+                windows
+            }));
+        } catch (error) {
+            console.error('SessionManager: failed to save session:', error);
+        }
+    },
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.config.storageKey);
+            if (!saved) return null;
+
+            const session = JSON.parse(saved);
+            return session && Array.isArray(session.windows) ? session : null;
+        } catch (error) {
+            console.error('SessionManager: failed to parse saved session:', error);
+            return null;
+        }
+    },
+
+    // Safe Mode boots without the saved session and leaves it untouched
+    isSafeMode() {
+        return !!(window.AppLoader && window.AppLoader.safeMode);
+    },
+
+    // Reopen the saved session; apps not yet registered stay pending
+    restore() {
+        if (this.isSafeMode()) {
+            console.log('SessionManager: Safe Mode, session not restored');
+            return;
+        }
+
+        const session = this.load();
+        if (!session || session.windows.length === 0) return;
+
+        console.log(`SessionManager restoring ${session.windows.length} window(s)...`);
+        this.pendingEntries = session.windows.slice();
+        this.restorePending();
+        
+        if (typeof session.workspace === 'number') {
+            window.WindowManager.switchWorkspace(session.workspace);
+        }
+
+        clearTimeout(this.restoreTimer);
+        this.restoreTimer = setTimeout(() => {
+            if (this.pendingEntries.length > 0) {
+                console.warn('SessionManager: dropping entries for apps that never registered:',
+                    this.pendingEntries.map(entry => entry.appId));
+                this.pendingEntries = [];
+                this.save();
+            }
+        }, this.config.restoreTimeout);
+    },
+
+    restorePending(appId = null) {
+        const registered = this.pendingEntries.filter(entry =>
+            (!appId || entry.appId === appId) && window.AppRegistry.getApp(entry.appId));
+
+        // Lazy apps load first; their app-registered event brings them back here
+        const lazy = registered.filter(entry => window.AppRegistry.isLazy(entry.appId));
+        lazy.forEach(entry => {
+            window.AppRegistry.loadApp(entry.appId).catch(error => {
+                console.warn(`SessionManager: could not load ${entry.appId}:`, error.message);
+            });
+        });
+
+        const ready = registered.filter(entry => !lazy.includes(entry));
+        if (ready.length === 0) return;
+
+        this.pendingEntries = this.pendingEntries.filter(entry => !ready.includes(entry));
+
+        this.restoring = true;
+        try {
+            ready.forEach(entry => this.restoreEntry(entry));
+        } finally {
+            this.restoring = false;
+        }
+
+        this.scheduleSave();
+
+        if (window.EventBus) {
+            window.EventBus.emit('session-restored', {
+                restored: ready.map(entry => entry.appId),
+                pending: this.pendingEntries.map(entry => entry.appId)
+            });
+        }
+    },
+
+    restoreEntry(entry) {
+        const app = window.AppRegistry.getApp(entry.appId);
+
+        // A second entry for a single-instance app would only refocus it
+        if (app.singleInstance && window.AppRegistry.isAppRunning(entry.appId)) return;
+
+        const win = window.AppRegistry.openApp(entry.appId);
+        if (!win) {
+            console.warn(`SessionManager: could not reopen ${entry.appId}`);
+            return;
+        }
+
+        this.applyGeometry(win, entry);
+        window.WindowManager.moveWindowToWorkspace(win.id, entry.workspace || 0);
+
+        if (entry.state !== undefined && typeof app.restoreState === 'function') {
+            try {
+                app.restoreState(entry.state, win);
+            } catch (error) {
+                console.warn(`SessionManager: restoreState failed for ${entry.appId}:`, error);
+            }
+        }
+
+        if (entry.isMaximized) {
+            window.WindowManager.toggleMaximize(win.id);
+        }
+        if (entry.isMinimized) {
+            window.WindowManager.minimizeWindow(win.id);
+        }
+    },
+
+    applyGeometry(win, entry) {
+        const windowData = window.WindowManager.getWindow(win.id);
+        if (!windowData || !(entry.width > 0) || !(entry.height > 0)) return;
+
+        // Clamp into the current viewport - the panel may have rotated
+        const viewport = window.WindowManager.getViewportConstraints();
+        const { constraints } = windowData;
+        const width = window.WindowManager.clamp(Math.min(entry.width, viewport.width), constraints.minWidth, constraints.maxWidth);
+        const height = window.WindowManager.clamp(Math.min(entry.height, viewport.availableHeight), constraints.minHeight, constraints.maxHeight);
+
+        win.style.left = Math.max(0, Math.min(entry.left, viewport.width - width)) + 'px';
+        win.style.top = Math.max(0, Math.min(entry.top, viewport.availableHeight - height)) + 'px';
+        win.style.width = width + 'px';
+        win.style.height = height + 'px';
+    },
+
+    // Forget the saved session (next boot starts clean)
+    clear() {
+        this.pendingEntries = [];
+        clearTimeout(this.saveTimer);
+        localStorage.removeItem(this.config.storageKey);
+    },
+
+    getStatus() {
+        const session = this.load();
+        return {
+            initialized: this.initialized,
+            savedWindows: session ? session.windows.length : 0,
+            savedAt: session ? session.savedAt : null,
+            pending: this.pendingEntries.map(entry => entry.appId)
+        };
+    }
+};
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerSessionManagerDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('session-manager', {
+        name: "SessionManager",
+        version: "1.1.0",
+        description: "Persists open windows, their geometry and app state, and reopens them after a reload.",
+        type: "System Service",
+        dependencies: ["EventBus", "WindowManager", "AppRegistry"],
+        features: [
+          "Global singleton (window.SessionManager)",
+          "Records open app IDs with position, size, workspace and minimized/maximized state.",
+          "Reopens windows through AppRegistry.openApp at boot.",
+          "Waits for late-registering apps (AppLoader, ProgramLoader) before giving up.",
+          "Loads lazy apps that were open before reopening their windows.",
+          "Optional getState(win) / restoreState(state, win) app hooks."
+        ],
+        methods: [
+          { name: "save()", description: "Writes the current session to localStorage immediately." },
+          { name: "restore()", description: "Reopens the saved session." },
+          { name: "clear()", description: "Deletes the saved session." },
+          { name: "getStatus()", description: "Returns saved window count, save time and pending app IDs." }
+        ],
+        events: [
+          "session-restored"
+        ],
+        autoGenerated: false
+      });
+      console.log('SessionManager documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
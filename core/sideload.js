@@ -0,0 +1,341 @@
+/* ========================================
+ * FILE: core/sideload.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-07
+ *
+ * PURPOSE:
+ * Reads app packages from local files and keeps them in IndexedDB, so a
+ * field engineer can put a custom HMI app on a panel without a server.
+ * ProgramLoader lists the stored apps next to the catalog and runs them
+ * from blob: URLs on every boot.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.Sideload.
+ * - readFile(file) turns a File into a package { manifest, source, icon, docs }.
+ * - Packages are stored in IndexedDB ('webos-sideload' / 'apps', keyed by
+ *   app ID) together with the SHA-256 of the script computed at import.
+ * - Apps run sandboxed (SandboxRuntime) by default; a manifest with
+ *   "sandbox": false runs in the desktop page, and the install prompt
+ *   says so.
+ *
+ * ACCEPTED FILES:
+ * - app.js      single script; ID and name come from the file name
+ * - app.json    { "manifest": {...}, "script": "...", "icon": "data:...", "docs": {...} }
+ * - app.zip     manifest.json + script (manifest.entry, default app.js),
+ *               optional icon file (manifest.icon) and docs.json
+ *
+ * DEPENDENCIES:
+ * - AppRegistry (manifest validation)
+ * - Integrity (digest and optional vendor signature)
+ * - IndexedDB, DecompressionStream (zip bundles)
+ *
+ * EXAMPLE USAGE:
+ * const pkg = await Sideload.readFile(input.files[0]);
+ * await Sideload.save(pkg);
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.Sideload = {
+    config: {
+        dbName: 'webos-sideload',
+        storeName: 'apps',
+        dbVersion: 1,
+        maxFileSize: 5 * 1024 * 1024
+    },
+    db: null,
+
+    // Files
+
+    async readFile(file) {
+        if (file.size > this.config.maxFileSize) {
+            throw new Error(`${file.name} is larger than ${this.config.maxFileSize / 1024 / 1024} MB`);
+        }
+
+        const name = file.name.toLowerCase();
+        let pkg;
+        if (name.endsWith('.js')) {
+            pkg = this.parseScript(file.name, await file.text());
+        } else if (name.endsWith('.json')) {
+            pkg = this.parseJsonBundle(await file.text());
+        } else if (name.endsWith('.zip')) {
+            pkg = await this.parseZip(await file.arrayBuffer());
+        } else {
+            throw new Error('Choose a .js script, a .json bundle or a .zip bundle');
+        }
+
+        return this.preparePackage(pkg);
+    },
+
+    // 'hmi-panel.js' -> { id: 'hmi-panel', name: 'Hmi Panel' }
+    parseScript(fileName, source) {
+        const id = fileName.replace(/\.js$/i, '').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+        const name = id.split('-').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+        return {
+            manifest: { id, name, version: '1.0.0', entry: fileName },
+            source
+        };
+    },
+
+    parseJsonBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Bundle is not valid JSON: ${error.message}`);
+        }
+        if (!bundle || typeof bundle.manifest !== 'object' || typeof bundle.script !== 'string') {
+            throw new Error('JSON bundle needs "manifest" and "script"');
+        }
+
+        return {
+            manifest: bundle.manifest,
+            source: bundle.script,
+            icon: bundle.icon,
+            docs: bundle.docs
+        };
+    },
+
+    async parseZip(buffer) {
+        const files = this.readZipDirectory(buffer);
+
+        // Bundles zipped with their folder keep everything under one prefix
+        const manifestPath = Array.from(files.keys())
+            .filter(path => path === 'manifest.json' || path.endsWith('/manifest.json'))
+            .sort((a, b) => a.length - b.length)[0];
+        if (!manifestPath) {
+            throw new Error('Zip bundle has no manifest.json');
+        }
+        const root = manifestPath.slice(0, -'manifest.json'.length);
+        const readText = async (path) => new TextDecoder().decode(await this.inflate(buffer, files.get(root + path)));
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await readText('manifest.json'));
+        } catch (error) {
+            throw new Error(`manifest.json is not valid JSON: ${error.message}`);
+        }
+
+        const scriptPath = manifest.entry || 'app.js';
+        if (!files.has(root + scriptPath)) {
+            throw new Error(`Zip bundle is missing its script (${scriptPath})`);
+        }
+
+        const pkg = { manifest, source: await readText(scriptPath) };
+
+        if (manifest.icon && files.has(root + manifest.icon)) {
+            const bytes = await this.inflate(buffer, files.get(root + manifest.icon));
+            pkg.icon = this.toDataUri(bytes, manifest.icon);
+        }
+        if (files.has(root + 'docs.json')) {
+            try {
+                pkg.docs = JSON.parse(await readText('docs.json'));
+            } catch (error) {
+                console.warn('Sideload: ignoring invalid docs.json:', error.message);
+            }
+        }
+        return pkg;
+    },
+
+    // Central directory -> Map(path -> { method, offset, compressedSize })
+    readZipDirectory(buffer) {
+        const view = new DataView(buffer);
+
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a zip file');
+        }
+
+        const files = new Map();
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pos, true) !== 0x02014b50) {
+                throw new Error('Corrupt zip directory');
+            }
+            const nameLength = view.getUint16(pos + 28, true);
+            const path = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+
+            if (!path.endsWith('/')) {
+                files.set(path, {
+                    method: view.getUint16(pos + 10, true),
+                    compressedSize: view.getUint32(pos + 20, true),
+                    offset: view.getUint32(pos + 42, true)
+                });
+            }
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+        }
+        return files;
+    },
+
+    async inflate(buffer, entry) {
+        const view = new DataView(buffer);
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) return data.slice().buffer;
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported zip compression method ${entry.method}`);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot unpack zip bundles; use a .json bundle instead');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer();
+    },
+
+    toDataUri(bytes, path) {
+        const types = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp' };
+        const type = types[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return `data:${type};base64,${btoa(binary)}`;
+    },
+
+    // Validate the manifest and check digest/signature before anything is stored
+    async preparePackage(pkg) {
+        const manifest = {
+            version: '1.0.0',
+            author: 'Unknown',
+            category: 'Sideloaded',
+            description: '',
+            permissions: [],
+            // Sideloaded scripts run in SandboxRuntime unless the manifest
+            // opts out with "sandbox": false
+            sandbox: true,
+            ...pkg.manifest
+        };
+
+        const errors = window.AppRegistry ? window.AppRegistry.validateManifest(manifest) : [];
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(manifest.id || '')) {
+            errors.push('id may only contain lowercase letters, digits and dashes');
+        }
+        if (typeof manifest.sandbox !== 'boolean') {
+            errors.push('sandbox must be true or false');
+        }
+        if (typeof pkg.source !== 'string' || !pkg.source.trim()) {
+            errors.push('script is empty');
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid app package: ${errors.join('; ')}`);
+        }
+
+        const bytes = new TextEncoder().encode(pkg.source);
+        const sha256 = await window.Integrity.digest(bytes);
+        await window.Integrity.verify(bytes, { ...manifest, sha256: manifest.sha256 || sha256 });
+
+        return {
+            manifest: { ...manifest, sha256 },
+            source: pkg.source,
+            icon: typeof pkg.icon === 'string' && pkg.icon.startsWith('data:image/') ? pkg.icon : undefined,
+            docs: pkg.docs && typeof pkg.docs === 'object' ? pkg.docs : undefined
+        };
+    },
+
+    // IndexedDB
+
+    openDb() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.config.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async transaction(mode, operation) {
+        const db = await this.openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.storeName, mode);
+            const request = operation(tx.objectStore(this.config.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    save(pkg) {
+        return this.transaction('readwrite', store => store.put({
+            id: pkg.manifest.id,
+            manifest: pkg.manifest,
+            source: pkg.source,
+            icon: pkg.icon,
+            docs: pkg.docs,
+            installedAt: new Date().toISOString()
+        }));
+    },
+
+    get(appId) {
+        return this.transaction('readonly', store => store.get(appId));
+    },
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    },
+
+    remove(appId) {
+        return this.transaction('readwrite', store => store.delete(appId));
+    }
+};
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerSideloadDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('sideload', {
+        name: "Sideload",
+        version: "1.0.0",
+        description: "Installs apps from local .js, .json or .zip files into IndexedDB.",
+        type: "System Service",
+        dependencies: ["AppRegistry", "Integrity"],
+        features: [
+          "Global singleton (window.Sideload)",
+          "Single scripts, JSON bundles and zip bundles (manifest.json, script, icon, docs.json).",
+          "Manifest validated and script digest/signature checked before storing.",
+          "Apps persist in IndexedDB and are run by ProgramLoader from blob: URLs at boot."
+        ],
+        methods: [
+          { name: "readFile(file)", description: "Parses and verifies a package file; resolves { manifest, source, icon, docs }." },
+          { name: "save(pkg)", description: "Stores a package in IndexedDB." },
+          { name: "getAll()", description: "Resolves with all stored packages." },
+          { name: "remove(appId)", description: "Deletes a stored package." }
+        ],
+        events: [],
+        autoGenerated: false
+      });
+      console.log('Sideload documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
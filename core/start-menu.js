@@ -10,7 +10,7 @@
  *   state (such as search filters) when closed.
  *
  * ARCHITECTURE:
- *   - DOM event listener initializes on 'DOMContentLoaded'
+ *   - Start button handler is bound once the DOM is ready
  *   - Toggle mechanism bound to 'start-btn' click
  *   - Dynamically creates fixed-position DIV (menuOverlay)
  *   - Cleanup function resetSearchAndCloseMenu() resets search state
@@ -68,7 +68,7 @@
     }
 
     // Start menu overlay handler
-    document.addEventListener('DOMContentLoaded', function() {
+    function setupStartButton() {
         
         startBtn.addEventListener('click', function(e) {
             e.stopPropagation();
@@ -145,7 +145,14 @@
                 }
             };
         }
-    });
+    }
+
+    // AppLoader runs this script after DOMContentLoaded has already fired
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', setupStartButton);
+    } else {
+        setupStartButton();
+    }
 
     // --- Start Menu Documentation ---
     (function registerStartMenuUIDoc() {
@@ -185,12 +192,6 @@
             };
             window.EventBus.on('docs-ready', onDocsReady);
         }
-        let attempts = 0;
-        const pollInterval = setInterval(() => {
-            if (tryRegister() || attempts++ > 50) {
-                clearInterval(pollInterval);
-            }
-        }, 100);
     })();
     // --- End Documentation ---
 })();
\ No newline at end of file
@@ -728,12 +728,14 @@ window.StartMenuApp = {
     }
 };
 
-// Auto-refresh menu when new apps are registered (if EventBus is available)
+// Auto-refresh menu when apps are registered or removed (if EventBus is available)
 if (window.EventBus) {
-    window.EventBus.on('app-registered', () => {
-        if (window.EnhancedStartMenu.menuWindow && 
-            window.EnhancedStartMenu.menuWindow.style.display !== 'none') {
-            window.EnhancedStartMenu.refreshApps();
-        }
+    ['app-registered', 'app-unregistered'].forEach(event => {
+        window.EventBus.on(event, () => {
+            if (window.EnhancedStartMenu.menuWindow && 
+                window.EnhancedStartMenu.menuWindow.style.display !== 'none') {
+                window.EnhancedStartMenu.refreshApps();
+            }
+        });
     });
 }
\ No newline at end of file
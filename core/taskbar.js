@@ -54,6 +54,25 @@ window.Taskbar = {
             });
         }
         
+        // Add workspace switcher if not present
+        if (!document.querySelector('.workspace-switcher')) {
+            const switcher = document.createElement('div');
+            switcher.className = 'workspace-switcher';
+            switcher.addEventListener('click', (e) => {
+                const button = e.target.closest('.workspace-button');
+                if (button && window.WindowManager) {
+                    window.WindowManager.switchWorkspace(parseInt(button.dataset.workspace));
+                }
+            });
+            
+            // Insert before taskbar items
+            const taskbarItems = document.getElementById('taskbar-items');
+            if (taskbarItems && taskbarItems.parentNode) {
+                taskbarItems.parentNode.insertBefore(switcher, taskbarItems);
+            }
+            this.renderWorkspaceSwitcher();
+        }
+        
         // Add network icon if not present
         if (!document.querySelector('.network-icon')) {
             const networkIcon = document.createElement('button');
@@ -102,6 +121,25 @@ window.Taskbar = {
                 }
             }
         }
+        
+        // Add tile windows button if not present
+        if (!document.querySelector('.tile-windows-button')) {
+            const tileBtn = document.createElement('button');
+            tileBtn.className = 'tile-windows-button';
+            tileBtn.innerHTML = `<img src="data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='22' height='22'><rect x='2' y='3' width='8' height='16' rx='1' fill='%23ffffff'/><rect x='12' y='3' width='8' height='7' rx='1' fill='%23ffffff'/><rect x='12' y='12' width='8' height='7' rx='1' fill='%23ffffff'/></svg>" alt="Tile Windows" style="width:18px;height:18px;">`;
+            tileBtn.title = 'Tile Windows (click again to change layout)';
+            tileBtn.style.marginRight = '6px';
+            tileBtn.style.background = 'transparent';
+            tileBtn.style.border = 'none';
+            tileBtn.style.cursor = 'pointer';
+            tileBtn.addEventListener('click', () => this.tileWindows());
+            
+            // Insert before show desktop button
+            const showDesktopButton = document.querySelector('.show-desktop-button');
+            if (showDesktopButton && showDesktopButton.parentNode) {
+                showDesktopButton.parentNode.insertBefore(tileBtn, showDesktopButton);
+            }
+        }
     },
     
     // Setup event listeners
@@ -124,6 +162,53 @@ window.Taskbar = {
         window.EventBus.on('window-created', (data) => {
             // Remove from taskbar if it was there (window restored)
             this.removeTaskbarItem(data.windowId);
+            this.renderWorkspaceSwitcher();
+        });
+        
+        // Workspace events
+        window.EventBus.on('workspace-changed', () => {
+            this.renderWorkspaceSwitcher();
+            this.updateItemVisibility();
+        });
+        
+        window.EventBus.on('window-workspace-changed', (data) => {
+            const item = this.taskbarItems.get(data.windowId);
+            if (item) {
+                item.dataset.workspace = data.to;
+            }
+            this.renderWorkspaceSwitcher();
+            this.updateItemVisibility();
+        });
+        
+        window.EventBus.on('window-closed', () => this.renderWorkspaceSwitcher());
+    },
+    
+    // Render one button per workspace, marking the active one
+    renderWorkspaceSwitcher() {
+        const switcher = document.querySelector('.workspace-switcher');
+        if (!switcher || !window.WindowManager || !window.WindowManager.getWorkspaces) return;
+        
+        const workspaces = window.WindowManager.getWorkspaces();
+        switcher.style.display = workspaces.length > 1 ? 'flex' : 'none';
+        switcher.innerHTML = '';
+        
+        workspaces.forEach(workspace => {
+            const button = document.createElement('button');
+            button.className = 'workspace-button';
+            button.classList.toggle('active', workspace.active);
+            button.classList.toggle('has-windows', workspace.windowCount > 0);
+            button.dataset.workspace = workspace.index;
+            button.textContent = workspace.index + 1;
+            button.title = `${workspace.name} (${workspace.windowCount} window${workspace.windowCount === 1 ? '' : 's'})`;
+            switcher.appendChild(button);
+        });
+    },
+    
+    // Only show items belonging to the current workspace
+    updateItemVisibility() {
+        const current = window.WindowManager ? window.WindowManager.currentWorkspace : 0;
+        this.taskbarItems.forEach(item => {
+            item.style.display = parseInt(item.dataset.workspace) === current ? '' : 'none';
         });
     },
     
@@ -175,6 +260,9 @@ window.Taskbar = {
         const displayTitle = title.length > 15 ? title.substring(0, 12) + '...' : title;
         item.textContent = displayTitle;
         
+        const windowData = window.WindowManager ? window.WindowManager.getWindow(windowId) : null;
+        item.dataset.workspace = windowData ? windowData.workspace : 0;
+        
         // Click handler to restore window
         item.addEventListener('click', () => {
             this.restoreWindow(windowId);
@@ -182,6 +270,7 @@ window.Taskbar = {
         
         taskbarItems.appendChild(item);
         this.taskbarItems.set(windowId, item);
+        this.updateItemVisibility();
         
         // Scroll to show new item if needed
         this.scrollTaskbarItems();
@@ -221,8 +310,8 @@ window.Taskbar = {
         if (window.DesktopManager) {
             window.DesktopManager.showDesktop();
         } else if (window.WindowManager) {
-            // Fallback: minimize all windows
-            const windows = window.WindowManager.getAllWindows();
+            // Fallback: minimize all windows on the current workspace
+            const windows = window.WindowManager.getWorkspaceWindows();
             windows.forEach(windowData => {
                 if (!windowData.isMinimized) {
                     window.WindowManager.minimizeWindow(windowData.element.id);
@@ -231,6 +320,13 @@ window.Taskbar = {
         }
     },
     
+    // Tile all open windows, cycling layouts on repeated clicks
+    tileWindows() {
+        if (window.WindowManager && typeof window.WindowManager.tileNext === 'function') {
+            window.WindowManager.tileNext();
+        }
+    },
+    
     // Scroll taskbar items if overflow
     scrollTaskbarItems() {
         const taskbarItems = document.getElementById('taskbar-items');
@@ -285,6 +381,8 @@ window.Taskbar = {
           "Real-time clock display with date tooltip",
           "Start menu integration",
           "Show desktop functionality",
+          "Tile windows button (cycles grid and master/stack layouts)",
+          "Workspace switcher; items are shown for the current workspace only",
           "Network status indicator",
           "Dynamic window item management",
           "Mobile/desktop responsive layout",
@@ -296,6 +394,8 @@ window.Taskbar = {
           { name: "removeTaskbarItem(windowId)", description: "Remove window from taskbar" },
           { name: "restoreWindow(windowId)", description: "Restore a minimized window" },
           { name: "showDesktop()", description: "Minimize all windows to show desktop" },
+          { name: "tileWindows()", description: "Tile all open windows, cycling layouts on each call" },
+          { name: "renderWorkspaceSwitcher()", description: "Redraw the workspace switcher buttons" },
           { name: "toggleStartMenu()", description: "Toggle start menu visibility" },
           { name: "updateLayout(isMobile)", description: "Update layout for mobile/desktop" },
           { name: "getHeight()", description: "Get taskbar height in pixels" }
@@ -320,13 +420,5 @@ window.Taskbar = {
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  // Fallback: poll for Docs initialization
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
 
@@ -0,0 +1,342 @@
+/* ========================================
+ * FILE: core/theme.js
+ * VERSION: 1.1.0
+ * BUILD DATE: 2025-10-16
+ *
+ * PURPOSE:
+ * One place for the desktop's colors. A theme is a set of CSS custom
+ * properties applied to the document root; css/style.css and apps read
+ * them with var(--name), so switching theme restyles the shell without a
+ * reload. Apps can register their own theme packs and follow
+ * 'theme-changed' to adapt colors they set inline.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.ThemeManager.
+ * - Theme: { id, name, colorScheme: 'light' | 'dark', highContrast, vars }
+ *   vars maps '--name' to a CSS value. A pack may set extends: '<id>' to
+ *   start from another theme's vars.
+ * - Built in: light (the classic look, also the defaults in style.css),
+ *   dark and high-contrast.
+ * - The chosen theme is stored in localStorage under 'webos-theme' and
+ *   applied as soon as this file runs, before the desktop is drawn.
+ * - <html data-theme="<id>"> and color-scheme are set for CSS selectors
+ *   and native form controls.
+ * - Automatic day/night switching lives in core/day-night.js.
+ * - A 'theme-changed' forwarded from another screen (EventBridge) is
+ *   applied here too, when that theme is known.
+ *
+ * EVENTS:
+ * - theme-changed    { id, name, colorScheme, highContrast, vars, previous }
+ * - theme-registered { id, name }
+ *
+ * DEPENDENCIES:
+ * - EventBus
+ *
+ * EXAMPLE USAGE:
+ * ThemeManager.registerTheme({
+ *     id: 'solarized', name: 'Solarized', extends: 'dark',
+ *     vars: { '--window-bg': '#002b36', '--accent': '#268bd2' }
+ * });
+ * ThemeManager.setTheme('solarized');
+ * EventBus.on('theme-changed', theme => myApp.recolor(theme));
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.ThemeManager = {
+    config: {
+        storageKey: 'webos-theme',
+        defaultTheme: 'light'
+    },
+    themes: new Map(),
+    builtInIds: ['light', 'dark', 'high-contrast'],
+    currentId: null,
+
+    init() {
+        this.registerBuiltInThemes();
+
+        const saved = localStorage.getItem(this.config.storageKey);
+        this.apply(this.themes.has(saved) ? saved : this.config.defaultTheme);
+
+        if (window.EventBus) {
+            window.EventBus.on('theme-changed', (theme) => {
+                const remote = window.EventBridge && window.EventBridge.isRemote();
+                if (remote && theme && theme.id !== this.currentId && this.themes.has(theme.id)) {
+                    this.setTheme(theme.id);
+                }
+            });
+        }
+        console.log(`ThemeManager initialized with theme: ${this.currentId}`);
+    },
+
+    registerBuiltInThemes() {
+        this.themes.set('light', {
+            id: 'light',
+            name: 'Light',
+            colorScheme: 'light',
+            highContrast: false,
+            vars: {
+                '--desktop-bg': 'linear-gradient(135deg, #3a6ea5 0%, #764ba2 100%)',
+                '--accent-gradient': 'linear-gradient(135deg, #3a6ea5, #764ba2)',
+                '--accent': '#4a90e2',
+                '--accent-text': '#ffffff',
+                '--danger': '#e74c3c',
+                '--success': '#28a745',
+                '--window-bg': '#ffffff',
+                '--window-text': '#222222',
+                '--window-border': 'rgba(255, 255, 255, 0.2)',
+                '--titlebar-text': '#ffffff',
+                '--taskbar-bg': 'rgba(0, 0, 0, 0.8)',
+                '--taskbar-text': '#ffffff',
+                '--bg-primary': '#f8f9fa',
+                '--bg-secondary': '#ffffff',
+                '--text-primary': '#222222',
+                '--text-secondary': '#666666',
+                '--border-color': '#cccccc',
+                '--input-bg': '#ffffff',
+                '--button-bg': '#f4f4f4',
+                '--shadow': 'rgba(0, 0, 0, 0.3)',
+                '--menu-bg': 'rgba(255, 255, 255, 0.95)'
+            }
+        });
+
+        this.themes.set('dark', {
+            id: 'dark',
+            name: 'Dark',
+            colorScheme: 'dark',
+            highContrast: false,
+            vars: {
+                '--desktop-bg': 'linear-gradient(135deg, #1c2733 0%, #2d2340 100%)',
+                '--accent-gradient': 'linear-gradient(135deg, #25496f, #4d3170)',
+                '--accent': '#5b9ee9',
+                '--accent-text': '#ffffff',
+                '--danger': '#e5534b',
+                '--success': '#3fb950',
+                '--window-bg': '#1f2329',
+                '--window-text': '#e6e6e6',
+                '--window-border': 'rgba(255, 255, 255, 0.12)',
+                '--titlebar-text': '#f0f0f0',
+                '--taskbar-bg': 'rgba(10, 12, 16, 0.9)',
+                '--taskbar-text': '#e6e6e6',
+                '--bg-primary': '#181b20',
+                '--bg-secondary': '#262b33',
+                '--text-primary': '#e6e6e6',
+                '--text-secondary': '#a0a7b0',
+                '--border-color': '#3d444d',
+                '--input-bg': '#14171b',
+                '--button-bg': '#2f353e',
+                '--shadow': 'rgba(0, 0, 0, 0.6)',
+                '--menu-bg': 'rgba(31, 35, 41, 0.97)'
+            }
+        });
+
+        // Plain black/white/yellow for bright rooms and low vision
+        this.themes.set('high-contrast', {
+            id: 'high-contrast',
+            name: 'High Contrast',
+            colorScheme: 'dark',
+            highContrast: true,
+            vars: {
+                '--desktop-bg': '#000000',
+                '--accent-gradient': '#000000',
+                '--accent': '#ffff00',
+                '--accent-text': '#000000',
+                '--danger': '#ff4040',
+                '--success': '#00ff00',
+                '--window-bg': '#000000',
+                '--window-text': '#ffffff',
+                '--window-border': '#ffffff',
+                '--titlebar-text': '#ffff00',
+                '--taskbar-bg': '#000000',
+                '--taskbar-text': '#ffffff',
+                '--bg-primary': '#000000',
+                '--bg-secondary': '#000000',
+                '--text-primary': '#ffffff',
+                '--text-secondary': '#ffffff',
+                '--border-color': '#ffffff',
+                '--input-bg': '#000000',
+                '--button-bg': '#000000',
+                '--shadow': 'rgba(255, 255, 255, 0)',
+                '--menu-bg': '#000000'
+            }
+        });
+    },
+
+    // Theme packs
+
+    registerTheme(theme) {
+        if (!theme || typeof theme.id !== 'string' || !theme.id || typeof theme.name !== 'string') {
+            console.error('ThemeManager.registerTheme: a theme needs an id and a name', theme);
+            return false;
+        }
+        if (this.builtInIds.includes(theme.id)) {
+            console.error(`ThemeManager.registerTheme: ${theme.id} is a built-in theme`);
+            return false;
+        }
+
+        const base = theme.extends ? this.themes.get(theme.extends) : null;
+        if (theme.extends && !base) {
+            console.error(`ThemeManager.registerTheme: ${theme.id} extends unknown theme ${theme.extends}`);
+            return false;
+        }
+
+        const vars = {};
+        Object.entries(theme.vars || {}).forEach(([name, value]) => {
+            if (name.startsWith('--') && typeof value === 'string') {
+                vars[name] = value;
+            } else {
+                console.warn(`ThemeManager: ignoring ${name} in ${theme.id} (not a string custom property)`);
+            }
+        });
+
+        this.themes.set(theme.id, {
+            id: theme.id,
+            name: theme.name,
+            colorScheme: theme.colorScheme || (base ? base.colorScheme : 'light'),
+            highContrast: !!(theme.highContrast !== undefined ? theme.highContrast : base && base.highContrast),
+            vars: { ...(base ? base.vars : this.themes.get('light').vars), ...vars }
+        });
+
+        if (window.EventBus) {
+            window.EventBus.emit('theme-registered', { id: theme.id, name: theme.name });
+        }
+        console.log(`Theme registered: ${theme.name} (${theme.id})`);
+
+        // Packs register after boot: switch to a saved one, refresh a re-registered one
+        if (this.currentId === theme.id || localStorage.getItem(this.config.storageKey) === theme.id) {
+            this.apply(theme.id);
+        }
+        return true;
+    },
+
+    unregisterTheme(themeId) {
+        if (this.builtInIds.includes(themeId) || !this.themes.has(themeId)) return false;
+
+        this.themes.delete(themeId);
+        if (this.currentId === themeId) {
+            // Keep the saved choice so the pack comes back when it registers again
+            this.apply(this.config.defaultTheme);
+        }
+        return true;
+    },
+
+    // Switching
+
+    setTheme(themeId) {
+        if (!this.themes.has(themeId)) {
+            console.error(`ThemeManager.setTheme: unknown theme ${themeId}`);
+            return false;
+        }
+
+        localStorage.setItem(this.config.storageKey, themeId);
+        this.apply(themeId);
+        return true;
+    },
+
+    apply(themeId) {
+        const theme = this.themes.get(themeId);
+        const previous = this.currentId;
+        const root = document.documentElement;
+
+        // Drop variables the previous theme set that this one does not
+        const old = previous && this.themes.get(previous);
+        if (old) {
+            Object.keys(old.vars).forEach(name => {
+                if (!(name in theme.vars)) root.style.removeProperty(name);
+            });
+        }
+        Object.entries(theme.vars).forEach(([name, value]) => root.style.setProperty(name, value));
+        root.dataset.theme = theme.id;
+        root.style.colorScheme = theme.colorScheme;
+
+        this.currentId = theme.id;
+
+        if (window.EventBus) {
+            window.EventBus.emit('theme-changed', { ...this.getTheme(), previous });
+        }
+    },
+
+    // Queries
+
+    getCurrentTheme() {
+        return this.currentId;
+    },
+
+    getTheme(themeId = this.currentId) {
+        const theme = this.themes.get(themeId);
+        return theme ? { ...theme, vars: { ...theme.vars } } : null;
+    },
+
+    getAvailableThemes() {
+        return Array.from(this.themes.values()).map(theme => ({
+            id: theme.id,
+            name: theme.name,
+            colorScheme: theme.colorScheme,
+            highContrast: theme.highContrast,
+            builtIn: this.builtInIds.includes(theme.id)
+        }));
+    },
+
+    // Current value of a theme variable, e.g. getVar('--accent')
+    getVar(name) {
+        const theme = this.themes.get(this.currentId);
+        return theme && theme.vars[name] !== undefined ? theme.vars[name] : '';
+    }
+};
+
+window.ThemeManager.init();
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerThemeManagerDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('theme-manager', {
+        name: "ThemeManager",
+        version: "1.1.0",
+        description: "Applies desktop themes as CSS custom properties and lets apps register theme packs.",
+        type: "System Service",
+        dependencies: ["EventBus"],
+        features: [
+          "Global singleton (window.ThemeManager)",
+          "Built-in Light, Dark and High Contrast themes.",
+          "Themes are CSS custom properties on the document root, read by css/style.css and apps.",
+          "Theme packs registrable by apps, optionally extending another theme.",
+          "Choice persisted in localStorage and applied before the desktop is drawn.",
+          "'theme-changed' lets apps recolor inline styles.",
+          "Follows theme changes made on other screens when EventBridge forwards them."
+        ],
+        methods: [
+          { name: "setTheme(themeId)", description: "Switches to a theme and remembers the choice." },
+          { name: "getCurrentTheme()", description: "Returns the active theme ID." },
+          { name: "getAvailableThemes()", description: "Lists { id, name, colorScheme, highContrast, builtIn } for every theme." },
+          { name: "getTheme(themeId)", description: "Returns a theme with its vars (default: the active one)." },
+          { name: "registerTheme(theme)", description: "Adds a theme pack { id, name, extends, colorScheme, highContrast, vars }." },
+          { name: "unregisterTheme(themeId)", description: "Removes a theme pack; built-in themes stay." },
+          { name: "getVar(name)", description: "Returns the active theme's value for a custom property." }
+        ],
+        events: [
+          "theme-changed",
+          "theme-registered"
+        ],
+        autoGenerated: false
+      });
+      console.log('ThemeManager documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -1,6 +1,6 @@
 /* ========================================
  * FILE: core/window-manager.js
- * VERSION: 1.0.0
+ * VERSION: 1.5.0
  * BUILD DATE: 2025-09-29
  *
  * PURPOSE:
@@ -24,11 +24,19 @@
  * - Window creation with title, content, size.
  * - Minimize, Maximize/Restore, Close functions.
  * - Drag-and-drop movement.
- * - Auto-focus (bring to front) on click.
+ * - Edge/corner resizing (mouse + touch) with min/max constraints.
+ * - Edge snapping (left/right half, top maximize) and tile-all layouts.
+ * - Virtual workspaces: every window belongs to one workspace.
+ * - Promise-based modal dialogs (app-modal or system-modal) with large
+ *   touch-friendly buttons: dialog(), alert(), confirm(), prompt().
+ * - Auto-focus (bring to front) on click; focused window and
+ *   most-recently-used order are tracked for keyboard switching.
  * - Emits key lifecycle events via EventBus.
  *
  * EXAMPLE USAGE:
  * WindowManager.createWindow('Terminal', '<pre>Loading...</pre>', 600, 400);
+ * WindowManager.createWindow('Trends', html, 800, 500, { minWidth: 400, minHeight: 300 });
+ * if (await WindowManager.confirm('Delete file?', { parent: win, danger: true })) { ... }
  *
  * AUTHOR:
  *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
@@ -39,8 +47,29 @@ window.WindowManager = {
     nextWindowId: 0,
     highestZIndex: 1000,
     
+    // Default size limits (match .window min-width/min-height in style.css)
+    defaultMinWidth: 200,
+    defaultMinHeight: 150,
+    resizeDirections: ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'],
+    
+    // Snapping / tiling
+    snapThreshold: 12, // px from screen edge that triggers a snap
+    tileLayouts: ['grid', 'master'],
+    lastTileLayout: null,
+    snapPreview: null,
+    
+    // Virtual workspaces (names persisted in localStorage)
+    workspaceNames: ['Desktop 1', 'Desktop 2', 'Desktop 3'],
+    currentWorkspace: 0,
+    
+    // Focus tracking (focusHistory is most-recently-focused first)
+    focusedWindowId: null,
+    focusHistory: [],
+    keyboardMoveStep: 20,
+    
     // Create new window - core functionality that never changes
-    createWindow(title, content, width = 400, height = 300) {
+    // options: { minWidth, minHeight, maxWidth, maxHeight, resizable }
+    createWindow(title, content, width = 400, height = 300, options = {}) {
         const windowId = `win-${++this.nextWindowId}`;
         
         // Input validation
@@ -69,8 +98,9 @@ window.WindowManager = {
         
         // Calculate safe dimensions
         const viewport = this.getViewportConstraints();
-        const safeWidth = Math.min(width, viewport.maxWidth);
-        const safeHeight = Math.min(height, viewport.maxHeight);
+        const constraints = this.normalizeConstraints(options);
+        const safeWidth = this.clamp(Math.min(width, viewport.maxWidth), constraints.minWidth, constraints.maxWidth);
+        const safeHeight = this.clamp(Math.min(height, viewport.maxHeight), constraints.minHeight, constraints.maxHeight);
         
         // Position window (cascade effect)
         const position = this.calculatePosition(safeWidth, safeHeight);
@@ -84,6 +114,8 @@ window.WindowManager = {
             top: ${position.y}px;
             z-index: ${++this.highestZIndex};
             pointer-events: auto;
+            min-width: ${constraints.minWidth}px;
+            min-height: ${constraints.minHeight}px;
         `;
         
         // Store window data
@@ -95,7 +127,9 @@ window.WindowManager = {
             originalWidth: safeWidth,
             originalHeight: safeHeight,
             originalX: position.x,
-            originalY: position.y
+            originalY: position.y,
+            constraints: constraints,
+            workspace: this.currentWorkspace
         });
         
         // Add to DOM
@@ -104,12 +138,18 @@ window.WindowManager = {
         // Setup window functionality
         this.setupWindowControls(win, windowId);
         this.makeWindowDraggable(win);
+        if (constraints.resizable) {
+            this.makeWindowResizable(win);
+        }
         
         // Emit event
         if (window.EventBus) {
             window.EventBus.emit('window-created', { windowId, title });
         }
         
+        // New windows open on top, so they take focus
+        this.setFocused(windowId);
+        
         return win;
     },
     
@@ -137,6 +177,12 @@ window.WindowManager = {
         // Focus handling
         win.addEventListener('mousedown', () => this.bringToFront(win));
         win.addEventListener('touchstart', () => this.bringToFront(win));
+        
+        // Title bar context menu: move window to another workspace
+        win.querySelector('.window-title-bar').addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showWorkspaceMenu(windowId, e.clientX, e.clientY);
+        });
     },
     
     // Minimize window
@@ -148,6 +194,10 @@ window.WindowManager = {
         win.style.display = 'none';
         windowData.isMinimized = true;
         
+        if (this.focusedWindowId === windowId) {
+            this.focusMostRecent();
+        }
+        
         // Emit event for taskbar
         if (window.EventBus) {
             window.EventBus.emit('window-minimized', { windowId, title: windowData.title });
@@ -159,6 +209,10 @@ window.WindowManager = {
         const windowData = this.activeWindows.get(windowId);
         if (!windowData || !windowData.isMinimized) return;
         
+        if (windowData.workspace !== this.currentWorkspace) {
+            this.switchWorkspace(windowData.workspace);
+        }
+        
         const win = windowData.element;
         win.style.display = 'block';
         windowData.isMinimized = false;
@@ -206,6 +260,7 @@ window.WindowManager = {
         }
         
         this.bringToFront(win);
+        this.emitResized(windowId);
     },
     
     // Close window
@@ -223,6 +278,12 @@ window.WindowManager = {
         // Remove from DOM and tracking
         win.remove();
         this.activeWindows.delete(windowId);
+        this.focusHistory = this.focusHistory.filter(id => id !== windowId);
+        
+        if (this.focusedWindowId === windowId) {
+            this.focusedWindowId = null;
+            this.focusMostRecent();
+        }
         
         // Emit closed event
         if (window.EventBus) {
@@ -235,6 +296,8 @@ window.WindowManager = {
         const titleBar = win.querySelector('.window-title-bar');
         let isDragging = false;
         let dragOffset = { x: 0, y: 0 };
+        let snapZone = null;
+        let dragStart = { x: 0, y: 0 };
         
         const startDrag = (clientX, clientY, e) => {
             // Don't drag if clicking controls or if maximized
@@ -244,11 +307,25 @@ window.WindowManager = {
             if (windowData && windowData.isMaximized) return;
             
             isDragging = true;
+            snapZone = null;
+            dragStart = { x: clientX, y: clientY };
             const rect = win.getBoundingClientRect();
             dragOffset.x = clientX - rect.left;
             dragOffset.y = clientY - rect.top;
             
+            // Dragging a snapped/tiled window out restores its previous size
+            if (windowData && windowData.preSnap) {
+                const ratio = dragOffset.x / rect.width;
+                win.style.width = windowData.preSnap.width + 'px';
+                win.style.height = windowData.preSnap.height + 'px';
+                dragOffset.x = Math.round(windowData.preSnap.width * ratio);
+                windowData.preSnap = null;
+                windowData.snapZone = null;
+                this.emitResized(win.id);
+            }
+            
             titleBar.style.cursor = 'grabbing';
+            document.body.classList.add('window-interacting');
             this.bringToFront(win);
             e.preventDefault();
         };
@@ -267,12 +344,30 @@ window.WindowManager = {
             
             win.style.left = newX + 'px';
             win.style.top = newY + 'px';
+            
+            // Ignore edge contact until the pointer has really moved
+            const moved = Math.abs(clientX - dragStart.x) + Math.abs(clientY - dragStart.y) > this.snapThreshold;
+            snapZone = moved ? this.detectSnapZone(clientX, clientY) : null;
+            this.showSnapPreview(snapZone);
         };
         
         const endDrag = () => {
             if (isDragging) {
                 isDragging = false;
                 titleBar.style.cursor = 'grab';
+                document.body.classList.remove('window-interacting');
+                this.showSnapPreview(null);
+                
+                if (snapZone) {
+                    this.snapWindow(win.id, snapZone);
+                    snapZone = null;
+                } else if (window.EventBus) {
+                    window.EventBus.emit('window-moved', {
+                        windowId: win.id,
+                        x: win.offsetLeft,
+                        y: win.offsetTop
+                    });
+                }
             }
         };
         
@@ -294,9 +389,531 @@ window.WindowManager = {
         titleBar.style.cursor = 'grab';
     },
     
-    // Bring window to front
+    // Which snap zone (if any) the pointer is in while dragging
+    detectSnapZone(clientX, clientY) {
+        const viewport = this.getViewportConstraints();
+        if (clientY <= this.snapThreshold) return 'top';
+        if (clientX <= this.snapThreshold) return 'left';
+        if (clientX >= viewport.width - this.snapThreshold) return 'right';
+        return null;
+    },
+    
+    getSnapGeometry(zone) {
+        const viewport = this.getViewportConstraints();
+        const halfWidth = Math.floor(viewport.width / 2);
+        
+        switch (zone) {
+            case 'left':
+                return { left: 0, top: 0, width: halfWidth, height: viewport.availableHeight };
+            case 'right':
+                return { left: viewport.width - halfWidth, top: 0, width: halfWidth, height: viewport.availableHeight };
+            case 'top':
+                return { left: 0, top: 0, width: viewport.width, height: viewport.availableHeight };
+            default:
+                return null;
+        }
+    },
+    
+    // Translucent outline showing where the window will land
+    showSnapPreview(zone) {
+        const geometry = this.getSnapGeometry(zone);
+        
+        if (!geometry) {
+            if (this.snapPreview) {
+                this.snapPreview.remove();
+                this.snapPreview = null;
+            }
+            return;
+        }
+        
+        if (!this.snapPreview) {
+            this.snapPreview = document.createElement('div');
+            this.snapPreview.className = 'snap-preview';
+            this.appendToContainer(this.snapPreview);
+        }
+        
+        Object.assign(this.snapPreview.style, {
+            left: geometry.left + 'px',
+            top: geometry.top + 'px',
+            width: geometry.width + 'px',
+            height: geometry.height + 'px',
+            zIndex: this.highestZIndex + 1
+        });
+    },
+    
+    // Snap a window to 'left' / 'right' half, or maximize it with 'top'
+    snapWindow(windowId, zone) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData) return;
+        
+        if (zone === 'top') {
+            if (!windowData.isMaximized) {
+                this.toggleMaximize(windowId);
+            }
+        } else {
+            const geometry = this.getSnapGeometry(zone);
+            if (!geometry) return;
+            this.applySnapGeometry(windowData, geometry, zone);
+        }
+        
+        if (window.EventBus) {
+            window.EventBus.emit('window-snapped', { windowId, zone });
+        }
+    },
+    
+    // Arrange every visible window: 'grid' or 'master' (master/stack)
+    tileWindows(layout = 'grid') {
+        const windows = this.getWorkspaceWindows()
+            .filter(windowData => !windowData.isMinimized)
+            .sort((a, b) => (parseInt(b.element.style.zIndex) || 0) - (parseInt(a.element.style.zIndex) || 0));
+        
+        if (windows.length === 0) return;
+        
+        const viewport = this.getViewportConstraints();
+        const area = { width: viewport.width, height: viewport.availableHeight };
+        const cells = layout === 'master'
+            ? this.calculateMasterStackLayout(windows.length, area)
+            : this.calculateGridLayout(windows.length, area);
+        
+        windows.forEach((windowData, index) => {
+            this.applySnapGeometry(windowData, cells[index], 'tile');
+        });
+        
+        this.lastTileLayout = layout;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('windows-tiled', { layout, count: windows.length });
+        }
+    },
+    
+    // Cycle through the available tile layouts (used by the taskbar button)
+    tileNext() {
+        const index = this.tileLayouts.indexOf(this.lastTileLayout);
+        this.tileWindows(this.tileLayouts[(index + 1) % this.tileLayouts.length]);
+    },
+    
+    calculateGridLayout(count, area) {
+        const cols = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / cols);
+        const cellHeight = Math.floor(area.height / rows);
+        const cells = [];
+        
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / cols);
+            // Last row stretches its windows across the full width
+            const inRow = row === rows - 1 ? count - row * cols : cols;
+            const col = i - row * cols;
+            const cellWidth = Math.floor(area.width / inRow);
+            cells.push({ left: col * cellWidth, top: row * cellHeight, width: cellWidth, height: cellHeight });
+        }
+        
+        return cells;
+    },
+    
+    calculateMasterStackLayout(count, area) {
+        if (count === 1) {
+            return [{ left: 0, top: 0, width: area.width, height: area.height }];
+        }
+        
+        const masterWidth = Math.floor(area.width * 0.6);
+        const stackWidth = area.width - masterWidth;
+        const stackHeight = Math.floor(area.height / (count - 1));
+        const cells = [{ left: 0, top: 0, width: masterWidth, height: area.height }];
+        
+        for (let i = 1; i < count; i++) {
+            cells.push({ left: masterWidth, top: (i - 1) * stackHeight, width: stackWidth, height: stackHeight });
+        }
+        
+        return cells;
+    },
+    
+    applySnapGeometry(windowData, geometry, zone) {
+        const win = windowData.element;
+        
+        // Leave maximized state without restoring the old geometry
+        if (windowData.isMaximized) {
+            win.classList.remove('maximized');
+            windowData.isMaximized = false;
+        }
+        
+        // Remember the free-floating size so dragging out can restore it
+        if (!windowData.preSnap) {
+            windowData.preSnap = { width: win.offsetWidth, height: win.offsetHeight };
+        }
+        windowData.snapZone = zone;
+        
+        const { constraints } = windowData;
+        win.style.left = geometry.left + 'px';
+        win.style.top = geometry.top + 'px';
+        win.style.width = this.clamp(geometry.width, constraints.minWidth, constraints.maxWidth) + 'px';
+        win.style.height = this.clamp(geometry.height, constraints.minHeight, constraints.maxHeight) + 'px';
+        
+        this.emitResized(win.id);
+    },
+    
+    // Resize functionality - eight edge/corner handles, mouse and touch
+    makeWindowResizable(win) {
+        this.resizeDirections.forEach(direction => {
+            const handle = document.createElement('div');
+            handle.className = `window-resize-handle resize-${direction}`;
+            handle.dataset.direction = direction;
+            win.appendChild(handle);
+        });
+        
+        let resizeState = null;
+        
+        const startResize = (clientX, clientY, e) => {
+            const handle = e.target.closest('.window-resize-handle');
+            if (!handle) return;
+            
+            const windowData = this.activeWindows.get(win.id);
+            if (!windowData || windowData.isMaximized) return;
+            
+            resizeState = {
+                direction: handle.dataset.direction,
+                startX: clientX,
+                startY: clientY,
+                left: win.offsetLeft,
+                top: win.offsetTop,
+                width: win.offsetWidth,
+                height: win.offsetHeight,
+                constraints: windowData.constraints
+            };
+            
+            win.classList.add('resizing');
+            document.body.classList.add('window-interacting');
+            this.bringToFront(win);
+            e.preventDefault();
+            e.stopPropagation();
+            
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', endResize);
+            document.addEventListener('touchmove', onTouchMove, { passive: false });
+            document.addEventListener('touchend', endResize);
+            document.addEventListener('touchcancel', endResize);
+        };
+        
+        const performResize = (clientX, clientY) => {
+            if (!resizeState) return;
+            
+            const geometry = this.calculateResize(resizeState, clientX - resizeState.startX, clientY - resizeState.startY);
+            win.style.left = geometry.left + 'px';
+            win.style.top = geometry.top + 'px';
+            win.style.width = geometry.width + 'px';
+            win.style.height = geometry.height + 'px';
+        };
+        
+        const onMouseMove = (e) => performResize(e.clientX, e.clientY);
+        const onTouchMove = (e) => {
+            if (!e.touches[0]) return;
+            e.preventDefault(); // Keep the panel from scrolling while resizing
+            performResize(e.touches[0].clientX, e.touches[0].clientY);
+        };
+        
+        const endResize = () => {
+            if (!resizeState) return;
+            resizeState = null;
+            win.classList.remove('resizing');
+            document.body.classList.remove('window-interacting');
+            
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', endResize);
+            document.removeEventListener('touchmove', onTouchMove);
+            document.removeEventListener('touchend', endResize);
+            document.removeEventListener('touchcancel', endResize);
+            
+            this.emitResized(win.id);
+        };
+        
+        win.addEventListener('mousedown', (e) => startResize(e.clientX, e.clientY, e));
+        win.addEventListener('touchstart', (e) => {
+            const touch = e.touches[0];
+            if (touch) startResize(touch.clientX, touch.clientY, e);
+        }, { passive: false });
+    },
+    
+    // Compute new geometry for a resize gesture, honouring constraints and viewport
+    calculateResize(state, dx, dy) {
+        const viewport = this.getViewportConstraints();
+        const { direction, constraints } = state;
+        let { left, top, width, height } = state;
+        
+        if (direction.includes('e')) {
+            const maxWidth = Math.min(constraints.maxWidth, viewport.width - left);
+            width = this.clamp(state.width + dx, constraints.minWidth, maxWidth);
+        }
+        if (direction.includes('w')) {
+            const maxWidth = Math.min(constraints.maxWidth, state.left + state.width);
+            width = this.clamp(state.width - dx, constraints.minWidth, maxWidth);
+            left = state.left + state.width - width;
+        }
+        if (direction.includes('s')) {
+            const maxHeight = Math.min(constraints.maxHeight, viewport.availableHeight - top);
+            height = this.clamp(state.height + dy, constraints.minHeight, maxHeight);
+        }
+        if (direction.includes('n')) {
+            const maxHeight = Math.min(constraints.maxHeight, state.top + state.height);
+            height = this.clamp(state.height - dy, constraints.minHeight, maxHeight);
+            top = state.top + state.height - height;
+        }
+        
+        return { left, top, width, height };
+    },
+    
+    // Programmatic resize (respects the window's constraints)
+    resizeWindow(windowId, width, height) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || windowData.isMaximized) return;
+        
+        const win = windowData.element;
+        const { constraints } = windowData;
+        win.style.width = this.clamp(width, constraints.minWidth, constraints.maxWidth) + 'px';
+        win.style.height = this.clamp(height, constraints.minHeight, constraints.maxHeight) + 'px';
+        
+        this.emitResized(windowId);
+    },
+    
+    emitResized(windowId) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || !window.EventBus) return;
+        
+        const win = windowData.element;
+        window.EventBus.emit('window-resized', {
+            windowId,
+            width: win.offsetWidth,
+            height: win.offsetHeight,
+            isMaximized: windowData.isMaximized
+        });
+    },
+    
+    // Bring window to front and give it focus
     bringToFront(win) {
         win.style.zIndex = ++this.highestZIndex;
+        
+        if (this.activeWindows.has(win.id)) {
+            this.setFocused(win.id);
+        }
+    },
+    
+    setFocused(windowId) {
+        this.focusHistory = [windowId, ...this.focusHistory.filter(id => id !== windowId)];
+        if (this.focusedWindowId === windowId) return;
+        
+        const previous = this.activeWindows.get(this.focusedWindowId);
+        if (previous) {
+            previous.element.classList.remove('focused');
+        }
+        
+        const windowData = this.activeWindows.get(windowId);
+        windowData.element.classList.add('focused');
+        this.focusedWindowId = windowId;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('window-focused', { windowId, title: windowData.title });
+        }
+    },
+    
+    // Hand focus to the most recently used visible window on this workspace
+    focusMostRecent() {
+        const nextId = this.focusHistory.find(id => {
+            const windowData = this.activeWindows.get(id);
+            return windowData && !windowData.isMinimized && windowData.workspace === this.currentWorkspace;
+        });
+        
+        if (nextId) {
+            this.bringToFront(this.activeWindows.get(nextId).element);
+            return;
+        }
+        
+        const previous = this.activeWindows.get(this.focusedWindowId);
+        if (previous) {
+            previous.element.classList.remove('focused');
+        }
+        this.focusedWindowId = null;
+    },
+    
+    // All windows, most recently focused first (Alt+Tab order)
+    getFocusOrder() {
+        const ordered = this.focusHistory
+            .map(id => this.activeWindows.get(id))
+            .filter(Boolean);
+        const rest = this.getAllWindows().filter(windowData => !ordered.includes(windowData));
+        return [...ordered, ...rest];
+    },
+    
+    // Nudge a window by a pixel offset (keyboard move)
+    moveWindowBy(windowId, dx, dy) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || windowData.isMaximized || windowData.isMinimized) return;
+        
+        const win = windowData.element;
+        const viewport = this.getViewportConstraints();
+        const minVisible = 50;
+        const x = Math.max(-win.offsetWidth + minVisible, Math.min((parseFloat(win.style.left) || 0) + dx, viewport.width - minVisible));
+        const y = Math.max(0, Math.min((parseFloat(win.style.top) || 0) + dy, viewport.availableHeight - 30));
+        
+        win.style.left = x + 'px';
+        win.style.top = y + 'px';
+        windowData.preSnap = null;
+        windowData.snapZone = null;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('window-moved', { windowId, x, y });
+        }
+    },
+    
+    setTitle(windowId, title) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || !title) return;
+        
+        windowData.title = String(title);
+        windowData.element.querySelector('.window-title').textContent = windowData.title;
+        
+        if (window.EventBus) {
+            window.EventBus.emit('window-title-changed', { windowId, title: windowData.title });
+        }
+    },
+    
+    // Show a window wherever it is: switch workspace, restore, raise
+    focusWindow(windowId) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData) return;
+        
+        if (windowData.workspace !== this.currentWorkspace) {
+            this.switchWorkspace(windowData.workspace);
+        }
+        if (windowData.isMinimized) {
+            this.restoreWindow(windowId);
+        } else {
+            this.bringToFront(windowData.element);
+        }
+    },
+    
+    // Focused window, if it is visible on the current workspace
+    getActiveWindowId() {
+        const windowData = this.activeWindows.get(this.focusedWindowId);
+        if (!windowData || windowData.isMinimized || windowData.workspace !== this.currentWorkspace) return null;
+        return this.focusedWindowId;
+    },
+    
+    // Workspace management
+    loadWorkspaceNames() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('webos-workspaces') || 'null');
+            if (Array.isArray(saved) && saved.length > 0) {
+                this.workspaceNames = saved.map(String);
+            }
+        } catch (error) {
+            console.warn('WindowManager: failed to load workspace names:', error);
+        }
+    },
+    
+    setWorkspaceNames(names) {
+        if (!Array.isArray(names) || names.length === 0) return;
+        
+        this.workspaceNames = names.map(String);
+        localStorage.setItem('webos-workspaces', JSON.stringify(this.workspaceNames));
+        
+        // Windows on removed workspaces fall back to the last one
+        const last = this.workspaceNames.length - 1;
+        this.activeWindows.forEach(windowData => {
+            if (windowData.workspace > last) windowData.workspace = last;
+        });
+        this.switchWorkspace(Math.min(this.currentWorkspace, last), { force: true });
+    },
+    
+    getWorkspaces() {
+        return this.workspaceNames.map((name, index) => ({
+            index,
+            name,
+            active: index === this.currentWorkspace,
+            windowCount: this.getWorkspaceWindows(index).length
+        }));
+    },
+    
+    getWorkspaceWindows(index = this.currentWorkspace) {
+        return this.getAllWindows().filter(windowData => windowData.workspace === index);
+    },
+    
+    switchWorkspace(index, options = {}) {
+        if (index < 0 || index >= this.workspaceNames.length) return;
+        if (index === this.currentWorkspace && !options.force) return;
+        
+        const from = this.currentWorkspace;
+        this.currentWorkspace = index;
+        this.activeWindows.forEach(windowData => this.applyWorkspaceVisibility(windowData));
+        this.focusMostRecent();
+        
+        if (window.EventBus) {
+            window.EventBus.emit('workspace-changed', { from, to: index, name: this.workspaceNames[index] });
+        }
+    },
+    
+    // Relative switch, wrapping around (used by shortcuts and swipes)
+    nextWorkspace(delta = 1) {
+        const count = this.workspaceNames.length;
+        this.switchWorkspace((this.currentWorkspace + delta + count) % count);
+    },
+    
+    moveWindowToWorkspace(windowId, index) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || index < 0 || index >= this.workspaceNames.length) return;
+        if (windowData.workspace === index) return;
+        
+        const from = windowData.workspace;
+        windowData.workspace = index;
+        this.applyWorkspaceVisibility(windowData);
+        
+        if (this.focusedWindowId === windowId && index !== this.currentWorkspace) {
+            this.focusMostRecent();
+        }
+        
+        if (window.EventBus) {
+            window.EventBus.emit('window-workspace-changed', { windowId, from, to: index });
+        }
+    },
+    
+    applyWorkspaceVisibility(windowData) {
+        windowData.element.classList.toggle('workspace-hidden', windowData.workspace !== this.currentWorkspace);
+    },
+    
+    showWorkspaceMenu(windowId, x, y) {
+        const windowData = this.activeWindows.get(windowId);
+        if (!windowData || this.workspaceNames.length < 2) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'workspace-menu';
+        menu.style.cssText = `
+            position: fixed;
+            left: ${x}px;
+            top: ${y}px;
+            z-index: ${this.highestZIndex + 1};
+        `;
+        
+        this.workspaceNames.forEach((name, index) => {
+            if (index === windowData.workspace) return;
+            
+            const item = document.createElement('div');
+            item.className = 'workspace-menu-item';
+            item.textContent = `Move to ${name}`;
+            item.addEventListener('click', () => {
+                this.moveWindowToWorkspace(windowId, index);
+                menu.remove();
+            });
+            menu.appendChild(item);
+        });
+        
+        document.body.appendChild(menu);
+        
+        setTimeout(() => {
+            const removeMenu = (e) => {
+                if (!menu.contains(e.target)) {
+                    menu.remove();
+                    document.removeEventListener('click', removeMenu);
+                }
+            };
+            document.addEventListener('click', removeMenu);
+        }, 10);
     },
     
     // Utility methods
@@ -310,6 +927,22 @@ window.WindowManager = {
         };
     },
     
+    normalizeConstraints(options = {}) {
+        const minWidth = options.minWidth > 0 ? options.minWidth : this.defaultMinWidth;
+        const minHeight = options.minHeight > 0 ? options.minHeight : this.defaultMinHeight;
+        return {
+            minWidth,
+            minHeight,
+            maxWidth: options.maxWidth > 0 ? Math.max(options.maxWidth, minWidth) : Infinity,
+            maxHeight: options.maxHeight > 0 ? Math.max(options.maxHeight, minHeight) : Infinity,
+            resizable: options.resizable !== false
+        };
+    },
+    
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(value, max));
+    },
+    
     calculatePosition(width, height) {
         const viewport = this.getViewportConstraints();
         const cascade = (this.nextWindowId - 1) * 25;
@@ -336,6 +969,179 @@ window.WindowManager = {
         }
     },
     
+    // Modal dialogs
+    // options: { title, message, buttons: [{ label, value, primary, danger }],
+    //            input: { type, value, placeholder, options }, validate(value),
+    //            modal: 'app' | 'system', parent: windowId or element, cancelValue }
+    // Resolves with { button, value }: the clicked button's value (cancelValue on
+    // Escape or when the parent window closes) and the input value, if any.
+    dialog(options = {}) {
+        const buttons = options.buttons && options.buttons.length > 0
+            ? options.buttons
+            : [{ label: 'OK', value: true, primary: true }];
+        const cancelValue = 'cancelValue' in options ? options.cancelValue : null;
+        const parentWin = this.resolveDialogParent(options.parent);
+        const modal = options.modal === 'system' || !parentWin ? 'system' : 'app';
+        
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = `dialog-overlay dialog-${modal}`;
+            
+            const box = document.createElement('div');
+            box.className = 'dialog-box';
+            box.setAttribute('role', 'dialog');
+            box.setAttribute('aria-modal', 'true');
+            box.innerHTML = `
+                ${options.title ? `<div class="dialog-title">${this.escapeHtml(options.title)}</div>` : ''}
+                ${options.message ? `<div class="dialog-message">${this.escapeHtml(options.message)}</div>` : ''}
+                <div class="dialog-error"></div>
+                <div class="dialog-buttons"></div>
+            `;
+            overlay.appendChild(box);
+            
+            const field = options.input ? this.createDialogInput(options.input) : null;
+            if (field) {
+                box.insertBefore(field, box.querySelector('.dialog-error'));
+            }
+            
+            let done = false;
+            const finish = (button) => {
+                if (done) return;
+                
+                // Only validate real answers, never cancellation
+                if (field && button !== cancelValue && typeof options.validate === 'function') {
+                    const error = options.validate(field.value);
+                    if (error) {
+                        box.querySelector('.dialog-error').textContent = error;
+                        field.focus();
+                        return;
+                    }
+                }
+                
+                done = true;
+                if (window.EventBus) window.EventBus.off('window-closed', onParentClosed);
+                overlay.remove();
+                resolve({ button, value: field ? field.value : undefined });
+            };
+            
+            const onParentClosed = (data) => {
+                if (parentWin && data.windowId === parentWin.id) finish(cancelValue);
+            };
+            if (parentWin && window.EventBus) {
+                window.EventBus.on('window-closed', onParentClosed);
+            }
+            
+            const buttonRow = box.querySelector('.dialog-buttons');
+            let primaryButton = null;
+            buttons.forEach(config => {
+                const button = document.createElement('button');
+                button.className = 'dialog-button';
+                if (config.primary) button.classList.add('primary');
+                if (config.danger) button.classList.add('danger');
+                button.textContent = config.label;
+                button.addEventListener('click', () => finish(config.value));
+                buttonRow.appendChild(button);
+                if (config.primary && !primaryButton) primaryButton = button;
+            });
+            
+            // Enter answers with the primary button, Escape cancels
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    finish(cancelValue);
+                } else if (e.key === 'Enter' && primaryButton && e.target.tagName !== 'BUTTON') {
+                    e.preventDefault();
+                    primaryButton.click();
+                }
+            });
+            
+            if (modal === 'app') {
+                const titleBar = parentWin.querySelector('.window-title-bar');
+                overlay.style.top = (titleBar ? titleBar.offsetHeight : 0) + 'px';
+                parentWin.appendChild(overlay);
+                this.focusWindow(parentWin.id);
+            } else {
+                document.body.appendChild(overlay);
+            }
+            
+            const focusTarget = field || primaryButton || buttonRow.firstChild;
+            if (focusTarget) {
+                focusTarget.focus();
+                if (field && field.select) field.select();
+            }
+        });
+    },
+    
+    alert(message, options = {}) {
+        return this.dialog({ title: 'Notice', message, ...options }).then(() => undefined);
+    },
+    
+    // Resolves true only when OK was chosen
+    confirm(message, options = {}) {
+        return this.dialog({
+            title: 'Confirm',
+            message,
+            buttons: [
+                { label: options.cancelLabel || 'Cancel', value: false },
+                { label: options.okLabel || 'OK', value: true, primary: true, danger: !!options.danger }
+            ],
+            cancelValue: false,
+            ...options
+        }).then(result => result.button === true);
+    },
+    
+    // Resolves with the entered text, or null when cancelled
+    prompt(message, defaultValue = '', options = {}) {
+        return this.dialog({
+            title: 'Input',
+            message,
+            input: { type: 'text', value: defaultValue, placeholder: options.placeholder || '' },
+            buttons: [
+                { label: options.cancelLabel || 'Cancel', value: false },
+                { label: options.okLabel || 'OK', value: true, primary: true }
+            ],
+            cancelValue: false,
+            ...options
+        }).then(result => result.button === true ? result.value : null);
+    },
+    
+    // Accepts a window ID, the window element or any element inside it
+    resolveDialogParent(parent) {
+        if (!parent) return null;
+        
+        if (typeof parent === 'string') {
+            const windowData = this.activeWindows.get(parent);
+            return windowData ? windowData.element : null;
+        }
+        
+        const win = parent.closest ? parent.closest('.window') : null;
+        return win && this.activeWindows.has(win.id) ? win : null;
+    },
+    
+    createDialogInput(input) {
+        const config = input === true ? {} : input;
+        let field;
+        
+        if (config.type === 'select') {
+            field = document.createElement('select');
+            (config.options || []).forEach(option => {
+                const element = document.createElement('option');
+                element.value = typeof option === 'object' ? option.value : option;
+                element.textContent = typeof option === 'object' ? option.label : option;
+                field.appendChild(element);
+            });
+        } else {
+            field = document.createElement('input');
+            field.type = config.type || 'text';
+            field.placeholder = config.placeholder || '';
+        }
+        
+        field.className = 'dialog-input';
+        if (config.value !== undefined) field.value = config.value;
+        return field;
+    },
+    
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -352,6 +1158,8 @@ window.WindowManager = {
     }
 };
 
+window.WindowManager.loadWorkspaceNames();
+
 // Register documentation with Docs service - wait for it to be ready
 (function registerWindowManagerDoc() {
   const tryRegister = () => {
@@ -359,7 +1167,7 @@ window.WindowManager = {
     if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
       window.Docs.register('window-manager', {
         name: "WindowManager",
-        version: "1.0.0",
+        version: "1.5.0",
         description: "Core service for managing the lifecycle, position, and interaction of all windows in the Unity Station desktop environment.",
         type: "System Service",
         dependencies: ["EventBus"],
@@ -367,11 +1175,35 @@ window.WindowManager = {
           "Global singleton (window.WindowManager)",
           "Handles window creation, minimization, maximization, and closing.",
           "Manages z-index stacking and window focus.",
+          "Tracks the focused window and most-recently-used order (emits window-focused).",
           "Implements window dragging functionality.",
+          "Edge and corner resize handles (mouse and touch) with per-window min/max constraints.",
+          "Drag-to-edge snapping: left/right half tiling, top edge maximizes.",
+          "Tile-all command with grid and master/stack layouts.",
+          "Virtual workspaces: switch, move windows between them, named via setWorkspaceNames().",
+          "Promise-based modal dialogs: app-modal (blocks only the parent window) or system-modal.",
           "Emits EventBus events for all key window lifecycle actions."
         ],
         methods: [
-          { name: "createWindow(title, content, width, height)", description: "Creates and displays a new window." },
+          { name: "createWindow(title, content, width, height, options)", description: "Creates and displays a new window. options: minWidth, minHeight, maxWidth, maxHeight, resizable." },
+          { name: "resizeWindow(windowId, width, height)", description: "Resizes a window within its min/max constraints." },
+          { name: "snapWindow(windowId, zone)", description: "Snaps a window to 'left' or 'right' half, or maximizes it with 'top'." },
+          { name: "tileWindows(layout)", description: "Arranges all visible windows using the 'grid' or 'master' (master/stack) layout." },
+          { name: "tileNext()", description: "Tiles all windows using the next layout in rotation." },
+          { name: "setTitle(windowId, title)", description: "Changes a window's title bar text." },
+          { name: "focusWindow(windowId)", description: "Switches to the window's workspace, restores and raises it." },
+          { name: "getActiveWindowId()", description: "Returns the focused window ID, or null if none is visible." },
+          { name: "getFocusOrder()", description: "Returns all window data objects, most recently focused first." },
+          { name: "moveWindowBy(windowId, dx, dy)", description: "Moves a window by a pixel offset, kept on screen." },
+          { name: "switchWorkspace(index)", description: "Shows only the windows of the given workspace." },
+          { name: "nextWorkspace(delta)", description: "Switches relative to the current workspace, wrapping around." },
+          { name: "moveWindowToWorkspace(windowId, index)", description: "Moves a window to another workspace." },
+          { name: "getWorkspaces()", description: "Returns workspace names, window counts and the active flag." },
+          { name: "setWorkspaceNames(names)", description: "Sets and persists the list of workspaces." },
+          { name: "dialog(options)", description: "Shows a modal dialog. options: title, message, buttons, input, validate, modal ('app' | 'system'), parent, cancelValue. Resolves with { button, value }." },
+          { name: "alert(message, options)", description: "Dialog with a single OK button." },
+          { name: "confirm(message, options)", description: "OK/Cancel dialog; resolves true or false. options.danger styles OK as destructive." },
+          { name: "prompt(message, defaultValue, options)", description: "Text input dialog; resolves with the text or null." },
           { name: "minimizeWindow(windowId)", description: "Minimizes a window to the taskbar." },
           { name: "restoreWindow(windowId)", description: "Restores a minimized window." },
           { name: "closeWindow(windowId)", description: "Closes and destroys a window." },
@@ -381,7 +1213,9 @@ window.WindowManager = {
         ],
         events: [
           "window-created", "window-minimized", "window-restored",
-          "window-closing", "window-closed", "window-focused"
+          "window-closing", "window-closed", "window-focused", "window-resized",
+          "window-snapped", "windows-tiled", "window-moved", "window-title-changed",
+          "workspace-changed", "window-workspace-changed"
         ],
         autoGenerated: false
       });
@@ -403,12 +1237,4 @@ window.WindowManager = {
     };
     window.EventBus.on('docs-ready', onDocsReady);
   }
-
-  // Fallback: poll for Docs initialization (in case EventBus fails)
-  let attempts = 0;
-  const pollInterval = setInterval(() => {
-    if (tryRegister() || attempts++ > 50) {
-      clearInterval(pollInterval);
-    }
-  }, 100);
 })();
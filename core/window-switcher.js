@@ -0,0 +1,203 @@
+/* ========================================
+ * FILE: core/window-switcher.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-02
+ *
+ * PURPOSE:
+ * Alt+Tab style window switcher. Shows an overlay listing every open
+ * window in most-recently-focused order and focuses the selected one
+ * when Alt is released.
+ *
+ * ARCHITECTURE:
+ * - Singleton object exposed as window.WindowSwitcher.
+ * - Window order comes from WindowManager.getFocusOrder().
+ * - Key presses are routed here by WebDesktop.setupKeyboardShortcuts();
+ *   this module only watches for Alt release / Escape while open.
+ *
+ * DEPENDENCIES:
+ * - WindowManager (focus order, focusWindow)
+ * - AppRegistry (optional, app icons)
+ *
+ * LIFECYCLE:
+ * 1. Loaded after WindowManager and AppRegistry.
+ * 2. init() is called by WebDesktop.initializeCoreServices().
+ * 3. cycle(±1) opens the overlay or moves the selection.
+ * 4. Releasing Alt (or tapping an entry) commits, Escape cancels.
+ *
+ * EXAMPLE USAGE:
+ * WindowSwitcher.cycle(1);   // Alt+Tab
+ * WindowSwitcher.cycle(-1);  // Alt+Shift+Tab
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+window.WindowSwitcher = {
+    overlay: null,
+    entries: [],
+    selectedIndex: 0,
+    isOpen: false,
+    initialized: false,
+
+    init() {
+        if (this.initialized) return;
+        console.log('WindowSwitcher initializing...');
+
+        this.setupEventListeners();
+        this.initialized = true;
+
+        console.log('WindowSwitcher initialized');
+    },
+
+    setupEventListeners() {
+        // Releasing Alt commits the selection
+        document.addEventListener('keyup', (e) => {
+            if (this.isOpen && e.key === 'Alt') {
+                this.commit();
+            }
+        });
+
+        // Escape cancels; captured so the start menu handler doesn't also react
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen && e.code === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        }, true);
+
+        // Alt may be released outside the page
+        window.addEventListener('blur', () => this.close());
+    },
+
+    // Open the switcher, or move the selection if already open
+    cycle(direction = 1) {
+        if (!this.isOpen && !this.open()) return;
+        this.select(this.selectedIndex + direction);
+    },
+
+    open() {
+        if (!window.WindowManager) return false;
+
+        this.entries = window.WindowManager.getFocusOrder();
+        if (this.entries.length === 0) return false;
+
+        // Start "before" the first entry when nothing is focused, so the
+        // first cycle selects the most recent window instead of skipping it
+        const activeId = window.WindowManager.getActiveWindowId();
+        this.selectedIndex = activeId && this.entries[0].element.id === activeId ? 0 : -1;
+
+        this.render();
+        this.isOpen = true;
+        return true;
+    },
+
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'window-switcher';
+
+        const wm = window.WindowManager;
+        this.entries.forEach((windowData, index) => {
+            const app = windowData.appId && window.AppRegistry ? window.AppRegistry.getApp(windowData.appId) : null;
+            const icon = (app && app.icon) || (window.AppRegistry ? window.AppRegistry.getDefaultIcon() : '');
+
+            const notes = [];
+            if (windowData.isMinimized) notes.push('minimized');
+            if (windowData.workspace !== wm.currentWorkspace) notes.push(wm.workspaceNames[windowData.workspace]);
+
+            const item = document.createElement('div');
+            item.className = 'window-switcher-item';
+            item.innerHTML = `
+                <img class="window-switcher-icon" alt="">
+                <span class="window-switcher-title">${wm.escapeHtml(windowData.title)}</span>
+                ${notes.length ? `<span class="window-switcher-note">${wm.escapeHtml(notes.join(' · '))}</span>` : ''}
+            `;
+            item.querySelector('.window-switcher-icon').src = icon;
+
+            // Touch/mouse: pick directly
+            item.addEventListener('click', () => {
+                this.selectedIndex = index;
+                this.commit();
+            });
+
+            this.overlay.appendChild(item);
+        });
+
+        document.body.appendChild(this.overlay);
+    },
+
+    select(index) {
+        const count = this.entries.length;
+        this.selectedIndex = (index % count + count) % count;
+
+        Array.from(this.overlay.children).forEach((item, i) => {
+            item.classList.toggle('selected', i === this.selectedIndex);
+        });
+    },
+
+    // Focus the selected window and close the overlay
+    commit() {
+        const windowData = this.entries[this.selectedIndex];
+        this.close();
+
+        if (windowData && window.WindowManager.getWindow(windowData.element.id)) {
+            window.WindowManager.focusWindow(windowData.element.id);
+        }
+    },
+
+    close() {
+        if (!this.isOpen) return;
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.entries = [];
+        this.isOpen = false;
+    }
+};
+
+// Register documentation with Docs service - wait for it to be ready
+(function registerWindowSwitcherDoc() {
+  const tryRegister = () => {
+    if (window.Docs && window.Docs.initialized && typeof window.Docs.register === 'function') {
+      window.Docs.register('window-switcher', {
+        name: "WindowSwitcher",
+        version: "1.0.0",
+        description: "Alt+Tab style overlay for switching between open windows in most-recently-used order.",
+        type: "System Service",
+        dependencies: ["WindowManager", "AppRegistry"],
+        features: [
+          "Global singleton (window.WindowSwitcher)",
+          "Lists all windows, including minimized ones and windows on other workspaces.",
+          "Alt+Tab / Alt+Shift+Tab cycle; Alt+` works where the OS captures Alt+Tab.",
+          "Releasing Alt focuses the selection, Escape cancels.",
+          "Entries can be tapped on touch panels."
+        ],
+        methods: [
+          { name: "cycle(direction)", description: "Opens the switcher or moves the selection by direction (1 or -1)." },
+          { name: "commit()", description: "Focuses the selected window and closes the switcher." },
+          { name: "close()", description: "Closes the switcher without changing focus." }
+        ],
+        events: [],
+        autoGenerated: false
+      });
+      console.log('WindowSwitcher documentation registered with Docs service');
+      return true;
+    }
+    return false;
+  };
+
+  // Try immediate registration
+  if (tryRegister()) return;
+
+  // Wait for docs-ready event
+  if (window.EventBus) {
+    const onDocsReady = () => {
+      if (tryRegister()) {
+        window.EventBus.off('docs-ready', onDocsReady);
+      }
+    };
+    window.EventBus.on('docs-ready', onDocsReady);
+  }
+})();
@@ -0,0 +1,261 @@
+/* ========================================
+ * FILE: sw.js
+ * VERSION: 1.0.0
+ * BUILD DATE: 2025-10-10
+ *
+ * PURPOSE:
+ * Service worker that lets a panel boot Gnoke Station with no web server.
+ * Every release is precached into its own versioned cache; the desktop is
+ * served from that cache, installed Store apps included, so a reload works
+ * offline exactly as it did online.
+ *
+ * ARCHITECTURE:
+ * - One cache per release: 'gnoke-station-<VERSION>'. Bump VERSION (and
+ *   add new files to PRECACHE) on every release; the browser then installs
+ *   the new worker next to the running one.
+ * - A new worker waits until the desktop asks it to take over
+ *   ({ type: 'skip-waiting' }), so updates only happen when accepted.
+ * - The active and previous release caches are kept; { type: 'rollback' }
+ *   switches between them. The choice lives in the 'gnoke-station-state'
+ *   cache so it survives the worker being stopped.
+ * - Core files are cache-first. Store scripts and the catalog are
+ *   network-first with the cache as fallback, so ProgramLoader still sees
+ *   updates (and Integrity still checks every script it runs).
+ *
+ * MESSAGES (from core/offline.js):
+ * - { type: 'skip-waiting' }        activate this (waiting) worker
+ * - { type: 'cache-apps', urls }    precache installed Store app scripts
+ * - { type: 'rollback' }            swap to the other kept release
+ * - { type: 'get-status' }          reply { version, active, previous, apps }
+ *   Replies go to event.ports[0] when a MessageChannel is supplied.
+ *
+ * DEPENDENCIES:
+ * - None (Cache Storage, fetch)
+ *
+ * AUTHOR:
+ *   edmundsparrow.netlify.app | whatsappme @ 09024054758 | webaplications5050@gmail.com
+ * ======================================== */
+
+const VERSION = '1.8.0';
+const CACHE_PREFIX = 'gnoke-station-';
+const STATE_CACHE = 'gnoke-station-state';
+const STATE_URL = 'sw-state.json';
+
+// Everything main.html and index.html load, relative to this file
+const PRECACHE = [
+    './',
+    'index.html',
+    'main.html',
+    'css/style.css',
+    'assets/default.svg',
+    'core/event-bus.js',
+    'core/boot-screen.js',
+    'core/app-loader.js',
+    'core/event-bridge.js',
+    'core/theme.js',
+    'core/day-night.js',
+    'core/screensaver.js',
+    'core/window-manager.js',
+    'core/app-registry.js',
+    'core/desktop.js',
+    'core/taskbar.js',
+    'core/session.js',
+    'core/window-switcher.js',
+    'core/hal.js',
+    'core/integrity.js',
+    'core/sideload.js',
+    'core/sandbox.js',
+    'core/offline.js',
+    'core/main.js',
+    'core/keypad-inject.js',
+    'core/display.js',
+    'core/desktop-icons.js',
+    'core/start-menu.js',
+    'core/apps/docs.js',
+    'core/apps/menu.js',
+    'core/apps/about.js',
+    'core/apps/desktop-settings.js',
+    'core/apps/store.js',
+    'core/apps/readme.js',
+    'core/apps/programs.js',
+    'core/apps/event-inspector.js',
+    'system/clock.js',
+    'system/news.js',
+    'system/weather.js',
+    'system/calculator.js',
+    'system/store/catalog.json'
+];
+
+// Fetched from the network first; the cache is only the offline fallback
+const NETWORK_FIRST = [/\/system\/store\//];
+
+const cacheName = (version) => CACHE_PREFIX + version;
+
+// State
+
+let statePromise = null;
+
+function getState() {
+    if (!statePromise) {
+        statePromise = caches.open(STATE_CACHE)
+            .then(cache => cache.match(STATE_URL))
+            .then(response => response ? response.json() : null)
+            .then(state => state || { active: null, previous: null, apps: [] })
+            .catch(() => ({ active: null, previous: null, apps: [] }));
+    }
+    return statePromise;
+}
+
+async function saveState(state) {
+    statePromise = Promise.resolve(state);
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(STATE_URL, new Response(JSON.stringify(state), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// Copy what the network cannot give us from any cache that has it
+async function cacheUrls(cache, urls) {
+    await Promise.all(urls.map(async (url) => {
+        try {
+            const response = await fetch(new Request(url, { cache: 'reload' }));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await cache.put(url, response);
+        } catch (error) {
+            const cached = await caches.match(url);
+            if (cached) {
+                await cache.put(url, cached);
+            } else {
+                console.warn(`sw: could not cache ${url}:`, error.message);
+            }
+        }
+    }));
+}
+
+// Lifecycle
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(cacheName(VERSION));
+        await cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })));
+
+        const state = await getState();
+        await cacheUrls(cache, state.apps);
+        console.log(`sw: version ${VERSION} installed`);
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const state = await getState();
+        if (state.active !== VERSION) {
+            state.previous = state.active;
+            state.active = VERSION;
+            await saveState(state);
+        }
+
+        // Keep the running release and the one to roll back to
+        const keep = [state.active, state.previous].filter(Boolean).map(cacheName);
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== STATE_CACHE && !keep.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+        console.log(`sw: version ${VERSION} active`);
+    })());
+});
+
+// Requests
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (NETWORK_FIRST.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function activeCache() {
+    const state = await getState();
+    return caches.open(cacheName(state.active || VERSION));
+}
+
+async function cacheFirst(request) {
+    const cache = await activeCache();
+    // main.html?safe=1 is still main.html
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    const cache = await activeCache();
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) || await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Messages from the desktop
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    const reply = (message) => {
+        if (event.ports && event.ports[0]) event.ports[0].postMessage(message);
+    };
+
+    const handlers = {
+        'skip-waiting': async () => {
+            await self.skipWaiting();
+            return { ok: true };
+        },
+
+        'cache-apps': async () => {
+            const state = await getState();
+            state.apps = Array.isArray(data.urls) ? data.urls.filter(url => typeof url === 'string') : [];
+            await saveState(state);
+            await cacheUrls(await activeCache(), state.apps);
+            return { ok: true, apps: state.apps.length };
+        },
+
+        'rollback': async () => {
+            const state = await getState();
+            if (!state.previous || !(await caches.has(cacheName(state.previous)))) {
+                return { ok: false, error: 'No previous version is cached' };
+            }
+            [state.active, state.previous] = [state.previous, state.active];
+            await saveState(state);
+            console.log(`sw: rolled back to ${state.active}`);
+            return { ok: true, active: state.active, previous: state.previous };
+        },
+
+        'get-status': async () => {
+            const state = await getState();
+            return { ok: true, version: VERSION, active: state.active, previous: state.previous, apps: state.apps.length };
+        }
+    };
+
+    const handler = handlers[data.type];
+    if (!handler) return;
+
+    event.waitUntil(handler()
+        .then(reply)
+        .catch(error => reply({ ok: false, error: error.message })));
+});
@@ -191,6 +191,19 @@
     updateDisplay(display) {
       display.textContent = this.currentExpression
         .replace(/\*/g,'×').replace(/\//g,'÷').replace(/-/g,'−');
+    },
+
+    // Session hooks - bring back the expression after a reload
+    getState() {
+      return { expression: this.currentExpression, isResultDisplayed: this.isResultDisplayed };
+    },
+
+    restoreState(state, win) {
+      if (!state || typeof state.expression !== 'string') return;
+      this.currentExpression = state.expression;
+      this.isResultDisplayed = !!state.isResultDisplayed;
+      const display = win.querySelector('#calc-display');
+      if (display) this.updateDisplay(display);
     }
   };
 
@@ -199,7 +212,9 @@
       id: 'calculator',
       name: 'Calculator',
       icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><rect x='4' y='4' width='40' height='40' rx='4' fill='url(%23g1)'/><defs><linearGradient id='g1' x1='0%' y1='0%' x2='0%' y2='100%'><stop offset='0%' style='stop-color:%23DDE6F0'/><stop offset='100%' style='stop-color:%23B0C4DE'/></linearGradient></defs><rect x='8' y='8' width='32' height='8' fill='%23FFFFFF' rx='2' stroke='%23A5BBD9'/><text x='24' y='14' font-size='6' fill='%231F4765' text-anchor='middle'>CALC</text><rect x='10' y='20' width='28' height='18' fill='url(%23g2)' rx='2'/><defs><linearGradient id='g2' x1='0%' y1='0%' x2='0%' y2='100%'><stop offset='0%' style='stop-color:%2389B6D7'/><stop offset='100%' style='stop-color:%234D8BC1'/></linearGradient></defs><text x='24' y='34' font-size='12' font-weight='bold' fill='%23FFFFFF' text-anchor='middle'>=</text></svg>",
-      handler: () => window.CalculatorApp.open()
+      handler: () => window.CalculatorApp.open(),
+      getState: () => window.CalculatorApp.getState(),
+      restoreState: (state, win) => window.CalculatorApp.restoreState(state, win)
     });
   }
 })();
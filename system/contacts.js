@@ -260,9 +260,17 @@
       }
     },
 
-    deleteContact(id) {
+    async deleteContact(id) {
       const contact = this.contacts.find(c => c.id === id);
-      if (contact && confirm(`Delete ${contact.name}?`)) {
+      if (!contact) return;
+      
+      const confirmed = await window.WindowManager.confirm(`Delete ${contact.name}?`, {
+        parent: this.currentWindow,
+        title: 'Delete Contact',
+        okLabel: 'Delete',
+        danger: true
+      });
+      if (confirmed) {
         this.contacts = this.contacts.filter(c => c.id !== id);
         this.saveContacts();
         this.renderContactsList();
@@ -319,11 +319,6 @@
       };
       window.EventBus.on('docs-ready', onDocsReady);
     }
-
-    let attempts = 0;
-    const pollInterval = setInterval(() => {
-      if (tryRegister() || attempts++ > 50) clearInterval(pollInterval);
-    }, 100);
   })();
 
 })();
@@ -541,12 +541,23 @@
                     transform: translateY(-2px);
                     box-shadow: 0 4px 12px rgba(0,0,0,0.2);
                 }
+                .aquarium-app.theme-contrast .aquarium-header,
+                .aquarium-app.theme-contrast .sidebar,
+                .aquarium-app.theme-contrast .stat-card,
+                .aquarium-app.theme-contrast .status-bar {
+                    background: #000 !important;
+                    border: 2px solid #fff !important;
+                }
+                .aquarium-app.theme-contrast .nav-item.active {
+                    color: #ffff00 !important;
+                }
                 </style>
             `;
 
             const win = window.WindowManager.createWindow('Aquarium Controller', aquariumHTML, 1000, 750);
             this.currentWindow = win;
             this.setupController(win);
+            this.applyTheme(win, window.ThemeManager ? window.ThemeManager.getTheme() : null);
             return win;
         },
 
@@ -621,8 +632,13 @@
 
             // Window cleanup
             if (window.EventBus) {
+                // Follow the desktop theme while the window is open
+                const onThemeChanged = (theme) => this.applyTheme(win, theme);
+                window.EventBus.on('theme-changed', onThemeChanged);
+
                 window.EventBus.on('window-closed', (data) => {
                     if (data.windowId === win.id) {
+                        window.EventBus.off('theme-changed', onThemeChanged);
                         this.cleanup();
                     }
                 });
@@ -1084,6 +1100,23 @@
             }, 3000);
         },
 
+        // Light keeps the original look; dark and high contrast tone it down
+        themeBackgrounds: {
+            light: 'linear-gradient(135deg, #0c4a6e 0%, #0e7490 50%, #0891b2 100%)',
+            dark: 'linear-gradient(135deg, #062538 0%, #083a48 50%, #0a4552 100%)',
+            contrast: '#000000'
+        },
+
+        applyTheme(win, theme) {
+            const root = win.querySelector('.aquarium-app');
+            if (!root) return;
+
+            const variant = !theme ? 'light' : theme.highContrast ? 'contrast' : theme.colorScheme;
+            root.style.background = this.themeBackgrounds[variant] || this.themeBackgrounds.light;
+            root.style.color = variant === 'contrast' ? '#ffffff' : 'white';
+            root.classList.toggle('theme-contrast', variant === 'contrast');
+        },
+
         cleanup() {
             if (this.updateInterval) {
                 clearInterval(this.updateInterval);
@@ -1103,7 +1136,8 @@
             name: 'Aquarium Controller',
             icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='4' y='12' width='40' height='24' rx='6' fill='%23067992' stroke='%2367e8f9' stroke-width='2'/><path d='M8 20c4 0 4 8 8 8s4-8 8-8 4 8 8 8 4-8 8-8' stroke='%2367e8f9' stroke-width='2' fill='none'/><circle cx='15' cy='20' r='2' fill='%23fbbf24'/><circle cx='33' cy='28' r='2' fill='%23f97316'/><path d='M12 16l2-1 1 2-2 1z' fill='%2310b981'/><path d='M35 24l-2-1-1 2 2 1z' fill='%2310b981'/></svg>",
             handler: () => window.AquariumApp.open(),
-            singleInstance: true
+            singleInstance: true,
+            dispose: () => window.AquariumApp.cleanup()
         });
 
         // Register documentation
@@ -260,9 +260,17 @@
       }
     },
 
-    deleteContact(id) {
+    async deleteContact(id) {
       const contact = this.contacts.find(c => c.id === id);
-      if (contact && confirm(`Delete ${contact.name}?`)) {
+      if (!contact) return;
+      
+      const confirmed = await window.WindowManager.confirm(`Delete ${contact.name}?`, {
+        parent: this.currentWindow,
+        title: 'Delete Contact',
+        okLabel: 'Delete',
+        danger: true
+      });
+      if (confirmed) {
         this.contacts = this.contacts.filter(c => c.id !== id);
         this.saveContacts();
         this.renderContactsList();
@@ -313,9 +321,15 @@
       `).join('');
     },
 
+    // Kept apart from the built-in Contacts app's 'webos-contacts' so that
+    // uninstalling this one with its data leaves the built-in list alone
+    storageKey: 'webos-app:contacts:list',
+
     loadContacts() {
       try {
-        this.contacts = JSON.parse(localStorage.getItem('webos-contacts') || '[]');
+        // First run starts from a copy of the built-in list
+        const saved = localStorage.getItem(this.storageKey) || localStorage.getItem('webos-contacts');
+        this.contacts = JSON.parse(saved || '[]');
       } catch (e) {
         this.contacts = [];
       }
@@ -323,7 +337,7 @@
 
     saveContacts() {
       try {
-        localStorage.setItem('webos-contacts', JSON.stringify(this.contacts));
+        localStorage.setItem(this.storageKey, JSON.stringify(this.contacts));
       } catch (e) {
         this.showNotification('Failed to save contacts', 'warning');
       }
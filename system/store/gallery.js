@@ -44,6 +44,17 @@
               font-size:12px;
             ">Viewer</button>
             
+            <div style="width:1px;height:20px;background:#ccc;margin:0 4px;"></div>
+            
+            <button id="gallery-screensaver" title="Use these images for the screen saver slideshow" style="
+              padding:4px 8px;
+              border:1px solid #999;
+              background:#f5f5f5;
+              cursor:pointer;
+              border-radius:3px;
+              font-size:12px;
+            ">Screen Saver</button>
+            
             <span id="gallery-count" style="margin-left:auto;font-size:12px;color:#666;">
               0 images
             </span>
@@ -115,6 +126,10 @@
         this.setViewMode(win, 'viewer');
       };
 
+      win.querySelector('#gallery-screensaver').onclick = () => {
+        this.useForScreenSaver(win);
+      };
+
       // Keyboard shortcuts
       win.addEventListener('keydown', (e) => {
         if (this.viewMode === 'viewer' && this.currentImages.length > 0) {
@@ -206,6 +221,27 @@
       });
     },
 
+    // Hand the loaded images to the desktop screen saver slideshow
+    useForScreenSaver(win) {
+      const statusText = win.querySelector('#gallery-status-text');
+      const images = this.currentImages
+        .filter(image => image.dataUrl && image.dataUrl.startsWith('data:image/'))
+        .slice(0, 50)
+        .map(image => ({ name: image.name, dataUrl: image.dataUrl }));
+
+      if (images.length === 0) {
+        statusText.textContent = 'Load some images first';
+        return;
+      }
+      if (typeof EventBus === 'undefined') {
+        statusText.textContent = 'Screen saver not available';
+        return;
+      }
+
+      EventBus.emit('gallery:screensaver-images', { images });
+      statusText.textContent = `Screen saver slideshow: ${images.length} images`;
+    },
+
     updateImageCount(win) {
       const countSpan = win.querySelector('#gallery-count');
       countSpan.textContent = `${this.currentImages.length} images`;
@@ -434,7 +470,7 @@
 //documentation
 {
   "name": "Gallery",
-  "version": "1.0",
+  "version": "1.1",
   "description": "An image gallery application that allows users to view images from a selected folder in a grid or full-screen viewer mode.",
   "features": [
     "Folder selection via a native file dialog.",
@@ -442,7 +478,8 @@
     "Full-screen viewer for single-image display.",
     "Navigation between images using arrow keys in viewer mode.",
     "Displays image metadata: name, size, type, and modification date.",
-    "Responsive layout that adapts to window size."
+    "Responsive layout that adapts to window size.",
+    "Sends the loaded images (up to 50) to the screen saver slideshow."
   ],
   "dependencies": [
     "WindowManager",
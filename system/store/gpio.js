@@ -40,7 +40,10 @@
         currentWindow: null,
         updateInterval: null,
         reconnectAttempts: 0,
+        detectionRun: 0,
         pinStates: new Map(),
+        focusedPin: null,
+        scrollToFocusedPin: false,
         
         // Connection status
         connectionStatus: {
@@ -49,7 +52,8 @@
             apiVersion: null
         },
 
-        open() {
+        // args: { pin, host, port } - e.g. from main.html#app=gpio&pin=17
+        open(args = {}) {
             // ... (HTML content remains the same) ...
             const gpioHTML = `
                 <div class="gpio-app" style="
@@ -333,15 +337,52 @@
                     opacity: 0.5;
                     cursor: not-allowed;
                 }
+                .gpio-app.theme-contrast .gpio-header,
+                .gpio-app.theme-contrast #config-panel,
+                .gpio-app.theme-contrast .control-section,
+                .gpio-app.theme-contrast .status-bar {
+                    background: #000 !important;
+                    border: 2px solid #fff !important;
+                }
                 </style>
             `;
 
-            const win = window.WindowManager.createWindow('GPIO Controller', gpioHTML, 900, 700);
+            const win = window.WindowManager.createWindow('GPIO Controller', gpioHTML, 900, 700, {
+                minWidth: 420,
+                minHeight: 360
+            });
             this.currentWindow = win;
             this.setupGPIOController(win);
+            this.applyTheme(win, window.ThemeManager ? window.ThemeManager.getTheme() : null);
+            this.applyArgs(args, win);
             return win;
         },
 
+        // Launch arguments; also called for an already open window
+        applyArgs(args, win) {
+            if (args.host) {
+                this.restoreState({ apiHost: args.host, apiPort: parseInt(args.port) || null }, win);
+            }
+
+            if (args.pin !== undefined && !isNaN(parseInt(args.pin))) {
+                this.focusedPin = parseInt(args.pin);
+                this.scrollToFocusedPin = true;
+                this.highlightFocusedPin(win);
+            }
+        },
+
+        highlightFocusedPin(win) {
+            win.querySelectorAll('.gpio-pin').forEach(element => {
+                element.style.outline = parseInt(element.dataset.pin) === this.focusedPin ? '3px solid #f39c12' : '';
+            });
+
+            const element = win.querySelector(`.gpio-pin[data-pin="${this.focusedPin}"]`);
+            if (element && this.scrollToFocusedPin) {
+                element.scrollIntoView({ block: 'nearest' });
+                this.scrollToFocusedPin = false;
+            }
+        },
+
         setupGPIOController(win) {
             this.setupEventHandlers(win);
             this.attemptAutoDetection(win);
@@ -398,15 +439,54 @@
 
             // Window cleanup
             if (window.EventBus) {
+                // Follow the desktop theme while the window is open
+                const onThemeChanged = (theme) => this.applyTheme(win, theme);
+                window.EventBus.on('theme-changed', onThemeChanged);
+
+                // Owned by the window, like the listeners below, so reopening does not stack them
                 window.EventBus.on('window-closed', (data) => {
                     if (data.windowId === win.id) {
+                        window.EventBus.off('theme-changed', onThemeChanged);
                         this.cleanup();
                     }
-                });
+                }, { owner: win });
+
+                // Emergency stop pressed on another screen (EventBridge)
+                window.EventBus.on('gpio-emergency-stop', (data) => {
+                    if (!(window.EventBridge && window.EventBridge.isRemote())) return;
+                    const where = data && data.host ? ` for ${data.host}` : '';
+                    this.showNotification(`EMERGENCY STOP executed on another screen${where}`, 'warning');
+                    this.refreshGPIOStatus(win);
+                }, { owner: win });
+
+                // Other apps ask for pin states instead of reaching into GPIODemoApp:
+                // EventBus.request('gpio:pin-states') -> { connected, host, pins }
+                if (!window.EventBus.hasHandler('gpio:pin-states')) {
+                    window.EventBus.handle('gpio:pin-states', () => ({
+                        connected: this.isConnected,
+                        host: this.config.apiHost,
+                        pins: Array.from(this.pinStates.values()).map(pin => ({ ...pin }))
+                    }), { owner: win, permission: 'hal:gpio' });
+                }
+
+                // Reflow status grid when the window is resized
+                window.EventBus.on('window-resized', (data) => {
+                    if (data.windowId === win.id) {
+                        this.reflowLayout(win, data.width);
+                    }
+                }, { owner: win });
+            }
+        },
+
+        reflowLayout(win, width) {
+            const systemStatus = win.querySelector('#system-status');
+            if (systemStatus) {
+                systemStatus.style.gridTemplateColumns = width < 560 ? '1fr' : '1fr 1fr';
             }
         },
 
         async attemptAutoDetection(win) {
+            const run = ++this.detectionRun;
             this.showConfigStatus(win, 'Attempting auto-detection...', 'info');
             
             // Try common local network ranges
@@ -420,13 +500,16 @@
             ];
 
             for (const host of commonHosts) {
+                // A newer detection run or a restored session took over
+                if (run !== this.detectionRun) return;
+
                 try {
                     this.config.apiHost = host;
                     win.querySelector('#pi-host').value = host;
                     
                     const response = await this.apiCall('/system/info', 3000); // Short timeout for detection
                     
-                    if (response) {
+                    if (response && run === this.detectionRun) {
                         this.showConfigStatus(win, `Found Pi at ${host}`, 'success');
                         this.initializeConnection(win);
                         return;
@@ -621,6 +704,10 @@
             gpioData.pins.forEach(pin => {
                 this.pinStates.set(pin.pin, pin);
             });
+
+            if (this.focusedPin !== null) {
+                this.highlightFocusedPin(win);
+            }
         },
 
         createPinElement(pin) {
@@ -784,7 +871,12 @@
             }
 
             const confirmMessage = `${action.toUpperCase()} all ${outputPins.length} output pins?`;
-            if (!confirm(confirmMessage)) {
+            const confirmed = await window.WindowManager.confirm(confirmMessage, {
+                parent: win,
+                title: 'Bulk GPIO Control',
+                okLabel: action.toUpperCase()
+            });
+            if (!confirmed) {
                 return;
             }
 
@@ -808,7 +900,13 @@
         },
 
         async emergencyStop(win) {
-            if (!confirm('EMERGENCY STOP will immediately set all output pins to LOW. Continue?')) {
+            const confirmed = await window.WindowManager.confirm('EMERGENCY STOP will immediately set all output pins to LOW. Continue?', {
+                parent: win,
+                title: 'Emergency Stop',
+                okLabel: 'STOP',
+                danger: true
+            });
+            if (!confirmed) {
                 return;
             }
 
@@ -818,6 +916,13 @@
                 if (result && result.success) {
                     this.showNotification('EMERGENCY STOP executed - all outputs set to LOW', 'success');
                     this.refreshGPIOStatus(win);
+                    if (window.EventBus) {
+                        window.EventBus.emit('gpio-emergency-stop', {
+                            host: this.config.apiHost,
+                            port: this.config.apiPort,
+                            time: Date.now()
+                        });
+                    }
                 } else {
                     throw new Error(result.error || 'Emergency stop failed');
                 }
@@ -993,6 +1098,41 @@
             }, 4000);
         },
 
+        // Session hooks - reconnect to the same Pi after a reload
+        getState() {
+            return {
+                apiHost: this.config.apiHost,
+                apiPort: this.config.apiPort
+            };
+        },
+
+        restoreState(state, win) {
+            if (!state || !state.apiHost) return;
+
+            this.detectionRun++; // Cancel the auto-detection started by open()
+            this.config.apiHost = state.apiHost;
+            if (state.apiPort) this.config.apiPort = state.apiPort;
+            win.querySelector('#pi-host').value = state.apiHost;
+            this.initializeConnection(win);
+        },
+
+        // Light keeps the original look; dark and high contrast tone it down
+        themeBackgrounds: {
+            light: 'linear-gradient(135deg, #2c3e50 0%, #34495e 50%, #2c3e50 100%)',
+            dark: 'linear-gradient(135deg, #161e27 0%, #1d2731 50%, #161e27 100%)',
+            contrast: '#000000'
+        },
+
+        applyTheme(win, theme) {
+            const root = win.querySelector('.gpio-app');
+            if (!root) return;
+
+            const variant = !theme ? 'light' : theme.highContrast ? 'contrast' : theme.colorScheme;
+            root.style.background = this.themeBackgrounds[variant] || this.themeBackgrounds.light;
+            root.style.color = variant === 'contrast' ? '#ffffff' : '#ecf0f1';
+            root.classList.toggle('theme-contrast', variant === 'contrast');
+        },
+
         cleanup() {
             if (this.updateInterval) {
                 clearInterval(this.updateInterval);
@@ -1002,6 +1142,7 @@
             this.isConnected = false;
             this.currentWindow = null;
             this.pinStates.clear();
+            this.focusedPin = null;
         }
     };
 
@@ -1010,8 +1151,12 @@
         id: 'gpio-demo',
         name: 'Pi GPIO',
         icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='4' y='4' width='40' height='40' rx='6' fill='%232c3e50'/><circle cx='16' cy='16' r='3' fill='%2327ae60'/><circle cx='32' cy='16' r='3' fill='%23e74c3c'/><circle cx='16' cy='32' r='3' fill='%233498db'/><circle cx='32' cy='32' r='3' fill='%23f39c12'/><path d='M8 24h32M24 8v32' stroke='%23ecf0f1' stroke-width='1' opacity='0.3'/><rect x='20' y='20' width='8' height='8' fill='%23e74c3c' rx='2'/></svg>",
-        handler: () => window.GPIODemoApp.open(),
-        singleInstance: true
+        handler: (args) => window.GPIODemoApp.open(args),
+        onArgs: (args, win) => window.GPIODemoApp.applyArgs(args, win),
+        singleInstance: true,
+        getState: () => window.GPIODemoApp.getState(),
+        restoreState: (state, win) => window.GPIODemoApp.restoreState(state, win),
+        dispose: () => window.GPIODemoApp.cleanup()
     };
     
     if (window.AppRegistry) {
@@ -1040,11 +1185,13 @@
                     "Auto-detection of Raspberry Pi devices on local network",
                     "Real-time GPIO pin monitoring and control",
                     "Emergency stop functionality for all output pins",
+                    "Emergency stop announced as 'gpio-emergency-stop' and shown on other screens via EventBridge",
                     "Bulk GPIO operations (all high/low/toggle)",
                     "Hardware-specific pin mapping and validation",
                     "Connection monitoring with auto-reconnect",
                     "Industrial safety warnings and confirmations",
-                    "Visual pin status indicators with color coding"
+                    "Visual pin status indicators with color coding",
+                    "Launch arguments / deep links: #app=gpio&pin=17&host=192.168.1.50 highlights a pin"
                 ],
                 dependencies: ["WindowManager", "AppRegistry"],
                 apiEndpoints: [
@@ -446,13 +446,13 @@
                 this.checkAlerts(win);
             }, 3000);
 
-            // Cleanup on window close
+            // Cleanup on window close; owned by the window so the listener goes with it
             if (window.EventBus) {
                 window.EventBus.on('window-closed', (data) => {
                     if (data.windowId === win.id) {
                         this.cleanup();
                     }
-                });
+                }, { owner: win });
             }
         },
 
@@ -630,7 +630,8 @@
             name: 'Greenhouse Control',
             icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><path d='M8 40h32v4H8z' fill='%23059669'/><path d='M24 8l16 24H8z' fill='none' stroke='%23059669' stroke-width='3' stroke-linejoin='round'/><path d='M16 24h16v8H16z' fill='%2316a34a'/><circle cx='20' cy='28' r='2' fill='%23fbbf24'/><circle cx='28' cy='28' r='2' fill='%23fbbf24'/></svg>",
             handler: () => window.GreenhouseApp.open(),
-            singleInstance: true
+            singleInstance: true,
+            dispose: () => window.GreenhouseApp.cleanup()
         });
     }
 
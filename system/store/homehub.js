@@ -275,7 +275,7 @@
                             <div id="hub-tab-energy" class="hub-tab-content" style="display: none;">
                                 <h3 style="margin: 0 0 20px 0; color: #f1c40f;">Energy Monitoring</h3>
                                 
-                                <div style="
+                                <div class="hub-energy-grid" style="
                                     display: grid;
                                     grid-template-columns: 1fr 1fr;
                                     gap: 20px;
@@ -390,12 +390,26 @@
                 .scene-card:hover {
                     transform: scale(1.05);
                 }
+                .home-hub-app.theme-contrast .hub-header,
+                .home-hub-app.theme-contrast .hub-sidebar,
+                .home-hub-app.theme-contrast .device-card,
+                .home-hub-app.theme-contrast .hub-status-bar {
+                    background: #000 !important;
+                    border: 2px solid #fff !important;
+                }
+                .home-hub-app.theme-contrast .hub-nav-item.active {
+                    color: #ffff00 !important;
+                }
                 </style>
             `;
 
-            const win = window.WindowManager.createWindow('Smart Home Hub', hubHTML, 1000, 750);
+            const win = window.WindowManager.createWindow('Smart Home Hub', hubHTML, 1000, 750, {
+                minWidth: 520,
+                minHeight: 400
+            });
             this.currentWindow = win;
             this.setupHomeHub(win);
+            this.applyTheme(win, window.ThemeManager ? window.ThemeManager.getTheme() : null);
             return win;
         },
 
@@ -442,11 +456,31 @@
 
             // Window cleanup
             if (window.EventBus) {
+                // Follow the desktop theme while the window is open
+                const onThemeChanged = (theme) => this.applyTheme(win, theme);
+                window.EventBus.on('theme-changed', onThemeChanged);
+
+                // Owned by the window, like the listeners below, so reopening does not stack them
                 window.EventBus.on('window-closed', (data) => {
                     if (data.windowId === win.id) {
+                        window.EventBus.off('theme-changed', onThemeChanged);
                         this.cleanup();
                     }
-                });
+                }, { owner: win });
+
+                // Reflow energy panels when the window is resized
+                window.EventBus.on('window-resized', (data) => {
+                    if (data.windowId === win.id) {
+                        this.reflowLayout(win, data.width);
+                    }
+                }, { owner: win });
+            }
+        },
+
+        reflowLayout(win, width) {
+            const energyGrid = win.querySelector('.hub-energy-grid');
+            if (energyGrid) {
+                energyGrid.style.gridTemplateColumns = width < 700 ? '1fr' : '1fr 1fr';
             }
         },
 
@@ -1416,6 +1450,23 @@
             }, 4000);
         },
 
+        // Light keeps the original look; dark and high contrast tone it down
+        themeBackgrounds: {
+            light: 'linear-gradient(135deg, #1abc9c 0%, #16a085 50%, #148f77 100%)',
+            dark: 'linear-gradient(135deg, #0d4f42 0%, #0b4238 50%, #09372f 100%)',
+            contrast: '#000000'
+        },
+
+        applyTheme(win, theme) {
+            const root = win.querySelector('.home-hub-app');
+            if (!root) return;
+
+            const variant = !theme ? 'light' : theme.highContrast ? 'contrast' : theme.colorScheme;
+            root.style.background = this.themeBackgrounds[variant] || this.themeBackgrounds.light;
+            root.style.color = variant === 'contrast' ? '#ffffff' : 'white';
+            root.classList.toggle('theme-contrast', variant === 'contrast');
+        },
+
         cleanup() {
             if (this.updateInterval) {
                 clearInterval(this.updateInterval);
@@ -1437,7 +1488,8 @@
             name: 'Smart Home',
             icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><path d='M24 4L6 18v26h12V32h12v12h12V18L24 4z' fill='%231abc9c'/><path d='M24 4L42 18v4L24 8L6 22v-4L24 4z' fill='%2316a085'/><circle cx='16' cy='28' r='2' fill='%23f1c40f'/><circle cx='32' cy='28' r='2' fill='%23e74c3c'/><rect x='20' y='36' width='8' height='8' fill='%23ecf0f1'/></svg>",
             handler: () => window.HomeHubApp.open(),
-            singleInstance: true
+            singleInstance: true,
+            dispose: () => window.HomeHubApp.cleanup()
         };
 
         // 1. Register the app to the Start Menu/Applications list
@@ -377,6 +377,7 @@
             icon: 'data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48"><rect x="6" y="6" width="36" height="36" rx="6" fill="%23FF6B35"/><text x="24" y="30" text-anchor="middle" font-size="14" font-weight="bold" fill="white">itel</text></svg>',
             handler: () => ItelControllerApp.open(),
             singleInstance: true,
+            dispose: () => ItelControllerApp.cleanup()
         });
     }
 
@@ -70,46 +70,6 @@
         .notepad-modified {
             color: #d32f2f;
         }
-        /* FILE DIALOG STYLES - Crucially nested inside the window container */
-        .notepad-container .file-dialog-overlay { 
-            position: absolute; /* Changed to absolute to stay inside the window */
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: rgba(0,0,0,0.5);
-            z-index: 10; /* Lower z-index for local window overlay */
-            display: flex;
-            justify-content: center;
-            align-items: center;
-        }
-        .notepad-container .file-dialog {
-            background: white;
-            border: 2px solid #2b5797;
-            border-radius: 8px;
-            padding: 20px;
-            box-shadow: 0 4px 16px rgba(0,0,0,0.2);
-            min-width: 300px;
-            z-index: 11;
-        }
-        .file-dialog h4 {
-            margin: 0 0 15px;
-            color: #2b5797;
-        }
-        .file-dialog input, .file-dialog select {
-            width: 100%;
-            padding: 8px;
-            border: 1px solid #ccc;
-            border-radius: 4px;
-            margin-bottom: 15px;
-            font-size: 13px;
-            box-sizing: border-box;
-        }
-        .file-dialog-actions {
-            display: flex;
-            gap: 10px;
-            justify-content: flex-end;
-        }
     `;
 
     // --- 2. VIRTUAL FILE SYSTEM UTILITIES ---
@@ -133,15 +93,43 @@
                     id: 'notepad',
                     name: 'Notepad',
                     icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='8' y='6' width='32' height='36' rx='2' fill='%23fff' stroke='%232b5797' stroke-width='2'/><path d='M14 16h20M14 22h20M14 28h16' stroke='%232b5797' stroke-width='2'/></svg>",
-                    handler: this.open,
-                    singleInstance: false // Allow multiple notepad instances
+                    handler: (args) => window.NotepadApp.open(args),
+                    singleInstance: false, // Allow multiple notepad instances
+                    // Session hooks - each window exposes its own state accessors
+                    getState: (win) => win.getNotepadState ? win.getNotepadState() : undefined,
+                    restoreState: (state, win) => {
+                        if (win.restoreNotepadState) win.restoreNotepadState(state);
+                    },
+                    // Uninstall or update: the next version registers its own responder
+                    dispose: () => window.NotepadApp.dispose()
                 });
             } else {
                  console.error("AppRegistry not found. NotepadApp not registered.");
             }
+
+            // EventBus.request('notepad:current-file') -> the most recently focused
+            // Notepad's { windowId, filename, isModified }, or null if none is open.
+            // Which file the user is editing is their stored data: sandboxed
+            // callers need the 'storage' permission
+            if (window.EventBus && !window.EventBus.hasHandler('notepad:current-file')) {
+                this.stopResponding = window.EventBus.handle('notepad:current-file', () => {
+                    const windows = window.WindowManager ? window.WindowManager.getFocusOrder() : [];
+                    const notepad = windows.find(windowData => windowData.element.getNotepadState);
+                    if (!notepad) return null;
+
+                    const state = notepad.element.getNotepadState();
+                    return { windowId: notepad.element.id, filename: state.filename, isModified: state.isModified };
+                }, { permission: 'storage' });
+            }
+        },
+
+        dispose() {
+            if (this.stopResponding) this.stopResponding();
+            this.stopResponding = null;
         },
 
-        open() {
+        // args.file opens a document from the virtual file system
+        open(args = {}) {
             if (!window.WindowManager) {
                 console.error("WindowManager not available. Cannot open Notepad.");
                 return;
@@ -180,7 +168,6 @@
             `;
 
             const win = WindowManager.createWindow('Untitled - Notepad', fullHTML, 600, 500);
-            const winContent = win.querySelector('.window-content-body'); // Assuming WindowManager gives us a wrapper
 
             // --- Window-local state and element references ---
             const editor = win.querySelector('#notepad-editor');
@@ -201,7 +188,8 @@
                 if (win.setTitle) { 
                     win.setTitle(title); 
                 } else {
-                    win.querySelector('.title-text').textContent = title; 
+                    const titleEl = win.querySelector('.title-text') || win.querySelector('.window-title');
+                    if (titleEl) titleEl.textContent = title;
                 }
                 
                 filenameSpan.textContent = currentFilename;
@@ -228,8 +216,8 @@
                 cursorPosition.textContent = `Line ${line}, Column ${column}`;
             }
 
-            function newFile() {
-                if (isModified && !confirm('You have unsaved changes. Are you sure you want to create a new file?')) {
+            async function newFile() {
+                if (isModified && !(await window.WindowManager.confirm('You have unsaved changes. Are you sure you want to create a new file?', { parent: win }))) {
                     return;
                 }
                 editor.value = '';
@@ -242,52 +230,17 @@
 
             // --- Dialogs (Encapsulated) ---
 
-            function showSaveDialog(callback) {
-                const overlay = document.createElement('div');
-                overlay.className = 'file-dialog-overlay';
-                
-                const dialog = document.createElement('div');
-                dialog.className = 'file-dialog';
-                dialog.innerHTML = `
-                    <h4>Save File</h4>
-                    <input type="text" id="filename-input" placeholder="Enter filename..." value="${currentFilename !== 'Untitled' ? currentFilename : ''}">
-                    <div class="file-dialog-actions">
-                        <button class="notepad-btn" id="dialog-cancel">Cancel</button>
-                        <button class="notepad-btn primary" id="dialog-save">Save</button>
-                    </div>
-                `;
-
-                overlay.appendChild(dialog);
-                winContent.appendChild(overlay); // Append to the window content, not document.body!
-
-                const filenameInput = dialog.querySelector('#filename-input');
-                const saveBtn = dialog.querySelector('#dialog-save');
-                const cancelBtn = dialog.querySelector('#dialog-cancel');
-
-                filenameInput.focus();
-                filenameInput.select();
-
-                function closeDialog() {
-                    winContent.removeChild(overlay);
-                }
-
-                function save() {
-                    const filename = filenameInput.value.trim();
-                    if (!filename) {
-                        alert('Please enter a filename');
-                        return;
-                    }
-                    closeDialog();
-                    callback(filename);
-                }
-
-                saveBtn.addEventListener('click', save);
-                cancelBtn.addEventListener('click', closeDialog);
-                
-                filenameInput.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter') { e.preventDefault(); save(); } 
-                    else if (e.key === 'Escape') { closeDialog(); }
+            async function showSaveDialog(callback) {
+                const filename = await window.WindowManager.prompt('File name:', currentFilename !== 'Untitled' ? currentFilename : '', {
+                    parent: win,
+                    title: 'Save File',
+                    okLabel: 'Save',
+                    placeholder: 'Enter filename...',
+                    validate: (value) => value.trim() ? null : 'Please enter a filename'
                 });
+                if (filename !== null) {
+                    callback(filename.trim());
+                }
             }
 
             function saveFile(filename = currentFilename) {
@@ -325,7 +278,7 @@
                 }, 1000);
             }
 
-            function showOpenDialog() {
+            async function showOpenDialog() {
                 const fs = getVirtualFileSystem();
                 const documents = fs['documents']?.children || {};
                 const textFiles = Object.keys(documents).filter(name => 
@@ -333,64 +286,41 @@
                 );
 
                 if (textFiles.length === 0) {
-                    alert('No text files found in documents folder to open.');
+                    await window.WindowManager.alert('No text files found in documents folder to open.', { parent: win });
                     return;
                 }
 
-                const overlay = document.createElement('div');
-                overlay.className = 'file-dialog-overlay';
-                
-                const dialog = document.createElement('div');
-                dialog.className = 'file-dialog';
-                dialog.innerHTML = `
-                    <h4>Open File</h4>
-                    <select id="file-select" style="width:100%; padding:8px; margin-bottom:15px;">
-                        ${textFiles.map(name => `<option value="${name}">${name}</option>`).join('')}
-                    </select>
-                    <div class="file-dialog-actions">
-                        <button class="notepad-btn" id="dialog-cancel">Cancel</button>
-                        <button class="notepad-btn primary" id="dialog-open">Open</button>
-                    </div>
-                `;
-
-                overlay.appendChild(dialog);
-                winContent.appendChild(overlay);
-
-                const fileSelect = dialog.querySelector('#file-select');
-                const openBtn = dialog.querySelector('#dialog-open');
-                const cancelBtn = dialog.querySelector('#dialog-cancel');
+                const result = await window.WindowManager.dialog({
+                    parent: win,
+                    title: 'Open File',
+                    input: { type: 'select', options: textFiles },
+                    buttons: [
+                        { label: 'Cancel', value: false },
+                        { label: 'Open', value: true, primary: true }
+                    ],
+                    cancelValue: false
+                });
+                if (!result.button || !result.value) return;
 
-                function closeDialog() {
-                    winContent.removeChild(overlay);
+                if (isModified && !(await window.WindowManager.confirm('You have unsaved changes. Are you sure you want to open another file?', { parent: win }))) {
+                    return;
                 }
 
-                function openFile() {
-                    const filename = fileSelect.value;
-                    if (!filename) return;
+                loadDocument(result.value);
+            }
 
-                    if (isModified && !confirm('You have unsaved changes. Are you sure you want to open another file?')) {
-                        return;
-                    }
+            function loadDocument(filename) {
+                const documents = getVirtualFileSystem()['documents']?.children || {};
+                const fileData = documents[filename];
+                if (!fileData || fileData.content === undefined) return false;
 
-                    const fileData = documents[filename];
-                    if (fileData && fileData.content !== undefined) {
-                        editor.value = fileData.content;
-                        originalContent = fileData.content;
-                        currentFilename = filename;
-                        isModified = false;
-                        updateTitle();
-                        closeDialog();
-                        editor.focus();
-                    }
-                }
-
-                openBtn.addEventListener('click', openFile);
-                cancelBtn.addEventListener('click', closeDialog);
-                
-                fileSelect.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter') { openFile(); } 
-                    else if (e.key === 'Escape') { closeDialog(); }
-                });
+                editor.value = fileData.content;
+                originalContent = fileData.content;
+                currentFilename = filename;
+                isModified = false;
+                updateTitle();
+                editor.focus();
+                return true;
             }
 
             function toggleWordWrap() {
@@ -400,9 +330,8 @@
                 win.querySelector('#word-wrap').textContent = wordWrapEnabled ? 'No Wrap' : 'Word Wrap';
             }
 
-            function showFindReplace() {
-                // Using a simpler prompt/confirm/alert for stability over a complex custom modal
-                const searchTerm = prompt('Find:');
+            async function showFindReplace() {
+                const searchTerm = await window.WindowManager.prompt('Find:', '', { parent: win, title: 'Find' });
                 if (!searchTerm) return;
 
                 const content = editor.value;
@@ -412,16 +341,16 @@
                     editor.focus();
                     editor.setSelectionRange(index, index + searchTerm.length);
                     
-                    const replace = confirm('Text found. Replace this occurrence?');
+                    const replace = await window.WindowManager.confirm('Text found. Replace this occurrence?', { parent: win, title: 'Replace', okLabel: 'Replace' });
                     if (replace) {
-                        const replacement = prompt('Replace with:', searchTerm);
+                        const replacement = await window.WindowManager.prompt('Replace with:', searchTerm, { parent: win, title: 'Replace' });
                         if (replacement !== null) { // User didn't hit cancel
                             editor.value = content.substring(0, index) + replacement + content.substring(index + searchTerm.length);
                             markAsModified();
                         }
                     }
                 } else {
-                    alert('Text not found.');
+                    await window.WindowManager.alert('Text not found.', { parent: win, title: 'Find' });
                 }
             }
             
@@ -466,10 +395,51 @@
                 }
             });
 
+            // --- Session State ---
+            win.getNotepadState = () => ({
+                filename: currentFilename,
+                content: editor.value,
+                isModified: isModified,
+                wordWrap: wordWrapEnabled,
+                fontSize: win.querySelector('#font-size').value,
+                cursor: editor.selectionStart
+            });
+
+            win.restoreNotepadState = (state) => {
+                if (!state) return;
+
+                const documents = getVirtualFileSystem()['documents']?.children || {};
+                const savedFile = documents[state.filename];
+
+                editor.value = state.content || '';
+                currentFilename = state.filename || 'Untitled';
+                // Unsaved edits stay marked as modified against the stored file
+                originalContent = state.isModified ? (savedFile?.content ?? '') : editor.value;
+                isModified = editor.value !== originalContent;
+
+                if (state.wordWrap && !wordWrapEnabled) toggleWordWrap();
+                if (state.fontSize) {
+                    win.querySelector('#font-size').value = state.fontSize;
+                    editor.style.fontSize = state.fontSize + 'px';
+                }
+                if (typeof state.cursor === 'number') {
+                    editor.setSelectionRange(state.cursor, state.cursor);
+                }
+
+                updateTitle();
+                updateCursorPosition();
+            };
+
             // Initial setup
             updateTitle();
             updateCursorPosition();
             editor.focus();
+
+            if (args.file && !loadDocument(args.file)) {
+                window.WindowManager.alert(`File not found: ${args.file}`, { parent: win });
+            }
+
+            return win;
         }
     };
 
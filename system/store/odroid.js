@@ -798,7 +798,13 @@
         },
 
         async emergencyStopAllGPIO(win) {
-            if (!confirm('Emergency stop will set all output pins to LOW. Continue?')) {
+            const confirmed = await window.WindowManager.confirm('Emergency stop will set all output pins to LOW. Continue?', {
+                parent: win,
+                title: 'Emergency Stop',
+                okLabel: 'STOP',
+                danger: true
+            });
+            if (!confirmed) {
                 return;
             }
 
@@ -1181,7 +1187,8 @@
             name: 'ODROID Controller',
             icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 48 48'><rect x='4' y='4' width='40' height='40' rx='6' fill='%231e3a8a' stroke='%23fbbf24' stroke-width='2'/><path d='M24 8L12 16V32L24 40L36 32V16L24 8Z' fill='%23fbbf24' stroke='%23fbbf24' stroke-width='1.5'/><path d='M24 40V24M24 24L12 16M24 24L36 16' stroke='%2360a5fa' stroke-width='2' stroke-linecap='round'/><circle cx='18' cy='20' r='2' fill='%2310b981'/><circle cx='30' cy='20' r='2' fill='%23ef4444'/><circle cx='24' cy='28' r='2' fill='%233b82f6'/></svg>",
             handler: () => window.ODROIDApp.open(),
-            singleInstance: true
+            singleInstance: true,
+            dispose: () => window.ODROIDApp.cleanup()
         });
 
         // Register documentation
@@ -622,7 +622,8 @@
             name: 'WLED Controller',
             icon: "data:image/svg+xml;utf8,<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48'><rect width='48' height='48' rx='8' fill='%231a1a2e'/><circle cx='12' cy='24' r='4' fill='%23ff0000'/><circle cx='24' cy='24' r='4' fill='%2300ff00'/><circle cx='36' cy='24' r='4' fill='%230000ff'/><path d='M8 32h32v4H8z' fill='%2364ffda'/></svg>",
             handler: () => window.WLEDApp.open(),
-            singleInstance: true
+            singleInstance: true,
+            dispose: () => window.WLEDApp.stopPolling()
         });
     }
 
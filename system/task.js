@@ -168,18 +168,19 @@
         }
       };
 
-      this.killProcess = (processId) => {
+      this.killProcess = async (processId) => {
         const windowData = window.WindowManager.activeWindows.get(processId);
         if (windowData) {
           const processName = windowData.title;
-          if (confirm(`End process "${processName}"?`)) {
-            // Remove from taskbar if present
-            const taskItem = document.querySelector(`[data-window-id="${processId}"]`);
-            if (taskItem) taskItem.remove();
-            
-            // Remove window and clean up
-            windowData.element.remove();
-            window.WindowManager.activeWindows.delete(processId);
+          const confirmed = await window.WindowManager.confirm(`End process "${processName}"?`, {
+            parent: win,
+            title: 'End Process',
+            okLabel: 'End Process',
+            danger: true
+          });
+          if (confirmed) {
+            // Close through WindowManager so the taskbar and session stay in sync
+            window.WindowManager.closeWindow(processId);
             
             this.showNotification(`Terminated: ${processName}`, 'warning');
             renderTasks(); // Refresh the list